@@ -1,17 +1,23 @@
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const bodyParser = require('body-parser');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('../docs/swagger.json');
 
 const config = require('./config');
 const logger = require('./utils/logger');
+const { globalLimiter } = require('./middleware/rateLimit');
 // const databaseService = require('./services/database');
 
 // Import routes
 const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const invitationRoutes = require('./routes/invitations');
+const auditRoutes = require('./routes/audit');
+const cryptoRoutes = require('./routes/crypto');
+const wellKnownRoutes = require('./routes/wellKnown');
 
 const app = express();
 
@@ -26,18 +32,8 @@ app.use((req, res, next) => {
 // CORS Configuration
 app.use(cors(config.cors));
 
-// Rate Limiting
-const limiter = rateLimit({
-  windowMs: config.security.rateLimit.windowMs,
-  max: config.security.rateLimit.maxRequests,
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: Math.ceil(config.security.rateLimit.windowMs / 1000),
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
+// Rate Limiting (per IP; routes add per-caller policies)
+app.use(globalLimiter);
 
 // Body Parsing Middleware
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -58,7 +54,13 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 
 // API Routes
 app.use('/health', healthRoutes);
+app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/crypto', cryptoRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Root Route
 app.get('/', (req, res) => {
@@ -80,14 +82,50 @@ app.use('*', (req, res) => {
       'GET /health',
       'GET /api-docs',
       'GET /',
+      'POST /api/auth/login',
+      'POST /api/auth/login/2fa',
+      'POST /api/auth/2fa/enroll',
+      'POST /api/auth/2fa/confirm',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'POST /api/auth/password/change',
+      'POST /api/auth/password/reset',
+      'POST /api/auth/verify-email',
+      'POST /api/auth/invitations/accept',
       'POST /api/users',
       'GET /api/users',
       'GET /api/users/:id',
       'PUT /api/users/:id',
       'DELETE /api/users/:id',
+      'PUT /api/users/:id/password',
+      'POST /api/users/:id/password-reset',
+      'POST /api/users/:id/unlock',
+      'DELETE /api/users/:id/2fa',
+      'POST /api/users/:id/verification',
+      'GET /api/users/:id/sessions',
+      'DELETE /api/users/:id/sessions/:sessionId',
+      'POST /api/users/:id/impersonate',
       'GET /api/users/stats',
       'GET /api/users/chart',
       'GET /api/users/export',
+      'GET /api/users/export/:id/manifest',
+      'POST /api/users/export/verify',
+      'POST /api/users/crypto/verify-export',
+      'POST /api/api-keys',
+      'GET /api/api-keys',
+      'DELETE /api/api-keys/:id',
+      'POST /api/invitations',
+      'GET /api/invitations',
+      'POST /api/invitations/:id/resend',
+      'DELETE /api/invitations/:id',
+      'GET /api/audit',
+      'GET /api/audit/verify',
+      'POST /api/crypto/resign-jobs',
+      'GET /api/crypto/resign-jobs',
+      'GET /api/crypto/resign-jobs/:id',
+      'POST /api/crypto/integrity-scans',
+      'GET /api/crypto/integrity-scans/latest',
+      'GET /.well-known/jwks.json',
     ],
   });
 });
@@ -1,4 +1,24 @@
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Parse a JSON environment variable
+ * @param {string} name - Variable name
+ * @param {*} fallback - Value when the variable is unset
+ */
+const jsonEnv = (name, fallback) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+};
+
+// Published in .env.example and the README; only fit for development
+const JWT_SECRET_PLACEHOLDER = 'your-super-secret-jwt-key-here';
 
 /**
  * Application Configuration
@@ -32,10 +52,166 @@ const config = {
 
   // Security Configuration
   security: {
-    jwtSecret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-here',
+    jwtSecret: process.env.JWT_SECRET || JWT_SECRET_PLACEHOLDER,
+    jwt: {
+      issuer: process.env.JWT_ISSUER || 'mini-admin-panel',
+      accessTokenTtl: process.env.JWT_ACCESS_TOKEN_TTL || '15m',
+      refreshTokenTtlMs:
+        parseInt(process.env.JWT_REFRESH_TOKEN_TTL_MS) ||
+        7 * 24 * 60 * 60 * 1000, // 7 days
+    },
+    // Password policy and reset settings
+    password: {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 12,
+      maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+      // Newline-separated list of known breached passwords to reject
+      breachedListFile: process.env.PASSWORD_BREACHED_LIST_FILE || '',
+      resetTokenTtlMs:
+        parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MS) || 30 * 60 * 1000, // 30 minutes
+    },
+    // Optional: new users start as pending_verification until they redeem
+    // a signed verification token
+    emailVerification: {
+      required: process.env.EMAIL_VERIFICATION_REQUIRED === 'true',
+      tokenTtlMs:
+        parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_MS) ||
+        24 * 60 * 60 * 1000, // 24 hours
+    },
+    // Admins invite an email with a preset role; the invitee accepts with
+    // a signed invite token to create the account
+    invitations: {
+      tokenTtlMs:
+        parseInt(process.env.INVITATION_TOKEN_TTL_MS) ||
+        7 * 24 * 60 * 60 * 1000, // 7 days
+    },
+    // Directory holding the versioned signing keys and keyring.json
+    keysDir: process.env.KEYS_DIR || path.join(__dirname, '../../keys'),
+    // Algorithm for newly generated signing keys: RSA-SHA256,
+    // RSA-PSS-SHA384, ECDSA-P384-SHA384 or Ed25519
+    signatureAlgorithm: process.env.SIGNATURE_ALGORITHM || 'RSA-SHA256',
+    // Where private signing keys live: file (PEM files in keysDir, encrypted
+    // with the passphrase), env (one injected PEM), pkcs11 (an HSM) or
+    // database (keyring shared by all instances, encrypted with the master
+    // secret). *_FILE variants read the secret from a mounted file.
+    keyProvider: {
+      type: process.env.KEY_PROVIDER || 'file',
+      passphrase: process.env.KEY_PASSPHRASE,
+      passphraseFile: process.env.KEY_PASSPHRASE_FILE,
+      privateKey: process.env.SIGNING_PRIVATE_KEY,
+      privateKeyFile: process.env.SIGNING_PRIVATE_KEY_FILE,
+      pkcs11: {
+        module: process.env.PKCS11_MODULE,
+        tokenLabel: process.env.PKCS11_TOKEN_LABEL,
+        pin: process.env.PKCS11_PIN,
+        pinFile: process.env.PKCS11_PIN_FILE,
+      },
+      masterSecret: process.env.KEY_MASTER_SECRET,
+      masterSecretFile: process.env.KEY_MASTER_SECRET_FILE,
+      // How often instances pick up keys rotated elsewhere (database only)
+      refreshIntervalMs:
+        parseInt(process.env.KEYRING_REFRESH_INTERVAL_MS) || 60 * 1000, // 1 minute
+    },
+    // email_hash format: 1 = plain SHA-384 (legacy), 2 = HMAC-SHA-384 keyed
+    // by the secret (at least 32 characters). Existing rows keep their
+    // version until the re-signing job rehashes them.
+    emailHash: {
+      version: parseInt(process.env.EMAIL_HASH_VERSION) || 1,
+      secret: process.env.EMAIL_HASH_SECRET,
+      secretFile: process.env.EMAIL_HASH_SECRET_FILE,
+    },
+    // Field-level encryption of user emails: AES-256-GCM under a data key
+    // kept in the database, wrapped with this secret (at least 32
+    // characters, the same on every instance)
+    fieldEncryption: {
+      masterKey: process.env.FIELD_ENCRYPTION_KEY,
+      masterKeyFile: process.env.FIELD_ENCRYPTION_KEY_FILE,
+      // Rows per batch when encrypting plaintext emails at startup
+      batchSize: parseInt(process.env.FIELD_ENCRYPTION_BATCH_SIZE) || 500,
+    },
+    // How long clients may cache /.well-known/jwks.json before refetching
+    jwksMaxAgeSeconds: parseInt(process.env.JWKS_MAX_AGE_SECONDS) || 300, // 5 minutes
+    // Background re-signing of users after a key or algorithm change
+    resign: {
+      batchSize: parseInt(process.env.RESIGN_BATCH_SIZE) || 100,
+      // A running job whose heartbeat is older than this is considered dead
+      staleAfterMs:
+        parseInt(process.env.RESIGN_STALE_AFTER_MS) || 5 * 60 * 1000, // 5 minutes
+    },
+    // Scheduled scan of stored user hashes and signatures
+    integrityScan: {
+      batchSize: parseInt(process.env.INTEGRITY_SCAN_BATCH_SIZE) || 500,
+      // 0 disables the schedule; scans can still be run on demand
+      intervalMs:
+        parseInt(process.env.INTEGRITY_SCAN_INTERVAL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    },
+    // Brute-force protection on login: accounts lock after maxAttempts
+    // failures within windowMs; each IP is slowed down after delayAfter
+    // failures and blocked after ipMaxFailures
+    lockout: {
+      maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 5,
+      windowMs: parseInt(process.env.LOCKOUT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+      durationMs: parseInt(process.env.LOCKOUT_DURATION_MS) || 15 * 60 * 1000, // 15 minutes
+      ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+      delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+      delayMs: parseInt(process.env.LOGIN_DELAY_MS) || 500,
+      maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 8000,
+    },
+    // TOTP second factor; roles in requiredRoles must enroll to sign in,
+    // everyone else may opt in
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Mini Admin Panel',
+      requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean),
+      challengeTtl: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+      recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    },
+    // Admins see the panel as another user with a short-lived access token
+    // that names both; it cannot be refreshed
+    impersonation: {
+      tokenTtl: process.env.IMPERSONATION_TOKEN_TTL || '15m',
+    },
+    // Bootstrap admin used to sign in before any user has credentials
+    bootstrapAdmin: {
+      email: process.env.ADMIN_EMAIL || '',
+      password: process.env.ADMIN_PASSWORD || '',
+    },
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
       maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000, // Increased for development
+      // postgres shares counters between replicas and across restarts;
+      // memory is per process (and the default under Jest)
+      store:
+        process.env.RATE_LIMIT_STORE ||
+        (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres'),
+      // Stricter per-route limits, counted per user, API key or (signed
+      // out) IP address
+      policies: {
+        login: {
+          windowMs:
+            parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+          max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX) || 20,
+        },
+        export: {
+          windowMs:
+            parseInt(process.env.RATE_LIMIT_EXPORT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+          max: parseInt(process.env.RATE_LIMIT_EXPORT_MAX) || 10,
+        },
+        verify: {
+          windowMs:
+            parseInt(process.env.RATE_LIMIT_VERIFY_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+          max: parseInt(process.env.RATE_LIMIT_VERIFY_MAX) || 30,
+        },
+        verification: {
+          windowMs:
+            parseInt(process.env.RATE_LIMIT_VERIFICATION_WINDOW_MS) ||
+            60 * 60 * 1000, // 1 hour
+          max: parseInt(process.env.RATE_LIMIT_VERIFICATION_MAX) || 5,
+        },
+      },
+      // Per-role max overrides, e.g. {"admin": {"export": 50}}
+      roles: jsonEnv('RATE_LIMIT_ROLE_OVERRIDES', {}),
     },
   },
 
@@ -43,7 +219,28 @@ const config = {
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: true,
+    // Let browsers read the export metadata and signed manifest
+    exposedHeaders: [
+      'Content-Disposition',
+      'X-User-Count',
+      'X-Size',
+      'X-Export-Id',
+      'X-Export-Manifest',
+      'RateLimit',
+      'RateLimit-Policy',
+      'Retry-After',
+    ],
   },
 };
 
+// Anyone can forge tokens signed with the placeholder secret
+if (
+  config.server.env === 'production' &&
+  config.security.jwtSecret === JWT_SECRET_PLACEHOLDER
+) {
+  throw new Error(
+    'Refusing to start in production without JWT_SECRET; set it to a long random value'
+  );
+}
+
 module.exports = config;
@@ -0,0 +1,78 @@
+/**
+ * Role Permission Matrix
+ * Declares which actions each role in UserService.validRoles may perform,
+ * and which actions each API key scope grants to service callers
+ */
+const PERMISSIONS = {
+  READ: 'read',
+  CREATE: 'create',
+  UPDATE: 'update',
+  UPDATE_STATUS: 'update-status',
+  UPDATE_ROLE: 'update-role',
+  DELETE: 'delete',
+  EXPORT: 'export',
+  VIEW_STATS: 'view-stats',
+  SET_PASSWORD: 'set-password',
+  MANAGE_API_KEYS: 'manage-api-keys',
+  VIEW_AUDIT: 'view-audit',
+  MANAGE_SIGNING_KEYS: 'manage-signing-keys',
+  VERIFY_INTEGRITY: 'verify-integrity',
+  UNLOCK: 'unlock',
+  RESET_TWO_FACTOR: 'reset-two-factor',
+  MANAGE_SESSIONS: 'manage-sessions',
+  INVITE: 'invite',
+  IMPERSONATE: 'impersonate',
+};
+
+const rolePermissions = {
+  admin: Object.values(PERMISSIONS),
+  // Moderators manage accounts but can never change (or grant) roles
+  moderator: [
+    PERMISSIONS.READ,
+    PERMISSIONS.CREATE,
+    PERMISSIONS.UPDATE,
+    PERMISSIONS.UPDATE_STATUS,
+    PERMISSIONS.VIEW_STATS,
+  ],
+  user: [PERMISSIONS.READ],
+};
+
+// Permissions granted by each API key scope
+const scopePermissions = {
+  'users:read': [PERMISSIONS.READ],
+  'users:write': [
+    PERMISSIONS.CREATE,
+    PERMISSIONS.UPDATE,
+    PERMISSIONS.UPDATE_STATUS,
+  ],
+  'users:stats': [PERMISSIONS.VIEW_STATS],
+  'users:export': [PERMISSIONS.EXPORT],
+};
+
+// Never granted under an impersonation token, whatever the user's role:
+// they change roles or credentials, mint API keys, re-sign with the
+// signing keys, or start another impersonation
+const impersonationBlockedPermissions = [
+  PERMISSIONS.UPDATE_ROLE,
+  PERMISSIONS.SET_PASSWORD,
+  PERMISSIONS.RESET_TWO_FACTOR,
+  PERMISSIONS.INVITE,
+  PERMISSIONS.IMPERSONATE,
+  PERMISSIONS.MANAGE_API_KEYS,
+  PERMISSIONS.MANAGE_SIGNING_KEYS,
+];
+
+// Permission required to change each updatable user field
+const fieldPermissions = {
+  email: PERMISSIONS.UPDATE,
+  status: PERMISSIONS.UPDATE_STATUS,
+  role: PERMISSIONS.UPDATE_ROLE,
+};
+
+module.exports = {
+  PERMISSIONS,
+  rolePermissions,
+  scopePermissions,
+  impersonationBlockedPermissions,
+  fieldPermissions,
+};
@@ -0,0 +1,117 @@
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { ensurePermissions } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * API Key Controller
+ * Handles minting, listing and revoking of service API keys
+ */
+class ApiKeyController {
+  /**
+   * Mint a new API key
+   * POST /api/api-keys
+   */
+  async createApiKey(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_API_KEYS])) {
+        return;
+      }
+
+      const { name, scopes, expiresAt } = req.body;
+      // The admin behind an impersonation token, never the impersonated user
+      const { actor } = auditService.contextFromRequest(req);
+
+      const result = await apiKeyService.createKey(
+        { name, scopes, expiresAt },
+        actor.id
+      );
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      logger.info('API key created via API', {
+        apiKeyId: result.data.id,
+        scopes: result.data.scopes,
+        actorId: actor.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('API key creation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to create API key',
+      });
+    }
+  }
+
+  /**
+   * List API keys
+   * GET /api/api-keys
+   */
+  async getApiKeys(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_API_KEYS])) {
+        return;
+      }
+
+      const result = await apiKeyService.listKeys();
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to list API keys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve API keys',
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/api-keys/:id
+   */
+  async revokeApiKey(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_API_KEYS])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const { actor } = auditService.contextFromRequest(req);
+      const result = await apiKeyService.revokeKey(id);
+
+      if (!result.success) {
+        const statusCode = result.error === 'API key not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('API key revoked via API', {
+        apiKeyId: id,
+        actorId: actor.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to revoke API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to revoke API key',
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
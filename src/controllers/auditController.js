@@ -0,0 +1,118 @@
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { ensurePermissions } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Audit Controller
+ * Exposes the audit trail of user mutations
+ */
+class AuditController {
+  /**
+   * Query audit events
+   * GET /api/audit
+   */
+  async getAuditEvents(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VIEW_AUDIT])) {
+        return;
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        actorId,
+        targetUserId,
+        action,
+        from,
+        to,
+      } = req.query;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+
+      if (!(pageNum >= 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid page number',
+          message: 'Page number must be greater than 0',
+        });
+      }
+
+      if (!(limitNum >= 1 && limitNum <= 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid limit',
+          message: 'Limit must be between 1 and 100',
+        });
+      }
+
+      const result = await auditService.getEvents({
+        page: pageNum,
+        limit: limitNum,
+        actorId,
+        targetUserId,
+        action,
+        from,
+        to,
+      });
+
+      if (!result.success) {
+        const statusCode = result.error.startsWith('Validation failed')
+          ? 400
+          : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Audit events retrieved via API', {
+        count: result.data.events.length,
+        page: pageNum,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to get audit events:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve audit events',
+      });
+    }
+  }
+
+  /**
+   * Verify the audit hash chain
+   * GET /api/audit/verify
+   */
+  async verifyAuditChain(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VIEW_AUDIT])) {
+        return;
+      }
+
+      const result = await auditService.verifyChain();
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      logger.info('Audit chain verification requested via API', {
+        valid: result.data.valid,
+        checked: result.data.checked,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to verify audit chain:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to verify audit chain',
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
@@ -0,0 +1,482 @@
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const emailVerificationService = require('../services/emailVerificationService');
+const invitationService = require('../services/invitationService');
+const logger = require('../utils/logger');
+
+/**
+ * Tell clients how long a locked account stays locked
+ */
+const setRetryAfter = (res, lockedUntil) => {
+  const retryAfterMs = new Date(lockedUntil) - Date.now();
+  res.setHeader('Retry-After', Math.max(Math.ceil(retryAfterMs / 1000), 1));
+};
+
+/**
+ * Auth Controller
+ * Handles login, two-factor, token refresh and logout requests
+ */
+class AuthController {
+  /**
+   * Log in and issue a token pair
+   * POST /api/auth/login
+   */
+  async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: 'Both email and password are required',
+        });
+      }
+
+      const result = await authService.login(
+        String(email),
+        String(password),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'Invalid credentials': 401,
+          'Email not verified': 403,
+          'Account locked': 423,
+        };
+        if (result.lockedUntil) {
+          setRetryAfter(res, result.lockedUntil);
+        }
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info(
+        result.data.twoFactorRequired
+          ? 'User passed password step via API'
+          : 'User logged in via API',
+        { userId: result.data.user.id, ip: req.ip }
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Login failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to log in',
+      });
+    }
+  }
+
+  /**
+   * Finish a login with a second factor
+   * POST /api/auth/login/2fa
+   */
+  async loginTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message:
+            'challengeToken and either code or recoveryCode are required',
+        });
+      }
+
+      const result = await authService.completeTwoFactorLogin(
+        String(challengeToken),
+        recoveryCode
+          ? { recoveryCode: String(recoveryCode) }
+          : { code: String(code) },
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'Invalid challenge token': 401,
+          'Invalid code': 401,
+          'Two-factor not enrolled': 403,
+          'Account locked': 423,
+        };
+        if (result.lockedUntil) {
+          setRetryAfter(res, result.lockedUntil);
+        }
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info('User logged in with second factor via API', {
+        userId: result.data.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Two-factor login failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to log in',
+      });
+    }
+  }
+
+  /**
+   * Start TOTP enrollment for the caller
+   * POST /api/auth/2fa/enroll
+   */
+  async enrollTwoFactor(req, res) {
+    try {
+      const result = await twoFactorService.enroll(req.user.id);
+
+      if (!result.success) {
+        const statusCodes = {
+          'User not found': 404,
+          'Two-factor already enabled': 409,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Two-factor enrollment failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to start two-factor enrollment',
+      });
+    }
+  }
+
+  /**
+   * Confirm TOTP enrollment and receive recovery codes
+   * With a challenge token, also finishes the login that required it
+   * POST /api/auth/2fa/confirm
+   */
+  async confirmTwoFactor(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: 'code is required',
+        });
+      }
+
+      const result = await twoFactorService.confirm(
+        req.user.id,
+        String(code),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'User not found': 404,
+          'Two-factor not enrolled': 400,
+          'Invalid code': 400,
+          'Two-factor already enabled': 409,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      if (!req.twoFactorChallenge) {
+        return res.status(200).json(result);
+      }
+
+      const session = await authService.completeEnrollmentLogin(
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+      if (!session.success) {
+        return res
+          .status(session.error === 'Invalid challenge token' ? 401 : 500)
+          .json(session);
+      }
+
+      logger.info('User enrolled in two-factor and logged in via API', {
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { ...session.data, ...result.data },
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error('Two-factor confirmation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to confirm two-factor enrollment',
+      });
+    }
+  }
+
+  /**
+   * Rotate a refresh token
+   * POST /api/auth/refresh
+   */
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Refresh token is required',
+          message: 'refreshToken field is required',
+        });
+      }
+
+      const result = await authService.refresh(
+        String(refreshToken),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCode = result.error === 'Invalid refresh token' ? 401 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Token refresh failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to refresh token',
+      });
+    }
+  }
+
+  /**
+   * Revoke a refresh token and its rotation family
+   * POST /api/auth/logout
+   */
+  async logout(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Refresh token is required',
+          message: 'refreshToken field is required',
+        });
+      }
+
+      const result = await authService.logout(String(refreshToken));
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Logout failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to log out',
+      });
+    }
+  }
+
+  /**
+   * Change the caller's own password
+   * POST /api/auth/password/change
+   */
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: 'Both currentPassword and newPassword are required',
+        });
+      }
+
+      const result = await authService.changePassword(
+        req.user.id,
+        String(currentPassword),
+        String(newPassword),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        let statusCode = 500;
+        if (result.error === 'Invalid credentials') {
+          statusCode = 401;
+        } else if (result.error.startsWith('Validation failed')) {
+          statusCode = 400;
+        }
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Password changed via API', {
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Password change failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to change password',
+      });
+    }
+  }
+
+  /**
+   * Redeem a password reset token
+   * POST /api/auth/password/reset
+   */
+  async resetPassword(req, res) {
+    try {
+      const { resetToken, newPassword } = req.body;
+
+      if (!resetToken || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: 'Both resetToken and newPassword are required',
+        });
+      }
+
+      const result = await authService.resetPassword(
+        String(resetToken),
+        String(newPassword),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCode =
+          result.error === 'Invalid reset token' ||
+          result.error.startsWith('Validation failed')
+            ? 400
+            : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Password reset via API', {
+        userId: result.data.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Password reset failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to reset password',
+      });
+    }
+  }
+
+  /**
+   * Redeem an email verification token
+   * POST /api/auth/verify-email
+   */
+  async verifyEmail(req, res) {
+    try {
+      const { verificationToken } = req.body;
+
+      if (!verificationToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: 'verificationToken is required',
+        });
+      }
+
+      const result = await emailVerificationService.confirm(
+        String(verificationToken),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'Invalid verification token': 400,
+          'User was modified concurrently': 409,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info('Email verified via API', {
+        userId: result.data.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Email verification failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to verify email',
+      });
+    }
+  }
+
+  /**
+   * Redeem an invitation token and create the account
+   * POST /api/auth/invitations/accept
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const { invitationToken, password } = req.body;
+
+      if (!invitationToken || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields',
+          message: 'Both invitationToken and password are required',
+        });
+      }
+
+      const result = await invitationService.accept(
+        String(invitationToken),
+        String(password),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'Invalid invitation token': 400,
+          'User with this email already exists': 409,
+        };
+        const statusCode =
+          statusCodes[result.error] ||
+          (result.error.startsWith('Validation failed') ? 400 : 500);
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Invitation accepted via API', {
+        userId: result.data.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Invitation acceptance failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to accept invitation',
+      });
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,168 @@
+const resignService = require('../services/resignService');
+const integrityService = require('../services/integrityService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { ensurePermissions } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Crypto Controller
+ * Admin operations on signing keys and the signatures made with them
+ */
+class CryptoController {
+  /**
+   * Start (or resume) re-signing every user with the active key
+   * POST /api/crypto/resign-jobs
+   */
+  async startResignJob(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_SIGNING_KEYS])) {
+        return;
+      }
+
+      // The admin behind an impersonation token, never the impersonated user
+      const { actor } = auditService.contextFromRequest(req);
+      const result = await resignService.startJob({ startedBy: actor.id });
+
+      if (!result.success) {
+        const statusCode =
+          result.error === 'A re-signing job is already running' ? 409 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Re-signing job started via API', {
+        jobId: result.data.id,
+        actorId: actor.id,
+        ip: req.ip,
+      });
+
+      res.status(202).json(result);
+    } catch (error) {
+      logger.error('Failed to start re-signing job:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to start re-signing job',
+      });
+    }
+  }
+
+  /**
+   * List recent re-signing jobs
+   * GET /api/crypto/resign-jobs
+   */
+  async getResignJobs(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_SIGNING_KEYS])) {
+        return;
+      }
+
+      const result = await resignService.listJobs();
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to list re-signing jobs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve re-signing jobs',
+      });
+    }
+  }
+
+  /**
+   * Get the status and progress of a re-signing job
+   * GET /api/crypto/resign-jobs/:id
+   */
+  async getResignJob(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_SIGNING_KEYS])) {
+        return;
+      }
+
+      const result = await resignService.getJob(req.params.id);
+
+      if (!result.success) {
+        const statusCode = result.error === 'Job not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to get re-signing job:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve re-signing job',
+      });
+    }
+  }
+
+  /**
+   * Scan all users for tampered or unverifiable hashes and signatures
+   * POST /api/crypto/integrity-scans
+   */
+  async runIntegrityScan(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VERIFY_INTEGRITY])) {
+        return;
+      }
+
+      const { actor } = auditService.contextFromRequest(req);
+      const result = await integrityService.scanUsers('manual');
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      logger.info('Integrity scan run via API', {
+        checked: result.data.checked,
+        ...result.data.counts,
+        actorId: actor.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to run integrity scan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to run integrity scan',
+      });
+    }
+  }
+
+  /**
+   * Get the report of the last integrity scan
+   * GET /api/crypto/integrity-scans/latest
+   */
+  async getLatestIntegrityScan(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VERIFY_INTEGRITY])) {
+        return;
+      }
+
+      const result = integrityService.getLastReport();
+
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to get integrity scan report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve integrity scan report',
+      });
+    }
+  }
+}
+
+module.exports = new CryptoController();
@@ -0,0 +1,167 @@
+const invitationService = require('../services/invitationService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { ensurePermissions } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Invitation Controller
+ * Handles sending, listing, resending and revoking of account invitations
+ */
+class InvitationController {
+  /**
+   * Invite an email with a preset role
+   * POST /api/invitations
+   */
+  async createInvitation(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.INVITE])) {
+        return;
+      }
+
+      const { email, role } = req.body;
+
+      const result = await invitationService.invite(
+        { email, role },
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'User with this email already exists': 409,
+          'Invitation already pending': 409,
+        };
+        return res.status(statusCodes[result.error] || 400).json(result);
+      }
+
+      logger.info('Invitation created via API', {
+        invitationId: result.data.id,
+        role: result.data.role,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Invitation creation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to create invitation',
+      });
+    }
+  }
+
+  /**
+   * List invitations
+   * GET /api/invitations
+   */
+  async getInvitations(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.INVITE])) {
+        return;
+      }
+
+      const result = await invitationService.listInvitations({
+        status: req.query.status,
+      });
+
+      if (!result.success) {
+        const statusCode = result.error.startsWith('Validation failed')
+          ? 400
+          : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to list invitations:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve invitations',
+      });
+    }
+  }
+
+  /**
+   * Issue a new invite token for an open invitation
+   * POST /api/invitations/:id/resend
+   */
+  async resendInvitation(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.INVITE])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await invitationService.resend(
+        id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'Invitation not found': 404,
+          'Invitation is not pending': 409,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info('Invitation resent via API', {
+        invitationId: id,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Failed to resend invitation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to resend invitation',
+      });
+    }
+  }
+
+  /**
+   * Revoke an open invitation
+   * DELETE /api/invitations/:id
+   */
+  async revokeInvitation(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.INVITE])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await invitationService.revoke(
+        id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCode = result.error === 'Invitation not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Invitation revoked via API', {
+        invitationId: id,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to revoke invitation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to revoke invitation',
+      });
+    }
+  }
+}
+
+module.exports = new InvitationController();
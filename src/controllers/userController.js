@@ -1,5 +1,15 @@
 const userService = require('../services/userService');
+const authService = require('../services/authService');
+const lockoutService = require('../services/lockoutService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const impersonationService = require('../services/impersonationService');
+const emailVerificationService = require('../services/emailVerificationService');
+const auditService = require('../services/auditService');
+const exportService = require('../services/exportService');
 const logger = require('../utils/logger');
+const { ensurePermissions } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * User Controller
@@ -15,6 +25,11 @@ class UserController {
     try {
       const { email, role, status } = req.body;
 
+      const requiredPermissions = userService.getCreatePermissions(req.body);
+      if (!ensurePermissions(req, res, requiredPermissions)) {
+        return;
+      }
+
       // Validate required fields
       if (!email) {
         return res.status(400).json({
@@ -25,13 +40,16 @@ class UserController {
       }
 
       // Create user
-      const result = await userService.createUser({
-        email,
-        role,
-        status,
-        emailHash: '',
-        signature: '',
-      });
+      const result = await userService.createUser(
+        {
+          email,
+          role,
+          status,
+          emailHash: '',
+          signature: '',
+        },
+        auditService.contextFromRequest(req)
+      );
 
       if (!result.success) {
         return res.status(400).json(result);
@@ -39,11 +57,19 @@ class UserController {
 
       logger.info('User created via API', {
         userId: result.data.id,
-        email: result.data.email,
         ip: req.ip,
       });
 
-      res.status(201).json(result);
+      if (result.data.status !== emailVerificationService.pendingStatus) {
+        return res.status(201).json(result);
+      }
+
+      // The user exists either way; a failed token can be resent
+      const verification = await emailVerificationService.issue(result.data);
+      res.status(201).json({
+        ...result,
+        verification: verification.success ? verification.data : null,
+      });
     } catch (error) {
       logger.error('User creation failed:', error);
       res.status(500).json({
@@ -60,6 +86,10 @@ class UserController {
    */
   async getUsers(req, res) {
     try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.READ])) {
+        return;
+      }
+
       const { page = 1, limit = 10, role, status, search } = req.query;
 
       // Validate pagination parameters
@@ -118,6 +148,10 @@ class UserController {
    */
   async getUserById(req, res) {
     try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.READ])) {
+        return;
+      }
+
       const { id } = req.params;
 
       if (!id) {
@@ -177,12 +211,24 @@ class UserController {
         });
       }
 
+      const requiredPermissions = userService.getUpdatePermissions(updateData);
+      if (!ensurePermissions(req, res, requiredPermissions)) {
+        return;
+      }
+
       // Update user
-      const result = await userService.updateUser(id, updateData);
+      const result = await userService.updateUser(
+        id,
+        updateData,
+        auditService.contextFromRequest(req)
+      );
 
       if (!result.success) {
-        const statusCode = result.error === 'User not found' ? 404 : 400;
-        return res.status(statusCode).json(result);
+        const statusCodes = {
+          'User not found': 404,
+          'User was modified concurrently': 409,
+        };
+        return res.status(statusCodes[result.error] || 400).json(result);
       }
 
       logger.info('User updated via API', {
@@ -208,6 +254,10 @@ class UserController {
    */
   async deleteUser(req, res) {
     try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.DELETE])) {
+        return;
+      }
+
       const { id } = req.params;
 
       if (!id) {
@@ -219,7 +269,10 @@ class UserController {
       }
 
       // Delete user
-      const result = await userService.deleteUser(id);
+      const result = await userService.deleteUser(
+        id,
+        auditService.contextFromRequest(req)
+      );
 
       if (!result.success) {
         const statusCode = result.error === 'User not found' ? 404 : 500;
@@ -242,12 +295,335 @@ class UserController {
     }
   }
 
+  /**
+   * Set a user's password
+   * PUT /api/users/:id/password
+   */
+  async setPassword(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.SET_PASSWORD])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const { password } = req.body;
+
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password is required',
+          message: 'password field is required',
+        });
+      }
+
+      const result = await authService.setPassword(
+        id,
+        String(password),
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        let statusCode = 500;
+        if (result.error === 'User not found') {
+          statusCode = 404;
+        } else if (result.error.startsWith('Validation failed')) {
+          statusCode = 400;
+        }
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('User password set via API', {
+        userId: id,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to set user password:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to set password',
+      });
+    }
+  }
+
+  /**
+   * Issue a password reset token for a user
+   * POST /api/users/:id/password-reset
+   */
+  async createPasswordReset(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.SET_PASSWORD])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await authService.createPasswordReset(
+        id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCode = result.error === 'User not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Password reset issued via API', {
+        userId: id,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Failed to issue password reset:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to issue password reset',
+      });
+    }
+  }
+
+  /**
+   * Unlock an account locked after failed logins
+   * POST /api/users/:id/unlock
+   */
+  async unlockUser(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.UNLOCK])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await lockoutService.unlock(
+        id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCode = result.error === 'User not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('User unlocked via API', {
+        userId: id,
+        actorId: req.user.id,
+        wasLocked: result.data.wasLocked,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to unlock user:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to unlock user',
+      });
+    }
+  }
+
+  /**
+   * Reset a user's two-factor authentication so they can enroll again
+   * DELETE /api/users/:id/2fa
+   */
+  async resetTwoFactor(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.RESET_TWO_FACTOR])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await twoFactorService.reset(
+        id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCode = result.error === 'User not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      logger.info('Two-factor authentication reset via API', {
+        userId: id,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to reset two-factor authentication:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to reset two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * Issue an access token that acts as another user
+   * POST /api/users/:id/impersonate
+   */
+  async impersonateUser(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.IMPERSONATE])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await impersonationService.start(
+        id,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'User not found': 404,
+          'Cannot impersonate yourself': 400,
+          'User is not active': 400,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info('Impersonation token issued via API', {
+        userId: id,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to start impersonation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to start impersonation',
+      });
+    }
+  }
+
+  /**
+   * Issue a new email verification token for a pending user
+   * POST /api/users/:id/verification
+   */
+  async resendVerification(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.CREATE])) {
+        return;
+      }
+
+      const { id } = req.params;
+      const result = await emailVerificationService.resend(id);
+
+      if (!result.success) {
+        const statusCodes = {
+          'User not found': 404,
+          'User is not pending verification': 409,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info('Email verification token resent via API', {
+        userId: id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Failed to resend email verification:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to issue email verification token',
+      });
+    }
+  }
+
+  /**
+   * List a user's active sessions
+   * GET /api/users/:id/sessions
+   */
+  async getUserSessions(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_SESSIONS])) {
+        return;
+      }
+
+      const result = await sessionService.listForUser(req.params.id);
+
+      if (!result.success) {
+        const statusCode = result.error === 'User not found' ? 404 : 500;
+        return res.status(statusCode).json(result);
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to list sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve sessions',
+      });
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * DELETE /api/users/:id/sessions/:sessionId
+   */
+  async revokeUserSession(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.MANAGE_SESSIONS])) {
+        return;
+      }
+
+      const { id, sessionId } = req.params;
+      const result = await sessionService.revoke(
+        id,
+        sessionId,
+        auditService.contextFromRequest(req)
+      );
+
+      if (!result.success) {
+        const statusCodes = {
+          'User not found': 404,
+          'Session not found': 404,
+        };
+        return res.status(statusCodes[result.error] || 500).json(result);
+      }
+
+      logger.info('Session revoked via API', {
+        userId: id,
+        sessionId,
+        actorId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to revoke session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to revoke session',
+      });
+    }
+  }
+
   /**
    * Get user statistics
    * GET /api/users/stats
    */
   async getUserStats(req, res) {
     try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VIEW_STATS])) {
+        return;
+      }
+
       const result = await userService.getUserStats();
 
       if (!result.success) {
@@ -275,6 +651,10 @@ class UserController {
    */
   async getUsersChart(req, res) {
     try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VIEW_STATS])) {
+        return;
+      }
+
       const { days = 7 } = req.query;
       const daysNum = parseInt(days);
 
@@ -314,13 +694,19 @@ class UserController {
    */
   async exportUsers(req, res) {
     try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.EXPORT])) {
+        return;
+      }
+
       logger.info('User export requested', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
       });
 
       // Get users in Protocol Buffer format
-      const result = await userService.exportUsers();
+      const result = await userService.exportUsers(
+        auditService.contextFromRequest(req)
+      );
 
       if (!result.success) {
         return res.status(500).json({
@@ -337,11 +723,18 @@ class UserController {
       res.setHeader('X-User-Count', result.userCount || 0);
       res.setHeader('X-Format', 'Protocol Buffer');
       res.setHeader('X-Size', result.size || 0);
+      // Signed manifest; also downloadable from /export/:id/manifest
+      res.setHeader('X-Export-Id', result.manifest.exportId);
+      res.setHeader(
+        'X-Export-Manifest',
+        exportService.encodeManifest(result.manifest)
+      );
 
       logger.info('Users exported successfully via API', {
         userCount: result.userCount,
         size: result.size,
         format: 'Protocol Buffer',
+        exportId: result.manifest.exportId,
         ip: req.ip,
       });
 
@@ -357,6 +750,138 @@ class UserController {
     }
   }
 
+  /**
+   * Download the signed manifest of an export
+   * GET /api/users/export/:id/manifest
+   */
+  async getExportManifest(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.EXPORT])) {
+        return;
+      }
+
+      const result = await exportService.getManifest(req.params.id);
+
+      if (!result.success) {
+        const status = result.error === 'Export not found' ? 404 : 500;
+        return res.status(status).json(result);
+      }
+
+      res.setHeader(
+        'Content-Disposition',
+        'attachment; filename="users.pb.manifest.json"'
+      );
+      res.status(200).json(result.data);
+    } catch (error) {
+      logger.error('Failed to get export manifest:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to retrieve export manifest',
+      });
+    }
+  }
+
+  /**
+   * Check an uploaded export against its signed manifest
+   * POST /api/users/export/verify
+   * The body is the users.pb file; the manifest goes in X-Export-Manifest
+   * (base64 JSON, as sent with the export or the downloaded manifest)
+   */
+  async verifyExport(req, res) {
+    try {
+      if (!ensurePermissions(req, res, [PERMISSIONS.VERIFY_INTEGRITY])) {
+        return;
+      }
+
+      const header = req.get('X-Export-Manifest');
+      const manifest = header && exportService.decodeManifest(header);
+      if (!manifest) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing manifest',
+          message:
+            'Send the export manifest as base64 JSON in X-Export-Manifest',
+        });
+      }
+
+      // Only application/octet-stream bodies are read as a file
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing export',
+          message: 'Send users.pb as the application/octet-stream body',
+        });
+      }
+
+      const result = await exportService.verifyExport(req.body, manifest);
+
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      logger.info('Export verification requested', {
+        exportId: manifest.exportId,
+        valid: result.data.valid,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to verify export:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to verify export',
+      });
+    }
+  }
+
+  /**
+   * Re-verify every user record in an uploaded export
+   * POST /api/users/crypto/verify-export
+   * The body is the users.pb file; no manifest is needed
+   */
+  async verifyExportRecords(req, res) {
+    try {
+      // Recomputing v2 email hashes uses the server secret, so this is not
+      // public like /crypto/verify: it would let anyone test guessed emails
+      if (!ensurePermissions(req, res, [PERMISSIONS.VERIFY_INTEGRITY])) {
+        return;
+      }
+
+      // Only application/octet-stream bodies are read as a file
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing export',
+          message: 'Send users.pb as the application/octet-stream body',
+        });
+      }
+
+      const result = await exportService.verifyRecords(req.body);
+
+      if (!result.success) {
+        const status = result.error === 'Invalid export' ? 400 : 500;
+        return res.status(status).json(result);
+      }
+
+      logger.info('Export record verification requested', {
+        ...result.data.summary,
+        ip: req.ip,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Failed to verify export records:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to verify export records',
+      });
+    }
+  }
+
   /**
    * Get public key for signature verification
    * GET /api/users/crypto/public-key
@@ -376,6 +901,7 @@ class UserController {
         success: true,
         data: {
           publicKey,
+          keyId: stats.activeKeyId,
           algorithm: stats.algorithm,
           hashAlgorithm: stats.hashAlgorithm,
         },
@@ -394,10 +920,12 @@ class UserController {
   /**
    * Verify digital signature
    * POST /api/users/crypto/verify
+   * Pass the stored signature key ID as keyId; without it the legacy
+   * (pre-rotation) key is used. An optional algorithm must match the key's.
    */
   async verifySignature(req, res) {
     try {
-      const { data, signature } = req.body;
+      const { data, signature, keyId, algorithm } = req.body;
 
       if (!data || !signature) {
         return res.status(400).json({
@@ -408,11 +936,18 @@ class UserController {
       }
 
       const cryptoService = require('../utils/crypto');
-      const isValid = cryptoService.verifySignature(data, signature);
+      const isValid = cryptoService.verifySignature(
+        data,
+        signature,
+        keyId,
+        algorithm
+      );
 
       logger.info('Signature verification requested', {
         ip: req.ip,
         isValid,
+        keyId,
+        algorithm,
         dataLength: data.length,
         signatureLength: signature.length,
       });
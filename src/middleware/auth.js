@@ -0,0 +1,216 @@
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+/**
+ * Authentication Middleware
+ * Resolves the caller from a Bearer access token (req.user) or, where
+ * service access is allowed, from an X-API-Key header (req.apiKey)
+ */
+
+/**
+ * Verify a Bearer access token and set req.user
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+const verifyBearerToken = async (req, res) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'A Bearer access token is required',
+    });
+    return false;
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyAccessToken(token);
+  } catch (error) {
+    logger.warn('Access token rejected', {
+      reason: error.message,
+      ip: req.ip,
+      path: req.originalUrl,
+    });
+
+    res.status(401).json({
+      success: false,
+      error: 'Invalid token',
+      message:
+        error.name === 'TokenExpiredError'
+          ? 'Access token has expired'
+          : 'Access token is invalid',
+    });
+    return false;
+  }
+
+  const check = await authService.checkAccessToken(payload);
+  if (!check.success) {
+    logger.warn('Access token rejected', {
+      reason: 'User is inactive or changed since the token was issued',
+      userId: payload.sub,
+      ip: req.ip,
+      path: req.originalUrl,
+    });
+    res.status(401).json(check);
+    return false;
+  }
+
+  req.user = {
+    id: payload.sub,
+    email: payload.email,
+    role: payload.role,
+  };
+
+  // Impersonation tokens name the real admin in the act claim
+  if (payload.act) {
+    req.user.impersonatedBy = payload.act.sub;
+    logger.info('Request made while impersonating', {
+      adminId: payload.act.sub,
+      userId: payload.sub,
+      method: req.method,
+      path: req.originalUrl,
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Require a signed-in user (Bearer access token only)
+ */
+const authenticateUser = async (req, res, next) => {
+  try {
+    if (await verifyBearerToken(req, res)) {
+      next();
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a signed-in user or a valid API key
+ * Every API key request is recorded against the key once the response is sent
+ */
+const authenticate = async (req, res, next) => {
+  const presentedKey = req.get('X-API-Key');
+
+  if (!presentedKey) {
+    return authenticateUser(req, res, next);
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticate(presentedKey);
+
+    if (!apiKey) {
+      logger.warn('API key rejected', {
+        ip: req.ip,
+        path: req.originalUrl,
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        message: 'API key is invalid, revoked or expired',
+      });
+    }
+
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+    };
+
+    res.on('finish', () => {
+      apiKeyService.recordUsage({
+        apiKeyId: apiKey.id,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+      });
+    });
+
+    logger.info('Request authenticated with API key', {
+      apiKeyId: apiKey.id,
+      name: apiKey.name,
+      method: req.method,
+      path: req.originalUrl,
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a signed-in user or a login challenge token (body.challengeToken)
+ * Lets users who must have two-factor authentication enroll mid-login;
+ * sets req.twoFactorChallenge when a challenge token was used
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+
+  if (!challengeToken) {
+    return authenticateUser(req, res, next);
+  }
+
+  try {
+    const challenge = await authService.resolveChallenge(
+      String(challengeToken)
+    );
+
+    if (!challenge.success) {
+      logger.warn('Challenge token rejected', {
+        reason: challenge.error,
+        ip: req.ip,
+        path: req.originalUrl,
+      });
+      return res
+        .status(challenge.error === 'Account locked' ? 423 : 401)
+        .json(challenge);
+    }
+
+    req.user = {
+      id: challenge.data.id,
+      email: challenge.data.email,
+      role: challenge.data.role,
+    };
+    req.twoFactorChallenge = true;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refuse requests made with an impersonation token
+ * For routes that change the signed-in user's own credentials
+ */
+const rejectImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatedBy) {
+    logger.warn('Credential change refused while impersonating', {
+      adminId: req.user.impersonatedBy,
+      userId: req.user.id,
+      path: req.originalUrl,
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Credentials cannot be changed while impersonating',
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authenticateUser,
+  authenticateTwoFactorSetup,
+  rejectImpersonation,
+};
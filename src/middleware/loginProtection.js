@@ -0,0 +1,72 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createStore } = require('./rateLimit');
+
+/**
+ * Login Protection Middleware
+ * Counts failed logins per IP address, in the rate limit store
+ *
+ * - Only rejected credentials (401) and locked accounts (423) count
+ * - After delayAfter failures, each further attempt from the IP waits
+ *   delayMs, doubling per failure up to maxDelayMs
+ * - After ipMaxFailures failures the IP is refused until the window ends
+ * - Per-account lockout is handled by LockoutService
+ */
+
+const failureLimiter = rateLimit({
+  windowMs: config.security.lockout.windowMs,
+  max: config.security.lockout.ipMaxFailures,
+  keyGenerator: req => `ip:${req.ip}`,
+  requestPropertyName: 'loginFailures',
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => ![401, 423].includes(res.statusCode),
+  standardHeaders: false,
+  legacyHeaders: false,
+  store: createStore('login-failures'),
+  passOnStoreError: true,
+  handler: (req, res, next, options) => {
+    logger.warn('Login blocked after repeated failures', { ip: req.ip });
+    res.status(options.statusCode).json({
+      success: false,
+      error: 'Too many failed logins',
+      message: 'Too many failed sign-in attempts from this address',
+      retryAfter: Math.ceil(config.security.lockout.windowMs / 1000),
+    });
+  },
+});
+
+/**
+ * Delay before the next attempt from an IP with earlier failures
+ * @param {number} failures - Failures from the IP in the current window
+ * @returns {number} Delay in milliseconds
+ */
+const failureDelay = failures => {
+  const { delayAfter, delayMs, maxDelayMs } = config.security.lockout;
+  if (failures < delayAfter) {
+    return 0;
+  }
+  return Math.min(delayMs * 2 ** (failures - delayAfter), maxDelayMs);
+};
+
+const delayAfterFailures = (req, res, next) => {
+  // The limiter already counted this attempt
+  const failures = req.loginFailures ? req.loginFailures.used - 1 : 0;
+  const delay = failureDelay(failures);
+
+  if (delay === 0) {
+    return next();
+  }
+
+  logger.info('Delaying login after failures', {
+    ip: req.ip,
+    failures,
+    delayMs: delay,
+  });
+  setTimeout(next, delay);
+};
+
+module.exports = {
+  throttleLoginFailures: [failureLimiter, delayAfterFailures],
+  failureDelay,
+};
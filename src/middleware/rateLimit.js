@@ -0,0 +1,169 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const logger = require('../utils/logger');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Rate Limiting Middleware
+ *
+ * - A global limit per IP address guards every route
+ * - Route policies (login, export, verify) add stricter limits, counted per
+ *   signed-in user, API key or, for signed-out callers, IP address; they
+ *   must run after authentication to see the caller
+ * - config.security.rateLimit.roles overrides a policy's max per role
+ * - With the postgres store, counters live in rate_limit_counters so every
+ *   replica enforces the same budget and restarts do not reset it
+ * - If the store fails, requests pass: a database outage must not turn
+ *   /health and every other route into errors
+ */
+
+/**
+ * express-rate-limit store backed by rate_limit_counters
+ * One instance per limiter; keys are prefixed with the limiter's name
+ */
+class PostgresRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = null;
+    this.cleanupTimer = null;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+
+    // Windows that ended are reset on the next hit; rows of callers that
+    // never come back are swept once per window
+    this.cleanupTimer = setInterval(() => {
+      RateLimitCounter.deleteExpired(this.prefix).catch(() => {});
+    }, this.windowMs);
+    this.cleanupTimer.unref();
+  }
+
+  async get(key) {
+    const row = await RateLimitCounter.findByKey(this.prefix + key);
+    return row
+      ? { totalHits: row.hits, resetTime: new Date(row.reset_at) }
+      : undefined;
+  }
+
+  async increment(key) {
+    const row = await RateLimitCounter.increment(
+      this.prefix + key,
+      this.windowMs
+    );
+    return { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.delete(this.prefix + key);
+  }
+
+  shutdown() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+/**
+ * Build the store of a limiter
+ * @param {string} prefix - Limiter name
+ * @returns {Object|undefined} Store, or undefined for the built-in memory store
+ */
+const createStore = prefix =>
+  config.security.rateLimit.store === 'postgres'
+    ? new PostgresRateLimitStore(prefix)
+    : undefined;
+
+/**
+ * Key requests by the caller the auth middleware resolved
+ * @returns {string} user:<id>, api-key:<id> or ip:<address>
+ */
+const callerKey = req => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  if (req.apiKey) {
+    return `api-key:${req.apiKey.id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Max requests per window for the caller under a policy
+ * Signed-in users get their role's override if one is configured
+ */
+const policyMax = (name, req) => {
+  const { policies, roles } = config.security.rateLimit;
+  const override = req.user && (roles[req.user.role] || {})[name];
+  return Number.isInteger(override) ? override : policies[name].max;
+};
+
+const globalLimiter = rateLimit({
+  windowMs: config.security.rateLimit.windowMs,
+  max: config.security.rateLimit.maxRequests,
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+    retryAfter: Math.ceil(config.security.rateLimit.windowMs / 1000),
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createStore('global'),
+  passOnStoreError: true,
+});
+
+// One limiter per policy, shared by every route using it
+const policyLimiters = new Map();
+
+/**
+ * Rate limit a route under a named policy
+ * @param {string} name - Policy in config.security.rateLimit.policies
+ * @returns {Function} Express middleware
+ */
+const rateLimitFor = name => {
+  if (!policyLimiters.has(name)) {
+    const policy = config.security.rateLimit.policies[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    policyLimiters.set(
+      name,
+      rateLimit({
+        windowMs: policy.windowMs,
+        max: req => policyMax(name, req),
+        keyGenerator: callerKey,
+        standardHeaders: true,
+        legacyHeaders: false,
+        store: createStore(name),
+        passOnStoreError: true,
+        handler: (req, res, next, options) => {
+          logger.warn('Rate limit exceeded', {
+            policy: name,
+            caller: callerKey(req),
+            path: req.originalUrl,
+          });
+          res.status(options.statusCode).json({
+            success: false,
+            error: 'Too many requests',
+            message: `Rate limit for ${name} exceeded, please try again later`,
+            retryAfter: Math.ceil(policy.windowMs / 1000),
+          });
+        },
+      })
+    );
+  }
+
+  return policyLimiters.get(name);
+};
+
+module.exports = {
+  globalLimiter,
+  rateLimitFor,
+  callerKey,
+  createStore,
+  PostgresRateLimitStore,
+};
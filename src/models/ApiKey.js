@@ -0,0 +1,163 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const API_KEY_COLUMNS = `
+  id, name, key_prefix, scopes, created_by, expires_at, revoked_at,
+  last_used_at, created_at
+`;
+
+class ApiKey {
+  constructor() {
+    this.tableName = 'api_keys';
+  }
+
+  /**
+   * Create a new API key
+   * @param {Object} keyData - API key data
+   * @param {string} keyData.name - Human readable name
+   * @param {string} keyData.keyPrefix - Non-secret prefix shown in listings
+   * @param {string} keyData.keyHash - SHA-256 hash of the full key
+   * @param {Array<string>} keyData.scopes - Granted scopes
+   * @param {string} keyData.createdBy - ID of the admin who minted the key
+   * @param {Date|null} keyData.expiresAt - Optional expiry timestamp
+   * @returns {Promise<Object>} Created API key (without hash)
+   */
+  async create(keyData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING ${API_KEY_COLUMNS}
+      `;
+
+      const values = [
+        keyData.name,
+        keyData.keyPrefix,
+        keyData.keyHash,
+        keyData.scopes,
+        keyData.createdBy,
+        keyData.expiresAt || null,
+      ];
+
+      const result = await pool.query(query, values);
+      const apiKey = result.rows[0];
+
+      logger.info('API key created successfully', {
+        apiKeyId: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+      });
+
+      return apiKey;
+    } catch (error) {
+      logger.error('Failed to create API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all API keys, newest first
+   * @returns {Promise<Array>} Array of API keys (without hashes)
+   */
+  async findAll() {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${API_KEY_COLUMNS}
+        FROM api_keys
+        ORDER BY created_at DESC
+      `;
+
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an API key by the hash of its secret
+   * @param {string} keyHash - SHA-256 hash of the full key
+   * @returns {Promise<Object|null>} API key or null if not found
+   */
+  async findByKeyHash(keyHash) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${API_KEY_COLUMNS}
+        FROM api_keys
+        WHERE key_hash = $1
+      `;
+
+      const result = await pool.query(query, [keyHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} apiKeyId - API key ID
+   * @returns {Promise<Object|null>} Revoked key or null if not found or already revoked
+   */
+  async revoke(apiKeyId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE api_keys
+        SET revoked_at = NOW()
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING ${API_KEY_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [apiKeyId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to revoke API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a request made with an API key
+   * @param {Object} usage - Request details
+   * @param {string} usage.apiKeyId - API key ID
+   * @param {string} usage.method - HTTP method
+   * @param {string} usage.path - Request path
+   * @param {number} usage.statusCode - Response status code
+   * @param {string} usage.ip - Client IP
+   * @returns {Promise<void>}
+   */
+  async recordRequest(usage) {
+    try {
+      const pool = databaseService.getDatabase();
+      const insertQuery = `
+        INSERT INTO api_key_requests (api_key_id, method, path, status_code, ip)
+        VALUES ($1, $2, $3, $4, $5)
+      `;
+      const touchQuery = `
+        UPDATE api_keys
+        SET last_used_at = NOW()
+        WHERE id = $1
+      `;
+
+      await pool.query(insertQuery, [
+        usage.apiKeyId,
+        usage.method,
+        usage.path,
+        usage.statusCode,
+        usage.ip,
+      ]);
+      await pool.query(touchQuery, [usage.apiKeyId]);
+    } catch (error) {
+      logger.error('Failed to record API key request:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ApiKey();
@@ -0,0 +1,359 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const AUDIT_EVENT_COLUMNS = `
+  id, actor_type, actor_id, action, target_user_id, changes, ip,
+  user_agent, created_at, prev_hash, entry_hash, signature, key_id,
+  signature_algorithm
+`;
+
+// Advisory lock key serializing appends so the hash chain never forks
+const AUDIT_CHAIN_LOCK = 73110;
+
+/**
+ * Build a WHERE clause from audit filters
+ * @param {Object} filters - Audit filters
+ * @returns {Object} SQL clause and parameter values
+ */
+const buildFilters = (filters = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (filters.actorId) {
+    values.push(filters.actorId);
+    conditions.push(`actor_id = $${values.length}`);
+  }
+
+  if (filters.targetUserId) {
+    values.push(filters.targetUserId);
+    conditions.push(`target_user_id = $${values.length}`);
+  }
+
+  if (filters.action) {
+    values.push(filters.action);
+    conditions.push(`action = $${values.length}`);
+  }
+
+  if (filters.from) {
+    values.push(filters.from);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+
+  if (filters.to) {
+    values.push(filters.to);
+    conditions.push(`created_at <= $${values.length}`);
+  }
+
+  return {
+    clause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    values,
+  };
+};
+
+class AuditEvent {
+  constructor() {
+    this.tableName = 'audit_events';
+  }
+
+  /**
+   * Append an audit event to the hash chain
+   * Appends are serialized with an advisory lock; the event's id and
+   * timestamp are fixed before sealing so the seal covers them
+   * @param {Object} eventData - Audit event data
+   * @param {string} eventData.actorType - user, api_key or system
+   * @param {string|null} eventData.actorId - ID of the acting user or API key
+   * @param {string} eventData.action - Action name, e.g. user.updated
+   * @param {string|null} eventData.targetUserId - Affected user ID
+   * @param {Object} eventData.changes - Field diff ({ field: { before, after } })
+   * @param {string|null} eventData.ip - Client IP
+   * @param {string|null} eventData.userAgent - Client user agent
+   * @param {Function} seal - (event, prevHash) => { entryHash, signature, keyId }
+   * @returns {Promise<Object>} Created audit event
+   */
+  async create(eventData, seal) {
+    const pool = databaseService.getDatabase();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [
+        AUDIT_CHAIN_LOCK,
+      ]);
+
+      const last = await client.query(
+        'SELECT entry_hash FROM audit_events ORDER BY id DESC LIMIT 1'
+      );
+      const prevHash = last.rows.length > 0 ? last.rows[0].entry_hash : null;
+
+      const next = await client.query(`
+        SELECT nextval(pg_get_serial_sequence('audit_events', 'id')) AS id
+      `);
+
+      const event = {
+        id: String(next.rows[0].id),
+        actor_type: eventData.actorType,
+        actor_id: eventData.actorId || null,
+        action: eventData.action,
+        target_user_id: eventData.targetUserId || null,
+        changes: eventData.changes || {},
+        ip: eventData.ip || null,
+        user_agent: eventData.userAgent || null,
+        created_at: new Date(),
+      };
+      const { entryHash, signature, keyId, algorithm } = seal(event, prevHash);
+
+      const query = `
+        INSERT INTO audit_events (
+          id, actor_type, actor_id, action, target_user_id, changes, ip,
+          user_agent, created_at, prev_hash, entry_hash, signature, key_id,
+          signature_algorithm
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING ${AUDIT_EVENT_COLUMNS}
+      `;
+
+      const values = [
+        event.id,
+        event.actor_type,
+        event.actor_id,
+        event.action,
+        event.target_user_id,
+        JSON.stringify(event.changes),
+        event.ip,
+        event.user_agent,
+        event.created_at,
+        prevHash,
+        entryHash,
+        signature,
+        keyId,
+        algorithm,
+      ];
+
+      const result = await client.query(query, values);
+      await client.query('COMMIT');
+
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to create audit event:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rewrite events whose changes carry plaintext emails
+   * Walks them in batches; each event is rewritten together with its signed
+   * redaction record, since its entry hash no longer covers the new changes
+   * @param {Function} redact - (changes) => changes without plaintext emails
+   * @param {Function} seal - (event, changes) => { originalEntryHash,
+   *   redactionHash, signature, keyId, algorithm }, or null to rewrite
+   *   without a record (unchained or already altered events)
+   * @param {number} batchSize - Events per batch
+   * @returns {Promise<number>} Number of events redacted
+   */
+  async redactEmails(redact, seal, batchSize) {
+    const pool = databaseService.getDatabase();
+    let redacted = 0;
+
+    try {
+      for (;;) {
+        const result = await pool.query(
+          `
+            SELECT id
+            FROM audit_events
+            WHERE changes ? 'email'
+            ORDER BY id
+            LIMIT $1
+          `,
+          [batchSize]
+        );
+        if (result.rows.length === 0) {
+          break;
+        }
+
+        for (const { id } of result.rows) {
+          redacted += await this.redactEvent(id, redact, seal);
+        }
+      }
+
+      return redacted;
+    } catch (error) {
+      logger.error('Failed to redact audit event emails:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite one event and store its redaction record in one transaction
+   * @returns {Promise<number>} 1 if the event was rewritten, else 0
+   */
+  async redactEvent(eventId, redact, seal) {
+    const pool = databaseService.getDatabase();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `
+          SELECT ${AUDIT_EVENT_COLUMNS}
+          FROM audit_events
+          WHERE id = $1 AND changes ? 'email'
+          FOR UPDATE
+        `,
+        [eventId]
+      );
+      const event = result.rows[0];
+      if (!event) {
+        await client.query('COMMIT');
+        return 0;
+      }
+
+      const changes = redact(event.changes);
+      const record = seal(event, changes);
+
+      await client.query('UPDATE audit_events SET changes = $1 WHERE id = $2', [
+        JSON.stringify(changes),
+        event.id,
+      ]);
+      if (record) {
+        await client.query(
+          `
+            INSERT INTO audit_redactions (
+              event_id, original_entry_hash, redaction_hash, signature,
+              key_id, signature_algorithm
+            )
+            VALUES ($1, $2, $3, $4, $5, $6)
+          `,
+          [
+            event.id,
+            record.originalEntryHash,
+            record.redactionHash,
+            record.signature,
+            record.keyId,
+            record.algorithm,
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+      return 1;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the redaction records of events
+   * @param {Array<string>} eventIds - Audit event IDs
+   * @returns {Promise<Array>} Redaction records
+   */
+  async findRedactions(eventIds) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT event_id, original_entry_hash, redaction_hash, signature,
+          key_id, signature_algorithm
+        FROM audit_redactions
+        WHERE event_id = ANY($1::bigint[])
+      `;
+
+      const result = await pool.query(query, [eventIds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve audit redactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a batch of audit events in chain order
+   * @param {string|number} afterId - Only events with a greater ID
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array>} Array of audit events, oldest first
+   */
+  async findChainBatch(afterId, limit) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${AUDIT_EVENT_COLUMNS}
+        FROM audit_events
+        WHERE id > $1
+        ORDER BY id ASC
+        LIMIT $2
+      `;
+
+      const result = await pool.query(query, [afterId, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve audit chain batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get audit events, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.actorId - Filter by actor
+   * @param {string} options.targetUserId - Filter by target user
+   * @param {string} options.action - Filter by action
+   * @param {Date} options.from - Only events at or after this time
+   * @param {Date} options.to - Only events at or before this time
+   * @param {number} options.limit - Number of events to return
+   * @param {number} options.offset - Number of events to skip
+   * @returns {Promise<Array>} Array of audit events
+   */
+  async findAll(options = {}) {
+    try {
+      const pool = databaseService.getDatabase();
+      const { clause, values } = buildFilters(options);
+      let query = `
+        SELECT ${AUDIT_EVENT_COLUMNS}
+        FROM audit_events
+        ${clause}
+        ORDER BY created_at DESC, id DESC
+      `;
+
+      if (options.limit) {
+        values.push(options.limit);
+        query += ` LIMIT $${values.length}`;
+      }
+
+      if (options.offset) {
+        values.push(options.offset);
+        query += ` OFFSET $${values.length}`;
+      }
+
+      const result = await pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve audit events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count audit events matching filters
+   * @param {Object} options - Filter options (see findAll)
+   * @returns {Promise<number>} Number of events
+   */
+  async count(options = {}) {
+    try {
+      const pool = databaseService.getDatabase();
+      const { clause, values } = buildFilters(options);
+      const query = `SELECT COUNT(*) as count FROM audit_events${clause}`;
+
+      const result = await pool.query(query, values);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Failed to count audit events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditEvent();
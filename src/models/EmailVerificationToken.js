@@ -0,0 +1,85 @@
+const databaseService = require('../services/database');
+const fieldEncryption = require('../utils/fieldEncryption');
+const logger = require('../utils/logger');
+
+class EmailVerificationToken {
+  constructor() {
+    this.tableName = 'email_verification_tokens';
+  }
+
+  /**
+   * Record an issued verification token
+   * Earlier unused tokens for the user are discarded, so only the latest
+   * one works
+   * @param {Object} tokenData - Verification token data
+   * @param {string} tokenData.id - Token ID (JWT jti)
+   * @param {string} tokenData.userId - User the token verifies
+   * @param {string} tokenData.email - Email address being verified
+   * @param {Date} tokenData.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created verification token row
+   */
+  async create(tokenData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        WITH discarded AS (
+          DELETE FROM email_verification_tokens
+          WHERE user_id = $2 AND used_at IS NULL
+        )
+        INSERT INTO email_verification_tokens (
+          id, user_id, email_index, expires_at
+        )
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, user_id, expires_at, used_at, created_at
+      `;
+
+      const result = await pool.query(query, [
+        tokenData.id,
+        tokenData.userId,
+        fieldEncryption.emailIndex(tokenData.email),
+        tokenData.expiresAt,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to store email verification token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a verification token as used
+   * Succeeds at most once per token, and only for the email it was issued
+   * for, so changing a pending user's email voids earlier tokens
+   * @param {string} tokenId - Token ID (JWT jti)
+   * @param {string} userId - User the token must belong to
+   * @param {string} email - The user's current email
+   * @returns {Promise<Object|null>} Consumed token row or null if unusable
+   */
+  async consume(tokenId, userId, email) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE email_verification_tokens
+        SET used_at = NOW()
+        WHERE id = $1
+          AND user_id = $2
+          AND email_index = $3
+          AND used_at IS NULL
+          AND expires_at > NOW()
+        RETURNING id, user_id, expires_at, used_at, created_at
+      `;
+
+      const result = await pool.query(query, [
+        tokenId,
+        userId,
+        fieldEncryption.emailIndex(email),
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to consume email verification token:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmailVerificationToken();
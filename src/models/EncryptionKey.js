@@ -0,0 +1,66 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const ENCRYPTION_KEY_COLUMNS = 'key_id, purpose, wrapped_key, created_at';
+
+// Advisory lock key serializing data key creation across instances
+const ENCRYPTION_KEYS_LOCK = 73112;
+
+class EncryptionKey {
+  constructor() {
+    this.tableName = 'encryption_keys';
+  }
+
+  /**
+   * Get the data keys for a purpose, creating the first one if needed
+   * Instances starting together queue on the lock; the first inserts the
+   * seed key, the rest load it
+   * @param {string} purpose - What the keys encrypt, e.g. users.email
+   * @param {Function} seed - () => { keyId, wrappedKey } to insert if
+   *   there is no key yet
+   * @returns {Promise<Array>} Every key for the purpose, oldest first
+   */
+  async initialize(purpose, seed) {
+    const pool = databaseService.getDatabase();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [
+        ENCRYPTION_KEYS_LOCK,
+      ]);
+
+      const query = `
+        SELECT ${ENCRYPTION_KEY_COLUMNS}
+        FROM encryption_keys
+        WHERE purpose = $1
+        ORDER BY created_at
+      `;
+
+      let result = await client.query(query, [purpose]);
+      if (result.rows.length === 0) {
+        const key = seed();
+        await client.query(
+          `
+            INSERT INTO encryption_keys (key_id, purpose, wrapped_key)
+            VALUES ($1, $2, $3)
+          `,
+          [key.keyId, purpose, key.wrappedKey]
+        );
+        logger.info('Data key created', { keyId: key.keyId, purpose });
+        result = await client.query(query, [purpose]);
+      }
+
+      await client.query('COMMIT');
+      return result.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to initialize data keys:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new EncryptionKey();
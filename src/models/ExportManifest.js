@@ -0,0 +1,65 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const EXPORT_MANIFEST_COLUMNS =
+  'id, manifest, actor_type, actor_id, created_at';
+
+class ExportManifest {
+  constructor() {
+    this.tableName = 'export_manifests';
+  }
+
+  /**
+   * Store the signed manifest of an export
+   * @param {Object} manifestData - Manifest data
+   * @param {Object} manifestData.manifest - Signed manifest (manifest.exportId is the ID)
+   * @param {string} manifestData.actorType - user, api_key or system
+   * @param {string|null} manifestData.actorId - Who exported
+   * @returns {Promise<Object>} Created manifest row
+   */
+  async create(manifestData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO export_manifests (id, manifest, actor_type, actor_id)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${EXPORT_MANIFEST_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [
+        manifestData.manifest.exportId,
+        JSON.stringify(manifestData.manifest),
+        manifestData.actorType,
+        manifestData.actorId || null,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to store export manifest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the manifest of an export
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object|null>} Manifest row or null if not found
+   */
+  async findById(exportId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${EXPORT_MANIFEST_COLUMNS}
+        FROM export_manifests
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [exportId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve export manifest:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExportManifest();
@@ -0,0 +1,302 @@
+const databaseService = require('../services/database');
+const fieldEncryption = require('../utils/fieldEncryption');
+const logger = require('../utils/logger');
+
+// Additional data binding an encrypted email to its row
+const emailContext = invitationId => `invitations.email:${invitationId}`;
+
+// Derived rather than stored, so expiry needs no background job
+const INVITATION_STATUS = `
+  CASE
+    WHEN invitations.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN invitations.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN invitations.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END
+`;
+
+const INVITATION_COLUMNS = `
+  invitations.id, invitations.email, invitations.role, invitations.invited_by, invitations.expires_at, invitations.sent_at,
+  invitations.accepted_at, invitations.accepted_user_id,
+  invitations.revoked_at, invitations.created_at,
+  ${INVITATION_STATUS} AS status
+`;
+
+/**
+ * Decrypt the email of an invitation row
+ * The inviter's email is decrypted like in models/User
+ */
+const decryptInvitation = row =>
+  row && {
+    ...row,
+    email: fieldEncryption.decrypt(row.email, emailContext(row.id)),
+    ...(row.invited_by_email !== undefined && {
+      invited_by_email:
+        row.invited_by_email &&
+        fieldEncryption.decrypt(
+          row.invited_by_email,
+          `users.email:${row.invited_by}`
+        ),
+    }),
+  };
+
+class Invitation {
+  constructor() {
+    this.tableName = 'invitations';
+    this.statuses = ['pending', 'accepted', 'revoked', 'expired'];
+  }
+
+  /**
+   * Create an invitation
+   * Expired invitations for the same email are revoked first, so only one
+   * open invitation exists per email
+   * @param {Object} invitationData - Invitation data
+   * @param {string} invitationData.id - Invitation ID (UUID)
+   * @param {string} invitationData.email - Email address invited
+   * @param {string} invitationData.role - Role the account is created with
+   * @param {string} invitationData.tokenId - ID of the current invite token
+   * @param {string} invitationData.invitedBy - ID of the inviting admin
+   * @param {Date} invitationData.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created invitation
+   */
+  async create(invitationData) {
+    const emailIndex = fieldEncryption.emailIndex(invitationData.email);
+    const pool = databaseService.getDatabase();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `
+          UPDATE invitations
+          SET revoked_at = NOW()
+          WHERE email_index = $1
+            AND accepted_at IS NULL
+            AND revoked_at IS NULL
+            AND expires_at <= NOW()
+        `,
+        [emailIndex]
+      );
+
+      const result = await client.query(
+        `
+          INSERT INTO invitations (
+            id, email, email_index, role, token_id, invited_by, expires_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING ${INVITATION_COLUMNS}
+        `,
+        [
+          invitationData.id,
+          fieldEncryption.encrypt(
+            invitationData.email,
+            emailContext(invitationData.id)
+          ),
+          emailIndex,
+          invitationData.role,
+          invitationData.tokenId,
+          invitationData.invitedBy,
+          invitationData.expiresAt,
+        ]
+      );
+      await client.query('COMMIT');
+
+      logger.info('Invitation created successfully', {
+        invitationId: invitationData.id,
+        role: invitationData.role,
+      });
+
+      return decryptInvitation(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Another invitation for this email is still open
+      if (error.code === '23505') {
+        throw new Error('Invitation already pending');
+      }
+      logger.error('Failed to create invitation:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get invitations with the admin who sent them, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.status - Optional status filter
+   * @returns {Promise<Array>} Array of invitations
+   */
+  async findAll(options = {}) {
+    try {
+      const pool = databaseService.getDatabase();
+      const values = [];
+      let whereClause = '';
+
+      if (options.status) {
+        values.push(options.status);
+        whereClause = `WHERE ${INVITATION_STATUS} = $1`;
+      }
+
+      const query = `
+        SELECT ${INVITATION_COLUMNS}, inviters.email AS invited_by_email
+        FROM invitations
+        LEFT JOIN users inviters ON inviters.id = invitations.invited_by
+        ${whereClause}
+        ORDER BY invitations.created_at DESC
+      `;
+
+      const result = await pool.query(query, values);
+      return result.rows.map(decryptInvitation);
+    } catch (error) {
+      logger.error('Failed to retrieve invitations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an invitation by ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object|null>} Invitation or null if not found
+   */
+  async findById(invitationId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${INVITATION_COLUMNS}
+        FROM invitations
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [invitationId]);
+      return decryptInvitation(result.rows[0]) || null;
+    } catch (error) {
+      logger.error('Failed to retrieve invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the invite token of an open invitation
+   * Earlier tokens stop working; expired invitations can be renewed
+   * @param {string} invitationId - Invitation ID
+   * @param {string} tokenId - ID of the new invite token
+   * @param {Date} expiresAt - New expiry timestamp
+   * @returns {Promise<Object|null>} Updated invitation or null if not open
+   */
+  async rotateToken(invitationId, tokenId, expiresAt) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE invitations
+        SET token_id = $2, expires_at = $3, sent_at = NOW()
+        WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+        RETURNING ${INVITATION_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [
+        invitationId,
+        tokenId,
+        expiresAt,
+      ]);
+      return decryptInvitation(result.rows[0]) || null;
+    } catch (error) {
+      logger.error('Failed to renew invitation token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an open invitation
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object|null>} Revoked invitation or null if not open
+   */
+  async revoke(invitationId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE invitations
+        SET revoked_at = NOW()
+        WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+        RETURNING ${INVITATION_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [invitationId]);
+      return decryptInvitation(result.rows[0]) || null;
+    } catch (error) {
+      logger.error('Failed to revoke invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an invitation for acceptance
+   * Succeeds at most once, only with the current token and before expiry
+   * @param {string} invitationId - Invitation ID
+   * @param {string} tokenId - ID of the presented invite token
+   * @returns {Promise<Object|null>} Claimed invitation or null if unusable
+   */
+  async claim(invitationId, tokenId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE invitations
+        SET accepted_at = NOW()
+        WHERE id = $1
+          AND token_id = $2
+          AND accepted_at IS NULL
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+        RETURNING ${INVITATION_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [invitationId, tokenId]);
+      return decryptInvitation(result.rows[0]) || null;
+    } catch (error) {
+      logger.error('Failed to claim invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the account created from a claimed invitation
+   * @param {string} invitationId - Invitation ID
+   * @param {string} userId - ID of the new user
+   * @returns {Promise<void>}
+   */
+  async markAccepted(invitationId, userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      await pool.query(
+        'UPDATE invitations SET accepted_user_id = $2 WHERE id = $1',
+        [invitationId, userId]
+      );
+    } catch (error) {
+      logger.error('Failed to record accepted invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a claimed invitation whose account could not be created
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<void>}
+   */
+  async release(invitationId) {
+    try {
+      const pool = databaseService.getDatabase();
+      await pool.query(
+        `
+          UPDATE invitations
+          SET accepted_at = NULL
+          WHERE id = $1 AND accepted_user_id IS NULL
+        `,
+        [invitationId]
+      );
+    } catch (error) {
+      logger.error('Failed to release invitation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Invitation();
@@ -0,0 +1,67 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+class PasswordResetToken {
+  constructor() {
+    this.tableName = 'password_reset_tokens';
+  }
+
+  /**
+   * Record an issued reset token
+   * @param {Object} tokenData - Reset token data
+   * @param {string} tokenData.id - Token ID (JWT jti)
+   * @param {string} tokenData.userId - User the token resets
+   * @param {Date} tokenData.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created reset token row
+   */
+  async create(tokenData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO password_reset_tokens (id, user_id, expires_at)
+        VALUES ($1, $2, $3)
+        RETURNING id, user_id, expires_at, used_at, created_at
+      `;
+
+      const result = await pool.query(query, [
+        tokenData.id,
+        tokenData.userId,
+        tokenData.expiresAt,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to store password reset token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a reset token as used
+   * Succeeds at most once per token, so concurrent redemptions cannot both win
+   * @param {string} tokenId - Token ID (JWT jti)
+   * @param {string} userId - User the token must belong to
+   * @returns {Promise<Object|null>} Consumed token row or null if unusable
+   */
+  async consume(tokenId, userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE password_reset_tokens
+        SET used_at = NOW()
+        WHERE id = $1
+          AND user_id = $2
+          AND used_at IS NULL
+          AND expires_at > NOW()
+        RETURNING id, user_id, expires_at, used_at, created_at
+      `;
+
+      const result = await pool.query(query, [tokenId, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to consume password reset token:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PasswordResetToken();
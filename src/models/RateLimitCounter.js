@@ -0,0 +1,120 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+class RateLimitCounter {
+  constructor() {
+    this.tableName = 'rate_limit_counters';
+  }
+
+  /**
+   * Count a hit, starting a new window if the last one has ended
+   * Atomic, so concurrent requests on different instances are all counted
+   * @param {string} key - Policy prefix and caller
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} Counter row (hits, reset_at)
+   */
+  async increment(key, windowMs) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO rate_limit_counters (key, hits, reset_at)
+        VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+        ON CONFLICT (key) DO UPDATE SET
+          hits = CASE
+            WHEN rate_limit_counters.reset_at <= NOW() THEN 1
+            ELSE rate_limit_counters.hits + 1
+          END,
+          reset_at = CASE
+            WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at
+            ELSE rate_limit_counters.reset_at
+          END
+        RETURNING key, hits, reset_at
+      `;
+
+      const result = await pool.query(query, [key, windowMs]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to increment rate limit counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the counter of a key, if its window is still open
+   * @param {string} key - Policy prefix and caller
+   * @returns {Promise<Object|null>} Counter row or null
+   */
+  async findByKey(key) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT key, hits, reset_at
+        FROM rate_limit_counters
+        WHERE key = $1 AND reset_at > NOW()
+      `;
+
+      const result = await pool.query(query, [key]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve rate limit counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take back a hit (requests express-rate-limit is told to skip)
+   * @param {string} key - Policy prefix and caller
+   */
+  async decrement(key) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE rate_limit_counters
+        SET hits = GREATEST(hits - 1, 0)
+        WHERE key = $1 AND reset_at > NOW()
+      `;
+
+      await pool.query(query, [key]);
+    } catch (error) {
+      logger.error('Failed to decrement rate limit counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the counter of a key
+   * @param {string} key - Policy prefix and caller
+   */
+  async delete(key) {
+    try {
+      const pool = databaseService.getDatabase();
+      await pool.query('DELETE FROM rate_limit_counters WHERE key = $1', [key]);
+    } catch (error) {
+      logger.error('Failed to delete rate limit counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete counters whose window has ended
+   * @param {string} prefix - Only keys of this policy
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  async deleteExpired(prefix) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        DELETE FROM rate_limit_counters
+        WHERE reset_at <= NOW() AND starts_with(key, $1)
+      `;
+
+      const result = await pool.query(query, [prefix]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to delete expired rate limit counters:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RateLimitCounter();
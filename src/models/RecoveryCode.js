@@ -0,0 +1,104 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+class RecoveryCode {
+  constructor() {
+    this.tableName = 'recovery_codes';
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {string} userId - User ID
+   * @param {Array<string>} codeHashes - SHA-256 hashes of the new codes
+   */
+  async replaceForUser(userId, codeHashes) {
+    const pool = databaseService.getDatabase();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [
+        userId,
+      ]);
+      await client.query(
+        `
+          INSERT INTO recovery_codes (user_id, code_hash)
+          SELECT $1, unnest($2::varchar[])
+        `,
+        [userId, codeHashes]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to store recovery codes:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Use a recovery code
+   * Succeeds at most once per code, so concurrent logins cannot both win
+   * @param {string} userId - User ID
+   * @param {string} codeHash - SHA-256 hash of the presented code
+   * @returns {Promise<boolean>} True if an unused code matched
+   */
+  async consume(userId, codeHash) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE recovery_codes
+        SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING id
+      `;
+
+      const result = await pool.query(query, [userId, codeHash]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Failed to use recovery code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a user's unused recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unused codes
+   */
+  async countUnused(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT COUNT(*) AS count
+        FROM recovery_codes
+        WHERE user_id = $1 AND used_at IS NULL
+      `;
+
+      const result = await pool.query(query, [userId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Failed to count recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all of a user's recovery codes
+   * @param {string} userId - User ID
+   */
+  async deleteForUser(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [
+        userId,
+      ]);
+    } catch (error) {
+      logger.error('Failed to delete recovery codes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RecoveryCode();
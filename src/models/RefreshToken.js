@@ -0,0 +1,217 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+class RefreshToken {
+  constructor() {
+    this.tableName = 'refresh_tokens';
+  }
+
+  /**
+   * Store a new refresh token
+   * @param {Object} tokenData - Refresh token data
+   * @param {string} tokenData.userId - Owner user ID
+   * @param {string} tokenData.familyId - Rotation family the token belongs to
+   * @param {string} tokenData.tokenHash - SHA-256 hash of the opaque token
+   * @param {Date} tokenData.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created refresh token row
+   */
+  async create(tokenData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, user_id, family_id, expires_at, revoked_at, replaced_by, created_at
+      `;
+
+      const values = [
+        tokenData.userId,
+        tokenData.familyId,
+        tokenData.tokenHash,
+        tokenData.expiresAt,
+      ];
+
+      const result = await pool.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to store refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get refresh token by its hash
+   * @param {string} tokenHash - SHA-256 hash of the opaque token
+   * @returns {Promise<Object|null>} Refresh token row or null if not found
+   */
+  async findByTokenHash(tokenHash) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT id, user_id, family_id, expires_at, revoked_at, replaced_by, created_at
+        FROM refresh_tokens
+        WHERE token_hash = $1
+      `;
+
+      const result = await pool.query(query, [tokenHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a single refresh token
+   * @param {string} tokenId - Refresh token ID
+   * @param {string|null} replacedBy - ID of the token that replaced it
+   * @returns {Promise<boolean>} True if a token was revoked
+   */
+  async revoke(tokenId, replacedBy = null) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(), replaced_by = $2
+        WHERE id = $1 AND revoked_at IS NULL
+      `;
+
+      const result = await pool.query(query, [tokenId, replacedBy]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to revoke refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record which token replaced a rotated one
+   * @param {string} tokenId - Rotated refresh token ID
+   * @param {string} replacedBy - ID of the token that replaced it
+   * @returns {Promise<void>}
+   */
+  async setReplacedBy(tokenId, replacedBy) {
+    try {
+      const pool = databaseService.getDatabase();
+      await pool.query(
+        'UPDATE refresh_tokens SET replaced_by = $2 WHERE id = $1',
+        [tokenId, replacedBy]
+      );
+    } catch (error) {
+      logger.error('Failed to record refresh token replacement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token in a rotation family
+   * The family's session is marked revoked too, which ends the access
+   * tokens issued to it
+   * @param {string} familyId - Rotation family ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeFamily(familyId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        WITH revoked_tokens AS (
+          UPDATE refresh_tokens
+          SET revoked_at = NOW()
+          WHERE family_id = $1 AND revoked_at IS NULL
+          RETURNING id
+        ), revoked_session AS (
+          UPDATE sessions
+          SET revoked_at = COALESCE(revoked_at, NOW())
+          WHERE id = $1
+        )
+        SELECT COUNT(*)::int AS revoked FROM revoked_tokens
+      `;
+
+      const result = await pool.query(query, [familyId]);
+      const { revoked } = result.rows[0];
+
+      logger.info('Refresh token family revoked', { familyId, revoked });
+
+      return revoked;
+    } catch (error) {
+      logger.error('Failed to revoke refresh token family:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a rotation family, only if it belongs to the user
+   * @param {string} familyId - Rotation family ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<number>} Number of revoked tokens (0 if the family is
+   *   unknown, someone else's or already revoked)
+   */
+  async revokeFamilyForUser(familyId, userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        WITH revoked_tokens AS (
+          UPDATE refresh_tokens
+          SET revoked_at = NOW()
+          WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL
+          RETURNING id
+        ), revoked_session AS (
+          UPDATE sessions
+          SET revoked_at = COALESCE(revoked_at, NOW())
+          WHERE id = $1 AND user_id = $2
+        )
+        SELECT COUNT(*)::int AS revoked FROM revoked_tokens
+      `;
+
+      const result = await pool.query(query, [familyId, userId]);
+      const { revoked } = result.rows[0];
+
+      logger.info('Refresh token family revoked', {
+        familyId,
+        userId,
+        revoked,
+      });
+
+      return revoked;
+    } catch (error) {
+      logger.error('Failed to revoke refresh token family:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every refresh token a user holds, and all their sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        WITH revoked_tokens AS (
+          UPDATE refresh_tokens
+          SET revoked_at = NOW()
+          WHERE user_id = $1 AND revoked_at IS NULL
+          RETURNING id
+        ), revoked_sessions AS (
+          UPDATE sessions
+          SET revoked_at = COALESCE(revoked_at, NOW())
+          WHERE user_id = $1
+        )
+        SELECT COUNT(*)::int AS revoked FROM revoked_tokens
+      `;
+
+      const result = await pool.query(query, [userId]);
+      const { revoked } = result.rows[0];
+
+      logger.info('All refresh tokens revoked for user', { userId, revoked });
+
+      return revoked;
+    } catch (error) {
+      logger.error('Failed to revoke user refresh tokens:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RefreshToken();
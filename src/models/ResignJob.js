@@ -0,0 +1,214 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const RESIGN_JOB_COLUMNS = `
+  id, status, key_id, email_hash_version, cursor_user_id, processed, skipped,
+  total, error, started_by, started_at, updated_at, completed_at
+`;
+
+class ResignJob {
+  constructor() {
+    this.tableName = 'resign_jobs';
+  }
+
+  /**
+   * Create a running re-signing job
+   * @param {Object} jobData - Job data
+   * @param {string} jobData.keyId - Signing key the job signs with
+   * @param {number} jobData.emailHashVersion - Email hash version it writes
+   * @param {number} jobData.total - Number of users when the job started
+   * @param {string|null} jobData.startedBy - ID of the admin who started it
+   * @returns {Promise<Object>} Created job
+   */
+  async create(jobData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO resign_jobs (key_id, email_hash_version, total, started_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${RESIGN_JOB_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [
+        jobData.keyId,
+        jobData.emailHashVersion,
+        jobData.total,
+        jobData.startedBy || null,
+      ]);
+      const job = result.rows[0];
+
+      logger.info('Re-signing job created', {
+        jobId: job.id,
+        keyId: job.key_id,
+        emailHashVersion: job.email_hash_version,
+        total: job.total,
+      });
+
+      return job;
+    } catch (error) {
+      logger.error('Failed to create re-signing job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async findById(jobId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${RESIGN_JOB_COLUMNS}
+        FROM resign_jobs
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve re-signing job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent jobs, newest first
+   * @param {number} limit - Number of jobs to return
+   * @returns {Promise<Array>} Array of jobs
+   */
+  async findRecent(limit = 20) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${RESIGN_JOB_COLUMNS}
+        FROM resign_jobs
+        ORDER BY started_at DESC
+        LIMIT $1
+      `;
+
+      const result = await pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve re-signing jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent job that has not completed
+   * @returns {Promise<Object|null>} Running or failed job, or null
+   */
+  async findUnfinished() {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT ${RESIGN_JOB_COLUMNS}
+        FROM resign_jobs
+        WHERE status IN ('running', 'failed')
+        ORDER BY started_at DESC
+        LIMIT 1
+      `;
+
+      const result = await pool.query(query);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve unfinished re-signing job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a job so this process can run it
+   * Failed jobs can always be claimed; running jobs only once their
+   * progress heartbeat is older than staleAfterMs (their process died)
+   * @param {string} jobId - Job ID
+   * @param {number} staleAfterMs - Heartbeat age after which a run is dead
+   * @returns {Promise<Object|null>} Claimed job, or null if it is owned elsewhere
+   */
+  async claim(jobId, staleAfterMs) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE resign_jobs
+        SET status = 'running', error = NULL, updated_at = NOW()
+        WHERE id = $1
+          AND (
+            status = 'failed'
+            OR (
+              status = 'running'
+              AND updated_at < NOW() - $2 * INTERVAL '1 millisecond'
+            )
+          )
+        RETURNING ${RESIGN_JOB_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [jobId, staleAfterMs]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to claim re-signing job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record progress after a batch; also serves as the run's heartbeat
+   * @param {string} jobId - Job ID
+   * @param {Object} progress - cursorUserId, processed and skipped
+   * @returns {Promise<void>}
+   */
+  async recordProgress(jobId, progress) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE resign_jobs
+        SET cursor_user_id = $1, processed = $2, skipped = $3, updated_at = NOW()
+        WHERE id = $4
+      `;
+
+      await pool.query(query, [
+        progress.cursorUserId,
+        progress.processed,
+        progress.skipped,
+        jobId,
+      ]);
+    } catch (error) {
+      logger.error('Failed to record re-signing progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a job to a final (or failed) status
+   * @param {string} jobId - Job ID
+   * @param {string} status - completed, failed or superseded
+   * @param {string|null} errorMessage - Failure reason
+   * @returns {Promise<void>}
+   */
+  async finish(jobId, status, errorMessage = null) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE resign_jobs
+        SET status = $1,
+            error = $2,
+            updated_at = NOW(),
+            completed_at = $3
+        WHERE id = $4
+      `;
+
+      await pool.query(query, [
+        status,
+        errorMessage,
+        status === 'completed' ? new Date() : null,
+        jobId,
+      ]);
+    } catch (error) {
+      logger.error('Failed to finish re-signing job:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ResignJob();
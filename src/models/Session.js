@@ -0,0 +1,99 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+class Session {
+  constructor() {
+    this.tableName = 'sessions';
+  }
+
+  /**
+   * Record that a session issued tokens
+   * Creates the session on first use, so families issued before sessions
+   * were tracked appear once they refresh
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData.id - Refresh token family ID
+   * @param {string} sessionData.userId - Owner user ID
+   * @param {string|null} sessionData.ip - Client IP address
+   * @param {string|null} sessionData.userAgent - Client user agent
+   * @returns {Promise<Object>} Session row
+   */
+  async touch(sessionData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        INSERT INTO sessions (id, user_id, ip, user_agent)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (id) DO UPDATE
+        SET ip = EXCLUDED.ip,
+          user_agent = EXCLUDED.user_agent,
+          last_used_at = NOW()
+        RETURNING id, user_id, user_agent, ip, created_at, last_used_at
+      `;
+
+      const values = [
+        sessionData.id,
+        sessionData.userId,
+        sessionData.ip || null,
+        sessionData.userAgent || null,
+      ];
+
+      const result = await pool.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to record session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a session was revoked
+   * Unknown sessions count as revoked
+   * @param {string} sessionId - Session (refresh token family) ID
+   * @returns {Promise<boolean>} True if access tokens of the session are void
+   */
+  async isRevoked(sessionId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const result = await pool.query(
+        'SELECT revoked_at FROM sessions WHERE id = $1',
+        [sessionId]
+      );
+      return !result.rows[0] || result.rows[0].revoked_at !== null;
+    } catch (error) {
+      logger.error('Failed to check session revocation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * A session is active while its family holds an unrevoked, unexpired
+   * refresh token
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Session rows with expires_at
+   */
+  async findActiveByUser(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT s.id, s.user_agent, s.ip, s.created_at, s.last_used_at,
+          MAX(t.expires_at) AS expires_at
+        FROM sessions s
+        JOIN refresh_tokens t ON t.family_id = s.id
+        WHERE s.user_id = $1
+          AND t.revoked_at IS NULL
+          AND t.expires_at > NOW()
+        GROUP BY s.id
+        ORDER BY s.last_used_at DESC
+      `;
+
+      const result = await pool.query(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new Session();
@@ -0,0 +1,173 @@
+const databaseService = require('../services/database');
+const logger = require('../utils/logger');
+
+const SIGNING_KEY_COLUMNS = `
+  key_id, algorithm, status, public_key, private_key, is_legacy,
+  created_at, rotated_at, retired_at
+`;
+
+// Advisory lock key serializing keyring changes across instances
+const SIGNING_KEYS_LOCK = 73111;
+
+/**
+ * Insert a key row
+ * @param {Object} client - Client inside the keyring transaction
+ * @param {Object} key - keyId, algorithm, status, publicKey, privateKey
+ *   (encrypted PEM or null), legacy and createdAt
+ */
+const insertKey = (client, key) =>
+  client.query(
+    `
+      INSERT INTO signing_keys (
+        key_id, algorithm, status, public_key, private_key, is_legacy,
+        created_at, rotated_at, retired_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `,
+    [
+      key.keyId,
+      key.algorithm,
+      key.status,
+      key.publicKey,
+      key.privateKey || null,
+      Boolean(key.legacy),
+      key.createdAt || new Date(),
+      key.rotatedAt || null,
+      key.retiredAt || null,
+    ]
+  );
+
+class SigningKey {
+  constructor() {
+    this.tableName = 'signing_keys';
+  }
+
+  /**
+   * Run a keyring change while holding the keyring lock
+   * @param {Function} change - async client => void
+   * @returns {Promise<Array>} Every key after the change
+   */
+  async withLock(change) {
+    const pool = databaseService.getDatabase();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [
+        SIGNING_KEYS_LOCK,
+      ]);
+
+      await change(client);
+
+      const result = await client.query(
+        `SELECT ${SIGNING_KEY_COLUMNS} FROM signing_keys ORDER BY created_at`
+      );
+      await client.query('COMMIT');
+
+      return result.rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get every key, oldest first
+   * @returns {Promise<Array>} Array of keys
+   */
+  async findAll() {
+    try {
+      const pool = databaseService.getDatabase();
+      const result = await pool.query(
+        `SELECT ${SIGNING_KEY_COLUMNS} FROM signing_keys ORDER BY created_at`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to retrieve signing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the keyring, creating it on first boot
+   * Instances starting together queue on the lock; the first finds the
+   * table empty and inserts the seed keys, the rest load them
+   * @param {Function} seed - () => Array of keys to insert if there are none
+   * @returns {Promise<Array>} Every key
+   */
+  async initialize(seed) {
+    try {
+      return await this.withLock(async client => {
+        const existing = await client.query(
+          'SELECT 1 FROM signing_keys LIMIT 1'
+        );
+        if (existing.rows.length > 0) {
+          return;
+        }
+
+        const keys = seed();
+        for (const key of keys) {
+          await insertKey(client, key);
+        }
+        logger.info('Signing keyring created in the database', {
+          keys: keys.length,
+        });
+      });
+    } catch (error) {
+      logger.error('Failed to initialize signing keyring:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a new key active
+   * The previous active key becomes verify-only and loses its private key
+   * @param {Object} key - keyId, algorithm, publicKey and encrypted privateKey
+   * @returns {Promise<Array>} Every key
+   */
+  async rotate(key) {
+    try {
+      return await this.withLock(async client => {
+        await client.query(`
+          UPDATE signing_keys
+          SET status = 'verify-only', rotated_at = NOW(), private_key = NULL
+          WHERE status = 'active'
+        `);
+        await insertKey(client, { ...key, status: 'active' });
+      });
+    } catch (error) {
+      logger.error('Failed to rotate signing key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a verify-only key
+   * The public key is kept for audit event and export manifest verification
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object|null>} Retired key, or null unless it was
+   *   verify-only or already retired
+   */
+  async retire(keyId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE signing_keys
+        SET status = 'retired',
+            retired_at = COALESCE(retired_at, NOW())
+        WHERE key_id = $1 AND status IN ('verify-only', 'retired')
+        RETURNING ${SIGNING_KEY_COLUMNS}
+      `;
+
+      const result = await pool.query(query, [keyId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retire signing key:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SigningKey();
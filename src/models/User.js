@@ -1,5 +1,21 @@
 const databaseService = require('../services/database');
+const fieldEncryption = require('../utils/fieldEncryption');
 const logger = require('../utils/logger');
+const { isValidUuid } = require('../utils/validation');
+
+// Additional data binding an encrypted email to its row
+const emailContext = userId => `users.email:${userId}`;
+const totpSecretContext = userId => `users.totp_secret:${userId}`;
+
+/**
+ * Decrypt the email of a user row
+ * Emails are stored encrypted; callers only ever see plaintext
+ */
+const decryptUser = row =>
+  row && {
+    ...row,
+    email: fieldEncryption.decrypt(row.email, emailContext(row.id)),
+  };
 
 class User {
   constructor() {
@@ -8,37 +24,54 @@ class User {
 
   /**
    * Create a new user
+   * id and created_at are chosen by the caller because the signature covers them
    * @param {Object} userData - User data to create
+   * @param {string} userData.id - User ID (UUID)
    * @param {string} userData.email - User email
    * @param {string} userData.role - User role (admin, user, etc.)
    * @param {string} userData.status - User status (active, inactive)
    * @param {string} userData.emailHash - SHA-384 hash of email
    * @param {string} userData.signature - Digital signature
+   * @param {Date} userData.createdAt - Creation timestamp
+   * @param {string} userData.signatureKeyId - ID of the key that signed it
+   * @param {number} userData.signatureVersion - Signed payload version
+   * @param {string} userData.signatureAlgorithm - Algorithm of the signature
    * @returns {Promise<Object>} Created user object
    */
   async create(userData) {
     try {
       const pool = databaseService.getDatabase();
       const query = `
-        INSERT INTO users (email, role, status, email_hash, signature)
-        VALUES ($1, $2, $3, $4, $5)
-        RETURNING id, email, role, status, created_at, email_hash, signature
+        INSERT INTO users (
+          id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm,
+          email_index
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm,
+          failed_login_count, locked_until, totp_enabled_at
       `;
 
       const values = [
-        userData.email,
+        userData.id,
+        fieldEncryption.encrypt(userData.email, emailContext(userData.id)),
         userData.role || 'user',
         userData.status || 'active',
+        userData.createdAt,
         userData.emailHash,
         userData.signature,
+        userData.signatureKeyId || null,
+        userData.signatureVersion,
+        userData.signatureAlgorithm,
+        fieldEncryption.emailIndex(userData.email),
       ];
 
       const result = await pool.query(query, values);
-      const user = result.rows[0];
+      const user = decryptUser(result.rows[0]);
 
       logger.info('User created successfully', {
         userId: user.id,
-        email: user.email,
         role: user.role,
       });
 
@@ -62,7 +95,9 @@ class User {
     try {
       const pool = databaseService.getDatabase();
       let query = `
-        SELECT id, email, role, status, created_at, email_hash, signature
+        SELECT id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm,
+          failed_login_count, locked_until, totp_enabled_at
         FROM users
       `;
 
@@ -111,7 +146,7 @@ class User {
         filters: options,
       });
 
-      return result.rows;
+      return result.rows.map(decryptUser);
     } catch (error) {
       logger.error('Failed to retrieve users:', error);
       throw error;
@@ -135,7 +170,9 @@ class User {
 
       const pool = databaseService.getDatabase();
       const query = `
-        SELECT id, email, role, status, created_at, email_hash, signature
+        SELECT id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm,
+          failed_login_count, locked_until, totp_enabled_at
         FROM users
         WHERE id = $1
       `;
@@ -149,10 +186,9 @@ class User {
 
       logger.info('User retrieved successfully', {
         userId: result.rows[0].id,
-        email: result.rows[0].email,
       });
 
-      return result.rows[0];
+      return decryptUser(result.rows[0]);
     } catch (error) {
       logger.error('Failed to retrieve user:', error);
       throw error;
@@ -161,6 +197,7 @@ class User {
 
   /**
    * Get user by email
+   * Looked up by blind index, so case and surrounding whitespace are ignored
    * @param {string} email - User email
    * @returns {Promise<Object|null>} User object or null if not found
    */
@@ -168,37 +205,509 @@ class User {
     try {
       const pool = databaseService.getDatabase();
       const query = `
-        SELECT id, email, role, status, created_at, email_hash, signature
+        SELECT id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm,
+          failed_login_count, locked_until, totp_enabled_at
         FROM users
-        WHERE email = $1
+        WHERE email_index = $1
       `;
 
-      const result = await pool.query(query, [email]);
+      const result = await pool.query(query, [
+        fieldEncryption.emailIndex(email),
+      ]);
 
       if (result.rows.length === 0) {
-        logger.info('User not found by email', { email });
+        logger.info('User not found by email');
         return null;
       }
 
       logger.info('User retrieved by email successfully', {
         userId: result.rows[0].id,
-        email: result.rows[0].email,
       });
 
-      return result.rows[0];
+      return decryptUser(result.rows[0]);
     } catch (error) {
       logger.error('Failed to retrieve user by email:', error);
       throw error;
     }
   }
 
+  /**
+   * Get login credentials by email
+   * Only used for authentication; password hashes never leave the auth layer
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>} User with password_hash or null
+   */
+  async findCredentialsByEmail(email) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT id, email, role, status, password_hash, failed_login_count,
+          locked_until, totp_enabled_at
+        FROM users
+        WHERE email_index = $1
+      `;
+
+      const result = await pool.query(query, [
+        fieldEncryption.emailIndex(email),
+      ]);
+      return decryptUser(result.rows[0]) || null;
+    } catch (error) {
+      logger.error('Failed to retrieve user credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get login credentials by ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} User with password_hash or null
+   */
+  async findCredentialsById(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT id, email, role, status, password_hash
+        FROM users
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [userId]);
+      return decryptUser(result.rows[0]) || null;
+    } catch (error) {
+      logger.error('Failed to retrieve user credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a user's password hash
+   * Access tokens issued before the change stop working
+   * @param {string} userId - User ID
+   * @param {string} passwordHash - Encoded scrypt hash
+   * @returns {Promise<boolean>} True if the user was updated
+   */
+  async setPasswordHash(userId, passwordHash) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET password_hash = $1, tokens_valid_after = NOW()
+        WHERE id = $2
+      `;
+
+      const result = await pool.query(query, [passwordHash, userId]);
+
+      logger.info('User password updated', {
+        userId,
+        updated: result.rowCount > 0,
+      });
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to set user password:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed login
+   * The count restarts when the last failure is older than windowMs or a
+   * lock has run out, so old failures do not lock an account
+   * @param {string} userId - User ID
+   * @param {number} windowMs - Window failures are counted in
+   * @returns {Promise<number>} Failures in the current window
+   */
+  async recordLoginFailure(userId, windowMs) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET failed_login_count = CASE
+            WHEN last_failed_login_at IS NULL
+              OR last_failed_login_at <= NOW() - $2 * INTERVAL '1 millisecond'
+              OR locked_until <= NOW()
+            THEN 1
+            ELSE failed_login_count + 1
+          END,
+          last_failed_login_at = NOW()
+        WHERE id = $1
+        RETURNING failed_login_count
+      `;
+
+      const result = await pool.query(query, [userId, windowMs]);
+      return result.rows.length > 0 ? result.rows[0].failed_login_count : 0;
+    } catch (error) {
+      logger.error('Failed to record login failure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a user's account
+   * @param {string} userId - User ID
+   * @param {Date} lockedUntil - End of the lock
+   * @returns {Promise<Date|null>} End of the lock, or null if the account
+   *   was already locked (so each lock is reported once)
+   */
+  async lock(userId, lockedUntil) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET locked_until = $2
+        WHERE id = $1 AND (locked_until IS NULL OR locked_until <= NOW())
+        RETURNING locked_until
+      `;
+
+      const result = await pool.query(query, [userId, lockedUntil]);
+      return result.rows.length > 0 ? result.rows[0].locked_until : null;
+    } catch (error) {
+      logger.error('Failed to lock user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear failed logins and any lock
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Lock state before clearing
+   *   (failed_login_count, locked_until), or null if not found
+   */
+  async clearLoginFailures(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET failed_login_count = 0, last_failed_login_at = NULL,
+          locked_until = NULL
+        FROM (
+          SELECT id, failed_login_count, locked_until
+          FROM users
+          WHERE id = $1
+          FOR UPDATE
+        ) previous
+        WHERE users.id = previous.id
+        RETURNING previous.failed_login_count, previous.locked_until
+      `;
+
+      const result = await pool.query(query, [userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to clear login failures:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the state access tokens are checked against
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} status and tokens_valid_after (tokens
+   *   issued earlier are refused), or null if not found
+   */
+  async findTokenState(userId) {
+    try {
+      if (!isValidUuid(userId)) {
+        return null;
+      }
+
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT status, tokens_valid_after
+        FROM users
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to retrieve token state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's two-factor state
+   * Only used for authentication; the secret never leaves the auth layer
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} User with totp_secret (decrypted),
+   *   totp_enabled_at, totp_last_step and lockout fields, or null if not
+   *   found
+   */
+  async findTwoFactor(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT id, email, role, status, totp_secret, totp_enabled_at,
+          totp_last_step, failed_login_count, locked_until
+        FROM users
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [userId]);
+      const row = decryptUser(result.rows[0]);
+      if (!row) {
+        return null;
+      }
+
+      return {
+        ...row,
+        totp_secret:
+          row.totp_secret &&
+          fieldEncryption.decrypt(row.totp_secret, totpSecretContext(row.id)),
+      };
+    } catch (error) {
+      logger.error('Failed to retrieve two-factor state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a TOTP secret awaiting confirmation
+   * Replaces an unconfirmed secret; never one that is already enabled
+   * @param {string} userId - User ID
+   * @param {string} secret - Base32 secret (stored encrypted)
+   * @returns {Promise<boolean>} True if stored
+   */
+  async setPendingTotpSecret(userId, secret) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET totp_secret = $2, totp_last_step = NULL
+        WHERE id = $1 AND totp_enabled_at IS NULL
+        RETURNING id
+      `;
+
+      const result = await pool.query(query, [
+        userId,
+        fieldEncryption.encrypt(secret, totpSecretContext(userId)),
+      ]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Failed to store TOTP secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable the pending TOTP secret
+   * @param {string} userId - User ID
+   * @param {number} step - Time step of the confirming code
+   * @returns {Promise<Date|null>} Enabled timestamp, or null if there was
+   *   no pending secret
+   */
+  async enableTotp(userId, step) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET totp_enabled_at = NOW(), totp_last_step = $2
+        WHERE id = $1 AND totp_enabled_at IS NULL AND totp_secret IS NOT NULL
+        RETURNING totp_enabled_at
+      `;
+
+      const result = await pool.query(query, [userId, step]);
+      return result.rows.length > 0 ? result.rows[0].totp_enabled_at : null;
+    } catch (error) {
+      logger.error('Failed to enable TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the time step of an accepted TOTP code
+   * Fails for a step already used (or earlier), so a code works only once
+   * @param {string} userId - User ID
+   * @param {number} step - Time step of the code
+   * @returns {Promise<boolean>} True if the step was not used before
+   */
+  async useTotpStep(userId, step) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET totp_last_step = $2
+        WHERE id = $1
+          AND totp_enabled_at IS NOT NULL
+          AND (totp_last_step IS NULL OR totp_last_step < $2)
+        RETURNING id
+      `;
+
+      const result = await pool.query(query, [userId, step]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Failed to record TOTP step:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user's TOTP secret, enabled or pending
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if the user was updated
+   */
+  async clearTwoFactor(userId) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+        WHERE id = $1
+      `;
+
+      const result = await pool.query(query, [userId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to clear two-factor state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the next batch of users in ID order
+   * @param {string|null} afterId - Only users with a greater ID
+   * @param {number} limit - Maximum number of users
+   * @returns {Promise<Array>} Array of user objects
+   */
+  async findBatchAfter(afterId, limit) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        SELECT id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm
+        FROM users
+        WHERE $1::uuid IS NULL OR id > $1::uuid
+        ORDER BY id ASC
+        LIMIT $2
+      `;
+
+      const result = await pool.query(query, [afterId || null, limit]);
+      return result.rows.map(decryptUser);
+    } catch (error) {
+      logger.error('Failed to retrieve user batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a user's email hash and signature
+   * Only applies while the signed fields are unchanged, so a concurrent
+   * update is never overwritten with a signature of the old values
+   * @param {Object} user - User row the signature was computed from
+   * @param {Object} cryptoData - emailHash, signature, signatureKeyId,
+   *   signatureVersion and signatureAlgorithm
+   * @returns {Promise<boolean>} True if the user was updated
+   */
+  async updateSignature(user, cryptoData) {
+    try {
+      const pool = databaseService.getDatabase();
+      const query = `
+        UPDATE users
+        SET email_hash = $1, signature = $2, signature_key_id = $3,
+          signature_version = $4, signature_algorithm = $5
+        WHERE id = $6 AND email_index = $7 AND role = $8 AND status = $9
+      `;
+
+      const result = await pool.query(query, [
+        cryptoData.emailHash,
+        cryptoData.signature,
+        cryptoData.signatureKeyId,
+        cryptoData.signatureVersion,
+        cryptoData.signatureAlgorithm,
+        user.id,
+        fieldEncryption.emailIndex(user.email),
+        user.role,
+        user.status,
+      ]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to update user signature:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt emails stored before field encryption was enabled
+   * Walks plaintext rows (no blind index yet) in batches; they stay
+   * readable while this runs
+   * @param {number} batchSize - Rows per batch
+   * @returns {Promise<number>} Number of users encrypted
+   */
+  async encryptPlaintextEmails(batchSize) {
+    try {
+      const pool = databaseService.getDatabase();
+      let encrypted = 0;
+
+      for (;;) {
+        const result = await pool.query(
+          `
+            SELECT id, email
+            FROM users
+            WHERE email_index IS NULL
+            ORDER BY id
+            LIMIT $1
+          `,
+          [batchSize]
+        );
+        if (result.rows.length === 0) {
+          break;
+        }
+
+        let updated = 0;
+        for (const user of result.rows) {
+          try {
+            const update = await pool.query(
+              `
+                UPDATE users
+                SET email = $1, email_index = $2
+                WHERE id = $3 AND email = $4 AND email_index IS NULL
+              `,
+              [
+                fieldEncryption.encrypt(user.email, emailContext(user.id)),
+                fieldEncryption.emailIndex(user.email),
+                user.id,
+                user.email,
+              ]
+            );
+            updated += update.rowCount;
+          } catch (error) {
+            // Emails were unique case-sensitively; the index is not
+            if (error.code === '23505') {
+              throw new Error(
+                `User ${user.id} has the same email as another user, ignoring case; change one of them before encrypting`
+              );
+            }
+            throw error;
+          }
+        }
+
+        // Rows changed meanwhile are picked up again; stop if none stuck
+        if (updated === 0) {
+          break;
+        }
+        encrypted += updated;
+        logger.info('Encrypted plaintext user emails', { encrypted });
+      }
+
+      return encrypted;
+    } catch (error) {
+      logger.error('Failed to encrypt user emails:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user
    * @param {string} userId - User ID
    * @param {Object} updateData - Data to update
-   * @returns {Promise<Object|null>} Updated user object or null if not found
+   * @param {Object|null} expected - Only update while email, role and status
+   *   still match this snapshot (the one the new signature was computed from)
+   * @returns {Promise<Object|null>} Updated user object, or null if not found
+   *   or no longer matching the snapshot
    */
-  async update(userId, updateData) {
+  async update(userId, updateData, expected = null) {
     try {
       // Validate UUID format
       const uuidRegex =
@@ -218,12 +727,22 @@ class User {
       if (updateData.email !== undefined) {
         paramCount++;
         fields.push(`email = $${paramCount}`);
-        values.push(updateData.email);
+        values.push(
+          fieldEncryption.encrypt(updateData.email, emailContext(userId))
+        );
+        paramCount++;
+        fields.push(`email_index = $${paramCount}`);
+        values.push(fieldEncryption.emailIndex(updateData.email));
       }
 
       if (updateData.role !== undefined) {
         paramCount++;
         fields.push(`role = $${paramCount}`);
+        // Access tokens carry the role; those issued before a change stop
+        // working
+        fields.push(
+          `tokens_valid_after = CASE WHEN role IS DISTINCT FROM $${paramCount} THEN NOW() ELSE tokens_valid_after END`
+        );
         values.push(updateData.role);
       }
 
@@ -245,18 +764,51 @@ class User {
         values.push(updateData.signature);
       }
 
+      if (updateData.signatureKeyId !== undefined) {
+        paramCount++;
+        fields.push(`signature_key_id = $${paramCount}`);
+        values.push(updateData.signatureKeyId);
+      }
+
+      if (updateData.signatureVersion !== undefined) {
+        paramCount++;
+        fields.push(`signature_version = $${paramCount}`);
+        values.push(updateData.signatureVersion);
+      }
+
+      if (updateData.signatureAlgorithm !== undefined) {
+        paramCount++;
+        fields.push(`signature_algorithm = $${paramCount}`);
+        values.push(updateData.signatureAlgorithm);
+      }
+
       if (fields.length === 0) {
         throw new Error('No fields to update');
       }
 
       paramCount++;
       values.push(userId);
+      const conditions = [`id = $${paramCount}`];
+
+      if (expected) {
+        paramCount++;
+        conditions.push(`email_index = $${paramCount}`);
+        values.push(fieldEncryption.emailIndex(expected.email));
+
+        ['role', 'status'].forEach(field => {
+          paramCount++;
+          conditions.push(`${field} = $${paramCount}`);
+          values.push(expected[field]);
+        });
+      }
 
       const query = `
         UPDATE users
         SET ${fields.join(', ')}
-        WHERE id = $${paramCount}
-        RETURNING id, email, role, status, created_at, email_hash, signature
+        WHERE ${conditions.join(' AND ')}
+        RETURNING id, email, role, status, created_at, email_hash, signature,
+          signature_key_id, signature_version, signature_algorithm,
+          failed_login_count, locked_until, totp_enabled_at
       `;
 
       const result = await pool.query(query, values);
@@ -266,10 +818,9 @@ class User {
         return null;
       }
 
-      const user = result.rows[0];
+      const user = decryptUser(result.rows[0]);
       logger.info('User updated successfully', {
         userId: user.id,
-        email: user.email,
         updatedFields: Object.keys(updateData),
       });
 
@@ -299,7 +850,7 @@ class User {
       const query = `
         DELETE FROM users
         WHERE id = $1
-        RETURNING id, email
+        RETURNING id
       `;
 
       const result = await pool.query(query, [userId]);
@@ -312,7 +863,6 @@ class User {
       const deletedUser = result.rows[0];
       logger.info('User deleted successfully', {
         userId: deletedUser.id,
-        email: deletedUser.email,
       });
 
       return true;
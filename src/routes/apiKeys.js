@@ -0,0 +1,105 @@
+const express = require('express');
+const apiKeyController = require('../controllers/apiKeyController');
+const { authenticateUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// API keys are managed by signed-in admins only, never by other API keys
+router.use(authenticateUser);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Mint a scoped API key
+ *     description: The full key is returned once and only its hash is stored
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: What the key is used for
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [users:read, users:write, users:stats, users:export]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Invalid name, scopes or expiry
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', apiKeyController.createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Returns key metadata and last use; secrets are never returned
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', apiKeyController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: API key not found or already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
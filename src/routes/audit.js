@@ -0,0 +1,99 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { authenticate } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit trail of user mutations
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *         description: ID of the acting user or API key
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the affected user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [user.created, user.updated, user.deleted, user.password_changed, user.password_reset_issued]
+ *         description: Filter by action
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ *       400:
+ *         description: Invalid filters or pagination
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticate, auditController.getAuditEvents);
+
+/**
+ * @swagger
+ * /api/audit/verify:
+ *   get:
+ *     summary: Verify the audit hash chain
+ *     description: Recomputes every event hash, checks each link to the previous event and verifies the server signatures. Reports the first broken link, if any. Redacted events (plaintext emails replaced by their index) are checked against their signed redaction records and counted as redacted.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification report (data.valid is false if the chain is broken)
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/verify',
+  authenticate,
+  rateLimitFor('verify'),
+  auditController.verifyAuditChain
+);
+
+module.exports = router;
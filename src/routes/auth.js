@@ -0,0 +1,411 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const {
+  authenticateUser,
+  authenticateTwoFactorSetup,
+  rejectImpersonation,
+} = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+const { throttleLoginFailures } = require('../middleware/loginProtection');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in and receive an access and refresh token
+ *     description: >
+ *       Users with two-factor authentication, and users whose role requires
+ *       it, receive twoFactorRequired, enrolled and a short-lived
+ *       challengeToken instead of tokens. Finish with /api/auth/login/2fa,
+ *       or enroll through /api/auth/2fa/enroll and /api/auth/2fa/confirm.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a second factor is required
+ *       400:
+ *         description: Missing email or password
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: Email address not verified yet
+ *       423:
+ *         description: Account locked after repeated failed logins (Retry-After gives the seconds left)
+ *       429:
+ *         description: Too many attempts or failed logins from this caller
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/login',
+  rateLimitFor('login'),
+  throttleLoginFailures,
+  authController.login
+);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Finish a login with a TOTP code or a recovery code
+ *     description: Wrong codes count towards the account lockout like wrong passwords
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Unused recovery code, instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Challenge token or code is invalid
+ *       403:
+ *         description: Two-factor authentication is not set up yet
+ *       423:
+ *         description: Account locked after repeated failed logins
+ *       429:
+ *         description: Too many attempts or failed logins from this caller
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/login/2fa',
+  rateLimitFor('login'),
+  throttleLoginFailures,
+  authController.loginTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enroll:
+ *   post:
+ *     summary: Start TOTP two-factor enrollment
+ *     description: >
+ *       Returns a new secret and an otpauth:// URI for the client to show as
+ *       a QR code. Nothing changes until the enrollment is confirmed.
+ *       Authenticate with a Bearer access token, or with the challengeToken
+ *       from a login that requires two-factor authentication.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       401:
+ *         description: Missing or invalid access or challenge token
+ *       403:
+ *         description: Not allowed with an impersonation token
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       423:
+ *         description: Account locked
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/2fa/enroll',
+  rateLimitFor('login'),
+  authenticateTwoFactorSetup,
+  rejectImpersonation,
+  authController.enrollTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment with a code from the app
+ *     description: >
+ *       Enables two-factor authentication and returns recovery codes, which
+ *       are shown only once. With a challengeToken, also returns the tokens
+ *       for the login that required it.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Missing or wrong code, or enrollment not started
+ *       401:
+ *         description: Missing or invalid access or challenge token
+ *       403:
+ *         description: Not allowed with an impersonation token
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       423:
+ *         description: Account locked
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/2fa/confirm',
+  rateLimitFor('login'),
+  authenticateTwoFactorSetup,
+  rejectImpersonation,
+  authController.confirmTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The presented refresh token is rotated and cannot be used again
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Refresh token is invalid, expired or already used
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Missing refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/password/change:
+ *   post:
+ *     summary: Change the signed-in user's password
+ *     description: Revokes all of the user's refresh tokens on success
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password updated successfully
+ *       400:
+ *         description: Missing fields or password violates the policy
+ *       401:
+ *         description: Missing access token or wrong current password
+ *       403:
+ *         description: Not allowed with an impersonation token
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/password/change',
+  authenticateUser,
+  rejectImpersonation,
+  authController.changePassword
+);
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Reset tokens are issued by an admin and can be used once
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resetToken
+ *               - newPassword
+ *             properties:
+ *               resetToken:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password updated successfully
+ *       400:
+ *         description: Token is invalid, expired or used, or password violates the policy
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/password/reset',
+  rateLimitFor('login'),
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address and activate the account
+ *     description: Redeems a verification token issued when the user was created or by /api/users/{id}/verification. Tokens work once and expire.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - verificationToken
+ *             properties:
+ *               verificationToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified and account activated
+ *       400:
+ *         description: Missing, invalid, used or expired token
+ *       409:
+ *         description: User changed while verifying, request a new token
+ *       429:
+ *         description: Too many attempts from this caller
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/verify-email', rateLimitFor('login'), authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and create the account
+ *     description: >
+ *       Redeems an invitation token issued by /api/invitations. The account
+ *       is created active with the invited email and role and the given
+ *       password. Tokens work once and expire.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - invitationToken
+ *               - password
+ *             properties:
+ *               invitationToken:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Missing, invalid, used, revoked or expired token, or password violates the policy
+ *       409:
+ *         description: The invited email already has an account
+ *       429:
+ *         description: Too many attempts from this caller
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/invitations/accept',
+  rateLimitFor('login'),
+  authController.acceptInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const cryptoController = require('../controllers/cryptoController');
+const { authenticateUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Signing key operations are for signed-in admins only, never API keys
+router.use(authenticateUser);
+
+/**
+ * @swagger
+ * /api/crypto/resign-jobs:
+ *   post:
+ *     summary: Re-sign every user with the active signing key
+ *     description: Starts a background job that recomputes email_hash and signature for all users in batches. If the latest job for the same key failed or was interrupted, it is resumed from its last completed batch instead.
+ *     tags: [Crypto]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Job started or resumed
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       409:
+ *         description: A re-signing job is already running
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/resign-jobs', cryptoController.startResignJob);
+
+/**
+ * @swagger
+ * /api/crypto/resign-jobs:
+ *   get:
+ *     summary: List recent re-signing jobs
+ *     tags: [Crypto]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Re-signing jobs retrieved successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/resign-jobs', cryptoController.getResignJobs);
+
+/**
+ * @swagger
+ * /api/crypto/resign-jobs/{id}:
+ *   get:
+ *     summary: Get the status and progress of a re-signing job
+ *     description: status is running, completed, failed or superseded; processed, skipped and total report progress
+ *     tags: [Crypto]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Re-signing job retrieved successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/resign-jobs/:id', cryptoController.getResignJob);
+
+/**
+ * @swagger
+ * /api/crypto/integrity-scans:
+ *   post:
+ *     summary: Scan stored user hashes and signatures
+ *     description: Recomputes the email hash of every user and verifies each signature with the key it was made with. Reports mismatched (email edited without re-hashing), unsigned and unverifiable (bad signature, unknown or retired key) users.
+ *     tags: [Crypto]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scan report
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/integrity-scans', cryptoController.runIntegrityScan);
+
+/**
+ * @swagger
+ * /api/crypto/integrity-scans/latest:
+ *   get:
+ *     summary: Get the last integrity scan report
+ *     description: Returns the last manual or scheduled scan run by this server
+ *     tags: [Crypto]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scan report
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: No scan has run yet
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/integrity-scans/latest', cryptoController.getLatestIntegrityScan);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const invitationController = require('../controllers/invitationController');
+const { authenticateUser } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Invitations grant roles, so only signed-in admins send them, never API keys
+router.use(authenticateUser);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite an email address with a preset role
+ *     description: >
+ *       Returns a signed invitationToken for out-of-band delivery. The
+ *       invitee redeems it at /api/auth/invitations/accept before it expires.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, user, moderator]
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Invalid email or role
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       409:
+ *         description: The email already has an account or an open invitation
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', invitationController.createInvitation);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: Includes the admin who sent each invitation; invite tokens are never returned
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       400:
+ *         description: Invalid status filter
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', invitationController.getInvitations);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Issue a new invite token for an open invitation
+ *     description: Earlier tokens stop working and the expiry starts over, also for expired invitations
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       201:
+ *         description: New invite token issued
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was accepted or revoked
+ *       429:
+ *         description: Too many tokens issued by this caller
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/resend',
+  rateLimitFor('verification'),
+  invitationController.resendInvitation
+);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an open invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: Invitation not found, accepted or already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', invitationController.revokeInvitation);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const userController = require('../controllers/userController');
+const { authenticate, authenticateUser } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -21,6 +23,9 @@ router.use((req, res, next) => {
  *   post:
  *     summary: Create a new user
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -42,17 +47,20 @@ router.use((req, res, next) => {
  *               status:
  *                 type: string
  *                 enum: [active, inactive]
- *                 default: active
- *                 description: User status
+ *                 description: User status (requires update-status); defaults to active, or pending_verification when EMAIL_VERIFICATION_REQUIRED is on
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully; pending users also get a verification token (verification) for out-of-band delivery
  *       400:
  *         description: Invalid input data
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       500:
  *         description: Internal server error
  */
-router.post('/', userController.createUser);
+router.post('/', authenticate, userController.createUser);
 
 /**
  * @swagger
@@ -60,6 +68,9 @@ router.post('/', userController.createUser);
  *   get:
  *     summary: Get all users with pagination and filtering
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -86,17 +97,21 @@ router.post('/', userController.createUser);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, inactive]
+ *           enum: [active, inactive, pending_verification]
  *         description: Filter by status
  *     responses:
  *       200:
  *         description: Users retrieved successfully
  *       400:
  *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       500:
  *         description: Internal server error
  */
-router.get('/', userController.getUsers);
+router.get('/', authenticate, userController.getUsers);
 
 /**
  * @swagger
@@ -104,13 +119,20 @@ router.get('/', userController.getUsers);
  *   get:
  *     summary: Get user statistics
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: User statistics retrieved successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', userController.getUserStats);
+router.get('/stats', authenticate, userController.getUserStats);
 
 /**
  * @swagger
@@ -118,6 +140,9 @@ router.get('/stats', userController.getUserStats);
  *   get:
  *     summary: Get users created in the last N days for chart
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: days
@@ -132,10 +157,14 @@ router.get('/stats', userController.getUserStats);
  *         description: Users chart data retrieved successfully
  *       400:
  *         description: Invalid days parameter
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       500:
  *         description: Internal server error
  */
-router.get('/chart', userController.getUsersChart);
+router.get('/chart', authenticate, userController.getUsersChart);
 
 /**
  * @swagger
@@ -143,13 +172,105 @@ router.get('/chart', userController.getUsersChart);
  *   get:
  *     summary: Export users in protobuf format
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     description: Responds with users.pb. X-Export-Manifest carries the signed manifest (base64url JSON with the SHA-384 digest, size, user count, export timestamp, key ID, algorithm and signature); X-Export-Id identifies it for /export/{id}/manifest.
  *     responses:
  *       200:
  *         description: Users exported successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/export',
+  authenticate,
+  rateLimitFor('export'),
+  userController.exportUsers
+);
+
+/**
+ * @swagger
+ * /api/users/export/verify:
+ *   post:
+ *     summary: Check an uploaded export against its signed manifest
+ *     description: Verifies the manifest signature with the key it names, then checks the file's SHA-384 digest, size, user count and export timestamp against it.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Export-Manifest
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manifest as base64 JSON (the export's X-Export-Manifest header, or the downloaded manifest file encoded)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Verification result (data.valid and the individual checks)
+ *       400:
+ *         description: Missing manifest or export file
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       500:
  *         description: Internal server error
  */
-router.get('/export', userController.exportUsers);
+router.post(
+  '/export/verify',
+  authenticateUser,
+  rateLimitFor('verify'),
+  express.raw({ type: 'application/octet-stream', limit: '10mb' }),
+  userController.verifyExport
+);
+
+/**
+ * @swagger
+ * /api/users/export/{id}/manifest:
+ *   get:
+ *     summary: Download the signed manifest of an export
+ *     description: The export ID is sent with every export in X-Export-Id.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Manifest (users.pb.manifest.json)
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: Export not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/export/:id/manifest',
+  authenticate,
+  rateLimitFor('export'),
+  userController.getExportManifest
+);
 
 /**
  * @swagger
@@ -157,6 +278,9 @@ router.get('/export', userController.exportUsers);
  *   get:
  *     summary: Get user by ID
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -167,19 +291,27 @@ router.get('/export', userController.exportUsers);
  *     responses:
  *       200:
  *         description: User retrieved successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       404:
  *         description: User not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', userController.getUserById);
+router.get('/:id', authenticate, userController.getUserById);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
  *     summary: Update user
+ *     description: Only email, role and status can be changed. Every update re-signs the full user record.
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -211,12 +343,18 @@ router.get('/:id', userController.getUserById);
  *         description: User updated successfully
  *       400:
  *         description: Invalid input data
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       404:
  *         description: User not found
+ *       409:
+ *         description: User changed while updating; retry
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', userController.updateUser);
+router.put('/:id', authenticate, userController.updateUser);
 
 /**
  * @swagger
@@ -224,6 +362,9 @@ router.put('/:id', userController.updateUser);
  *   delete:
  *     summary: Delete user
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -234,12 +375,304 @@ router.put('/:id', userController.updateUser);
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticate, userController.deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/password:
+ *   put:
+ *     summary: Set a user's password
+ *     description: Requires the set-password permission; signs the user out everywhere
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password updated successfully
+ *       400:
+ *         description: Password violates the policy
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
  *       404:
  *         description: User not found
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', userController.deleteUser);
+router.put('/:id/password', authenticateUser, userController.setPassword);
+
+/**
+ * @swagger
+ * /api/users/{id}/password-reset:
+ *   post:
+ *     summary: Issue a single-use password reset token
+ *     description: The token is returned for out-of-band delivery and redeemed at /api/auth/password/reset
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       201:
+ *         description: Reset token issued
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/password-reset',
+  authenticateUser,
+  userController.createPasswordReset
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     description: Clears the lock and the failed login count (admin). Recorded in the audit trail as user.unlocked.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked (data.wasLocked tells whether it was locked)
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/unlock', authenticateUser, userController.unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication
+ *     description: Removes the TOTP secret and recovery codes and signs the user out everywhere, so they can enroll again (admin). Recorded in the audit trail as user.two_factor_reset.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/2fa', authenticateUser, userController.resetTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     description: One entry per sign-in that can still refresh, with its user agent, IP and last use, most recent first (admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/sessions', authenticateUser, userController.getUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: Get an access token that acts as the user
+ *     description: >
+ *       For debugging what a user sees (admin). The token expires after
+ *       IMPERSONATION_TOKEN_TTL and cannot be refreshed. Requests made with
+ *       it cannot change roles, passwords or two-factor settings, and are
+ *       audited with the admin as actor. Recorded as user.impersonated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: Admins cannot impersonate themselves or users who are not active
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission, or the caller is already impersonating
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/impersonate',
+  authenticateUser,
+  userController.impersonateUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/verification:
+ *   post:
+ *     summary: Issue a new email verification token
+ *     description: For users pending verification; earlier tokens stop working. The token is returned for out-of-band delivery and redeemed at /api/auth/verify-email. Rate limited by the verification policy.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       201:
+ *         description: Verification token issued
+ *       401:
+ *         description: Missing or invalid credentials
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is not pending verification
+ *       429:
+ *         description: Too many verification tokens requested
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/verification',
+  authenticate,
+  rateLimitFor('verification'),
+  userController.resendVerification
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions
+ *     description: Revokes the session's refresh tokens (admin). Access tokens already issued stay valid until they expire. Recorded in the audit trail as user.session_revoked.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       404:
+ *         description: User or active session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  '/:id/sessions/:sessionId',
+  authenticateUser,
+  userController.revokeUserSession
+);
 
 /**
  * @swagger
@@ -247,7 +680,7 @@ router.delete('/:id', userController.deleteUser);
  *   get:
  *     summary: Get public key for signature verification
  *     tags: [Users]
- *     description: Returns the RSA public key for verifying digital signatures
+ *     description: Returns the active signing public key and its algorithm. Signatures made before a key rotation need an older key; use /.well-known/jwks.json to get every verification key.
  *     responses:
  *       200:
  *         description: Public key for signature verification
@@ -264,10 +697,15 @@ router.delete('/:id', userController.deleteUser);
  *                   properties:
  *                     publicKey:
  *                       type: string
- *                       description: RSA public key in PEM format
+ *                       description: Active public key in PEM format
+ *                     keyId:
+ *                       type: string
+ *                       description: ID of the active signing key
  *                     algorithm:
  *                       type: string
- *                       example: RSA-2048
+ *                       description: Signature algorithm of the active key
+ *                       enum: [RSA-SHA256, RSA-PSS-SHA384, ECDSA-P384-SHA384, Ed25519]
+ *                       example: RSA-SHA256
  *                     hashAlgorithm:
  *                       type: string
  *                       example: SHA-384
@@ -275,6 +713,46 @@ router.delete('/:id', userController.deleteUser);
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get('/crypto/public-key', userController.getPublicKey);
-router.post('/crypto/verify', userController.verifySignature);
+router.post(
+  '/crypto/verify',
+  rateLimitFor('verify'),
+  userController.verifySignature
+);
+
+/**
+ * @swagger
+ * /api/users/crypto/verify-export:
+ *   post:
+ *     summary: Re-verify every user in an uploaded export
+ *     description: Decodes a users.pb UserCollection, recomputes each email_hash from the exported email and verifies each signature against the exported fields with the key it names. Unlike /export/verify, no manifest is needed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Per-user results (data.results) and counts of valid, mismatched, unsigned and unverifiable users (data.summary)
+ *       400:
+ *         description: Missing export, or the upload is not a UserCollection
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: Caller's role lacks the required permission
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/crypto/verify-export',
+  authenticateUser,
+  rateLimitFor('verify'),
+  express.raw({ type: 'application/octet-stream', limit: '10mb' }),
+  userController.verifyExportRecords
+);
 
 module.exports = router;
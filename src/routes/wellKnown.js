@@ -0,0 +1,81 @@
+const express = require('express');
+const config = require('../config');
+const cryptoService = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Well-Known Routes
+ * Standard discovery documents for clients verifying our signatures
+ */
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set of signature verification keys
+ *     description: Lists every non-retired RSA public key with its kid, alg and use. Match a signature's key ID (signatureKeyId) against kid. Responses are cacheable; refetch when an unknown kid shows up.
+ *     tags: [Crypto]
+ *     responses:
+ *       200:
+ *         description: JWKS document
+ *         headers:
+ *           Cache-Control:
+ *             schema:
+ *               type: string
+ *               example: public, max-age=300
+ *           ETag:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       kid:
+ *                         type: string
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ *                       n:
+ *                         type: string
+ *                       e:
+ *                         type: string
+ *       304:
+ *         description: Key set unchanged since the ETag sent in If-None-Match
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/jwks.json', (req, res) => {
+  try {
+    const jwks = cryptoService.getJwks();
+
+    // Express adds an ETag and answers If-None-Match with 304
+    res.set(
+      'Cache-Control',
+      `public, max-age=${config.security.jwksMaxAgeSeconds}`
+    );
+    res.json(jwks);
+  } catch (error) {
+    logger.error('Failed to build JWKS:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to retrieve key set',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+const cryptoService = require('../utils/crypto');
+const databaseService = require('../services/database');
+
+/**
+ * Signing key management
+ *
+ * Usage:
+ *   npm run keys -- list
+ *   npm run keys -- rotate [algorithm]
+ *   npm run keys -- retire <keyId>
+ *
+ * rotate uses SIGNATURE_ALGORITHM unless an algorithm is given; keys are
+ * generated by the configured KEY_PROVIDER (not possible with env).
+ * Running servers keep signing with the key they loaded at startup;
+ * restart them after a rotation. With KEY_PROVIDER=database the keyring
+ * is in Postgres and servers pick up a rotation on their own.
+ * retire stops user signatures made with the key from verifying; audit
+ * events and export manifests signed with it keep verifying.
+ */
+const commands = {
+  list: async () => cryptoService.listKeys(),
+  rotate: async algorithm => cryptoService.rotateKeys(algorithm),
+  retire: async keyId => {
+    if (!keyId) {
+      throw new Error('Usage: retire <keyId>');
+    }
+    return cryptoService.retireKey(keyId);
+  },
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const run = commands[command];
+
+  if (!run) {
+    console.error(
+      `Usage: keys <${Object.keys(commands).join('|')}> [keyId|algorithm]`
+    );
+    process.exit(1);
+  }
+
+  try {
+    await cryptoService.ready;
+    if (cryptoService.keyProvider.isShared()) {
+      await databaseService.connect();
+      await cryptoService.initializeSharedKeys();
+    }
+
+    const result = await run(...args);
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    cryptoService.stopKeyringRefresh();
+    if (databaseService.isConnected) {
+      await databaseService.disconnect();
+    }
+  }
+};
+
+main();
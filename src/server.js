@@ -1,14 +1,34 @@
 const app = require('./app');
 const config = require('./config');
 const logger = require('./utils/logger');
+const cryptoService = require('./utils/crypto');
 const databaseService = require('./services/database');
+const resignService = require('./services/resignService');
+const userService = require('./services/userService');
+const auditService = require('./services/auditService');
+const integrityService = require('./services/integrityService');
 
 const startServer = async () => {
   try {
+    // Refuse to start without usable signing keys
+    await cryptoService.ready;
+
     // Initialize database connection
     logger.info('Initializing database connection...');
     await databaseService.connect();
     logger.info('Database connection established successfully');
+
+    // Load (or, on first boot, elect) the keyring shared by all instances
+    await cryptoService.initializeSharedKeys();
+
+    // Emails are encrypted at rest; older rows are encrypted before serving
+    await userService.encryptStoredEmails();
+    await auditService.redactStoredEmails();
+
+    // Pick up a re-signing job left behind by a crashed or restarted server
+    await resignService.resumeInterrupted();
+    integrityService.startSchedule();
+
     const server = app.listen(config.server.port, () => {
       logger.info('Server started successfully', {
         port: config.server.port,
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { scopePermissions } = require('../config/permissions');
+const logger = require('../utils/logger');
+const { isValidUuid } = require('../utils/validation');
+
+/**
+ * API Key Service
+ * Mints, lists, revokes and authenticates scoped API keys
+ *
+ * - Keys look like mk_<prefix>_<secret> and are shown only once
+ * - Only the SHA-256 hash of a key is stored
+ * - Scopes map to the same permissions used for roles
+ */
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = 'mk';
+    this.validScopes = Object.keys(scopePermissions);
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} apiKey - Full API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Check whether a set of scopes grants a permission
+   * @param {Array<string>} scopes - API key scopes
+   * @param {string} permission - Permission from the role matrix
+   * @returns {boolean} True if any scope grants the permission
+   */
+  hasPermission(scopes, permission) {
+    return (scopes || []).some(scope =>
+      (scopePermissions[scope] || []).includes(permission)
+    );
+  }
+
+  /**
+   * Validate API key creation data
+   * @param {Object} keyData - API key data
+   * @returns {Object} Validation result
+   */
+  validateKeyData(keyData) {
+    const errors = [];
+
+    if (!keyData.name || typeof keyData.name !== 'string') {
+      errors.push('Name is required and must be a string');
+    }
+
+    if (!Array.isArray(keyData.scopes) || keyData.scopes.length === 0) {
+      errors.push('Scopes must be a non-empty array');
+    } else {
+      const invalidScopes = keyData.scopes.filter(
+        scope => !this.validScopes.includes(scope)
+      );
+      if (invalidScopes.length > 0) {
+        errors.push(
+          `Invalid scopes: ${invalidScopes.join(', ')}. Valid scopes: ${this.validScopes.join(', ')}`
+        );
+      }
+    }
+
+    if (keyData.expiresAt !== undefined && keyData.expiresAt !== null) {
+      const expiresAt = new Date(keyData.expiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        errors.push('expiresAt must be a valid date');
+      } else if (expiresAt <= new Date()) {
+        errors.push('expiresAt must be in the future');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Mint a new API key
+   * @param {Object} keyData - API key data
+   * @param {string} createdBy - ID of the admin minting the key
+   * @returns {Promise<Object>} Created key including the plaintext secret
+   */
+  async createKey(keyData, createdBy) {
+    try {
+      const validation = this.validateKeyData(keyData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const prefix = crypto.randomBytes(6).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const apiKey = `${this.keyPrefix}_${prefix}_${secret}`;
+
+      const created = await ApiKey.create({
+        name: keyData.name,
+        keyPrefix: prefix,
+        keyHash: this.hashKey(apiKey),
+        scopes: [...new Set(keyData.scopes)],
+        createdBy,
+        expiresAt: keyData.expiresAt ? new Date(keyData.expiresAt) : null,
+      });
+
+      return {
+        success: true,
+        data: { ...created, apiKey },
+        message:
+          'API key created successfully. Store it now; it will not be shown again',
+      };
+    } catch (error) {
+      logger.error('Failed to create API key:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to create API key',
+      };
+    }
+  }
+
+  /**
+   * List all API keys without their secrets
+   * @returns {Promise<Object>} API keys
+   */
+  async listKeys() {
+    try {
+      const apiKeys = await ApiKey.findAll();
+
+      return {
+        success: true,
+        data: apiKeys,
+        message: 'API keys retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to list API keys:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve API keys',
+      };
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} apiKeyId - API key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(apiKeyId) {
+    try {
+      const revoked = isValidUuid(apiKeyId)
+        ? await ApiKey.revoke(apiKeyId)
+        : null;
+
+      if (!revoked) {
+        return {
+          success: false,
+          error: 'API key not found',
+          message: 'API key not found or already revoked',
+        };
+      }
+
+      logger.info('API key revoked', { apiKeyId, name: revoked.name });
+
+      return {
+        success: true,
+        data: revoked,
+        message: 'API key revoked successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to revoke API key:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to revoke API key',
+      };
+    }
+  }
+
+  /**
+   * Resolve a presented API key to an active key record
+   * @param {string} apiKey - Full API key
+   * @returns {Promise<Object|null>} Active key or null if unknown, revoked or expired
+   */
+  async authenticate(apiKey) {
+    if (!apiKey || !apiKey.startsWith(`${this.keyPrefix}_`)) {
+      return null;
+    }
+
+    const stored = await ApiKey.findByKeyHash(this.hashKey(apiKey));
+
+    if (!stored || stored.revoked_at) {
+      return null;
+    }
+
+    if (stored.expires_at && new Date(stored.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Record a request made with an API key
+   * Failures are logged but never break the request
+   * @param {Object} usage - Request details
+   */
+  async recordUsage(usage) {
+    try {
+      await ApiKey.recordRequest(usage);
+    } catch (error) {
+      logger.error('Failed to record API key usage:', error);
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
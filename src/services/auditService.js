@@ -0,0 +1,529 @@
+const AuditEvent = require('../models/AuditEvent');
+const config = require('../config');
+const cryptoService = require('../utils/crypto');
+const fieldEncryption = require('../utils/fieldEncryption');
+const logger = require('../utils/logger');
+const { isValidUuid } = require('../utils/validation');
+
+/**
+ * Audit Service
+ * Records who changed which user, how, and from where
+ *
+ * - Every user mutation appends an event to audit_events
+ * - Events store a before/after diff of the audited fields only; emails
+ *   are stored as their blind index (email_index), never in plaintext
+ * - Recording never fails the mutation; failures are logged loudly
+ * - Each event carries the SHA-384 of the previous event and a server
+ *   signature, so edits, inserts or deletions inside the chain are detectable
+ */
+class AuditService {
+  constructor() {
+    this.actions = {
+      USER_CREATED: 'user.created',
+      USER_UPDATED: 'user.updated',
+      USER_DELETED: 'user.deleted',
+      USER_PASSWORD_CHANGED: 'user.password_changed',
+      USER_PASSWORD_RESET_ISSUED: 'user.password_reset_issued',
+      USER_LOCKED: 'user.locked',
+      USER_UNLOCKED: 'user.unlocked',
+      USER_TWO_FACTOR_ENABLED: 'user.two_factor_enabled',
+      USER_TWO_FACTOR_RESET: 'user.two_factor_reset',
+      USER_RECOVERY_CODE_USED: 'user.recovery_code_used',
+      USER_SESSION_REVOKED: 'user.session_revoked',
+      USER_IMPERSONATED: 'user.impersonated',
+      INVITATION_CREATED: 'invitation.created',
+      INVITATION_RESENT: 'invitation.resent',
+      INVITATION_REVOKED: 'invitation.revoked',
+    };
+    this.auditedFields = ['email', 'role', 'status'];
+  }
+
+  /**
+   * Build an audit context from an authenticated request
+   * Under impersonation the admin is the actor and the impersonated user
+   * is kept in impersonatedUserId
+   * @param {Object} req - Express request
+   * @returns {Object} Audit context
+   */
+  contextFromRequest(req) {
+    let actor = { type: 'system', id: null };
+    let impersonatedUserId = null;
+
+    if (req.apiKey) {
+      actor = { type: 'api_key', id: req.apiKey.id };
+    } else if (req.user && req.user.impersonatedBy) {
+      actor = { type: 'user', id: req.user.impersonatedBy };
+      impersonatedUserId = req.user.id;
+    } else if (req.user) {
+      actor = { type: 'user', id: req.user.id };
+    }
+
+    return {
+      actor,
+      impersonatedUserId,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+    };
+  }
+
+  /**
+   * Audit context for changes made by the server itself
+   * @returns {Object} Audit context
+   */
+  systemContext() {
+    return {
+      actor: { type: 'system', id: null },
+      ip: null,
+      userAgent: null,
+    };
+  }
+
+  /**
+   * Diff the audited fields of two user snapshots
+   * @param {Object|null} before - User before the change
+   * @param {Object|null} after - User after the change
+   * @returns {Object} Changed fields ({ field: { before, after } })
+   */
+  diff(before, after) {
+    const changes = {};
+
+    this.auditedFields.forEach(field => {
+      const previous = before ? before[field] : undefined;
+      const next = after ? after[field] : undefined;
+
+      if (previous !== next) {
+        if (field === 'email') {
+          changes.email_index = this.indexEmailChange({
+            before: previous,
+            after: next,
+          });
+        } else {
+          changes[field] = {
+            before: previous === undefined ? null : previous,
+            after: next === undefined ? null : next,
+          };
+        }
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Replace the emails of an email change with their blind index
+   * @param {Object} change - { before, after } plaintext emails
+   * @returns {Object} { before, after } blind indexes
+   */
+  indexEmailChange(change) {
+    const index = email => (email ? fieldEncryption.emailIndex(email) : null);
+    return { before: index(change.before), after: index(change.after) };
+  }
+
+  /**
+   * Replace plaintext emails in events recorded before they were indexed
+   * Runs at startup after field encryption is initialized. Each rewritten
+   * chained event gets a signed redaction record, which verifyChain checks
+   * in place of the original entry hash.
+   * @returns {Promise<number>} Number of events redacted
+   */
+  async redactStoredEmails() {
+    const redacted = await AuditEvent.redactEmails(
+      changes => {
+        const { email, ...rest } = changes;
+        return { ...rest, email_index: this.indexEmailChange(email || {}) };
+      },
+      (event, changes) => this.sealRedaction(event, changes),
+      config.security.fieldEncryption.batchSize
+    );
+    if (redacted > 0) {
+      logger.warn('Plaintext emails removed from audit events', { redacted });
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Compute the SHA-384 hash of an audit event
+   * Covers every stored field plus the previous event's hash
+   * @param {Object} event - Audit event row
+   * @param {string|null} prevHash - Hash of the previous event
+   * @returns {string} SHA-384 hex digest
+   */
+  computeEntryHash(event, prevHash) {
+    return cryptoService.hashData({
+      id: String(event.id),
+      actor_type: event.actor_type,
+      actor_id: event.actor_id || null,
+      action: event.action,
+      target_user_id: event.target_user_id || null,
+      changes: event.changes || {},
+      ip: event.ip || null,
+      user_agent: event.user_agent || null,
+      created_at: new Date(event.created_at).toISOString(),
+      prev_hash: prevHash || null,
+    });
+  }
+
+  /**
+   * Hash and sign an audit event before it is appended
+   * @param {Object} event - Audit event row
+   * @param {string|null} prevHash - Hash of the previous event
+   * @returns {Object} Entry hash, signature, signing key ID and algorithm
+   */
+  seal(event, prevHash) {
+    const entryHash = this.computeEntryHash(event, prevHash);
+    return {
+      entryHash,
+      signature: cryptoService.signHash(entryHash),
+      keyId: cryptoService.getActiveKeyId(),
+      algorithm: cryptoService.getActiveAlgorithm(),
+    };
+  }
+
+  /**
+   * Compute the hash a redaction record is signed over
+   * Commits to the event, the entry hash it was sealed with and the hash of
+   * its contents after the redaction
+   * @param {Object} event - Audit event row as stored after the redaction
+   * @returns {string} SHA-384 hex digest
+   */
+  computeRedactionHash(event) {
+    return cryptoService.hashData({
+      event_id: String(event.id),
+      original_entry_hash: event.entry_hash,
+      redacted_entry_hash: this.computeEntryHash(event, event.prev_hash),
+    });
+  }
+
+  /**
+   * Sign the redaction of an audit event before its changes are rewritten
+   * Unchained events need no record. Events whose contents no longer match
+   * their entry hash get none either, so they keep failing verification.
+   * @param {Object} event - Audit event row as currently stored
+   * @param {Object} changes - Redacted changes
+   * @returns {Object|null} Redaction record, or null if none is needed
+   */
+  sealRedaction(event, changes) {
+    if (!event.entry_hash) {
+      return null;
+    }
+
+    if (this.computeEntryHash(event, event.prev_hash) !== event.entry_hash) {
+      logger.warn('Audit event does not match its hash; redaction unsigned', {
+        auditEventId: event.id,
+      });
+      return null;
+    }
+
+    const redactionHash = this.computeRedactionHash({ ...event, changes });
+    return {
+      originalEntryHash: event.entry_hash,
+      redactionHash,
+      signature: cryptoService.signHash(redactionHash),
+      keyId: cryptoService.getActiveKeyId(),
+      algorithm: cryptoService.getActiveAlgorithm(),
+    };
+  }
+
+  /**
+   * Check that a redaction record covers an event as it is stored now
+   * @param {Object} event - Audit event row
+   * @param {Object|undefined} redaction - Redaction record of the event
+   * @returns {boolean} True if the record is signed and matches the event
+   */
+  verifyRedaction(event, redaction) {
+    return Boolean(
+      redaction &&
+        redaction.original_entry_hash === event.entry_hash &&
+        redaction.redaction_hash === this.computeRedactionHash(event) &&
+        cryptoService.verifySignature(
+          redaction.redaction_hash,
+          redaction.signature,
+          redaction.key_id,
+          redaction.signature_algorithm,
+          { allowRetired: true }
+        )
+    );
+  }
+
+  /**
+   * Record an audit event
+   * @param {string} action - One of this.actions
+   * @param {Object} details - Event details
+   * @param {string} details.targetUserId - Affected user ID
+   * @param {Object} details.before - User before the change
+   * @param {Object} details.after - User after the change
+   * @param {Object} details.changes - Explicit changes, merged over the diff
+   * @param {Object} context - Audit context (see contextFromRequest)
+   * @returns {Promise<Object|null>} Created event, or null if recording failed
+   */
+  async record(action, details, context = this.systemContext()) {
+    try {
+      const event = await AuditEvent.create(
+        {
+          actorType: context.actor.type,
+          actorId: context.actor.id,
+          action,
+          targetUserId: details.targetUserId || null,
+          changes: {
+            ...this.diff(details.before || null, details.after || null),
+            ...(details.changes || {}),
+            // Sealed with the event, so the marker cannot be stripped later
+            ...(context.impersonatedUserId && {
+              impersonating: {
+                before: null,
+                after: context.impersonatedUserId,
+              },
+            }),
+          },
+          ip: context.ip,
+          userAgent: context.userAgent,
+        },
+        (row, prevHash) => this.seal(row, prevHash)
+      );
+
+      logger.info('Audit event recorded', {
+        auditEventId: event.id,
+        action,
+        actorId: context.actor.id,
+        targetUserId: details.targetUserId,
+      });
+
+      return event;
+    } catch (error) {
+      logger.error('Failed to record audit event:', {
+        error: error.message,
+        action,
+        actorId: context.actor.id,
+        targetUserId: details.targetUserId,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Validate audit query filters
+   * @param {Object} filters - Audit filters
+   * @returns {Object} Validation result
+   */
+  validateFilters(filters) {
+    const errors = [];
+
+    if (filters.targetUserId && !isValidUuid(filters.targetUserId)) {
+      errors.push('targetUserId must be a valid UUID');
+    }
+
+    ['from', 'to'].forEach(field => {
+      if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+        errors.push(`${field} must be a valid date`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Query audit events with filters and pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Audit events and pagination metadata
+   */
+  async getEvents(options = {}) {
+    try {
+      const { page = 1, limit = 20, actorId, targetUserId, action } = options;
+
+      const validation = this.validateFilters(options);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const filters = {
+        actorId,
+        targetUserId,
+        action,
+        from: options.from ? new Date(options.from) : undefined,
+        to: options.to ? new Date(options.to) : undefined,
+      };
+
+      const events = await AuditEvent.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit,
+      });
+      const totalCount = await AuditEvent.count(filters);
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return {
+        success: true,
+        data: {
+          events,
+          pagination: {
+            page,
+            limit,
+            totalCount,
+            totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+          },
+        },
+        message: 'Audit events retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to get audit events:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve audit events',
+      };
+    }
+  }
+
+  /**
+   * Walk the audit chain from the first event and verify every link
+   * Events written before chaining existed are counted as legacy and skipped,
+   * as long as they all precede the first chained event. Redacted events
+   * are counted separately; their contents are checked against their signed
+   * redaction records.
+   * @param {number} batchSize - Events loaded per query
+   * @returns {Promise<Object>} Verification report with the first broken link
+   */
+  async verifyChain(batchSize = 500) {
+    try {
+      let previous = null;
+      let chainStarted = false;
+      let checked = 0;
+      let legacy = 0;
+      let redacted = 0;
+      let firstBrokenLink = null;
+      let afterId = 0;
+
+      while (!firstBrokenLink) {
+        const batch = await AuditEvent.findChainBatch(afterId, batchSize);
+        if (batch.length === 0) {
+          break;
+        }
+
+        const redactions = new Map(
+          (await AuditEvent.findRedactions(batch.map(event => event.id))).map(
+            redaction => [String(redaction.event_id), redaction]
+          )
+        );
+
+        for (const event of batch) {
+          const redaction = redactions.get(String(event.id));
+          firstBrokenLink = this.checkLink(
+            event,
+            previous,
+            chainStarted,
+            redaction
+          );
+          if (firstBrokenLink) {
+            break;
+          }
+
+          if (event.entry_hash) {
+            chainStarted = true;
+            checked++;
+            if (redaction) {
+              redacted++;
+            }
+          } else {
+            legacy++;
+          }
+          previous = event;
+        }
+
+        afterId = batch[batch.length - 1].id;
+      }
+
+      const report = {
+        valid: !firstBrokenLink,
+        checked,
+        legacy,
+        redacted,
+        firstBrokenLink,
+        head:
+          previous && !firstBrokenLink
+            ? { id: previous.id, entryHash: previous.entry_hash }
+            : null,
+      };
+
+      if (firstBrokenLink) {
+        logger.warn('Audit chain verification failed', firstBrokenLink);
+      } else {
+        logger.info('Audit chain verified', { checked, legacy, redacted });
+      }
+
+      return {
+        success: true,
+        data: report,
+        message: report.valid
+          ? 'Audit chain is intact'
+          : 'Audit chain is broken',
+      };
+    } catch (error) {
+      logger.error('Failed to verify audit chain:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to verify audit chain',
+      };
+    }
+  }
+
+  /**
+   * Check one event against its predecessor
+   * @param {Object} event - Audit event row
+   * @param {Object|null} previous - Preceding audit event row
+   * @param {boolean} chainStarted - Whether a chained event has been seen
+   * @param {Object} [redaction] - Redaction record of the event, if any
+   * @returns {Object|null} Broken link description, or null if the link holds
+   */
+  checkLink(event, previous, chainStarted, redaction) {
+    const broken = reason => ({
+      id: event.id,
+      createdAt: event.created_at,
+      reason,
+    });
+
+    if (!event.entry_hash) {
+      return chainStarted ? broken('Event is missing its hash') : null;
+    }
+
+    const expectedPrevHash = previous ? previous.entry_hash : null;
+    if ((event.prev_hash || null) !== (expectedPrevHash || null)) {
+      return broken('Previous hash does not match the preceding event');
+    }
+
+    // Redacted contents no longer match the hash they were sealed with, so
+    // they must match a signed record of the redaction instead
+    if (redaction) {
+      if (!this.verifyRedaction(event, redaction)) {
+        return broken('Event contents do not match its redaction record');
+      }
+    } else if (
+      this.computeEntryHash(event, event.prev_hash) !== event.entry_hash
+    ) {
+      return broken('Event contents do not match its hash');
+    }
+
+    if (
+      !event.signature ||
+      !cryptoService.verifySignature(
+        event.entry_hash,
+        event.signature,
+        event.key_id,
+        event.signature_algorithm,
+        { allowRetired: true }
+      )
+    ) {
+      return broken('Signature is invalid');
+    }
+
+    return null;
+  }
+}
+
+module.exports = new AuditService();
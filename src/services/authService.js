@@ -0,0 +1,883 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const Session = require('../models/Session');
+const userService = require('./userService');
+const auditService = require('./auditService');
+const lockoutService = require('./lockoutService');
+const twoFactorService = require('./twoFactorService');
+const passwordService = require('../utils/password');
+const logger = require('../utils/logger');
+
+/**
+ * Authentication Service
+ * Issues short-lived JWT access tokens and rotating opaque refresh tokens
+ *
+ * - Access tokens are verified with config.security.jwtSecret and checked
+ *   against the user on every request: deactivating a user or changing
+ *   their role takes effect before the token expires
+ * - Refresh tokens are random, stored hashed, and single-use
+ * - Reusing a rotated refresh token revokes its whole family
+ * - Each family is a session whose device, IP and last use are recorded
+ *   (see SessionService); access tokens name it in their sid claim and
+ *   stop working once it is revoked
+ * - Password reset tokens are signed JWTs that can be redeemed once
+ * - Accounts lock after repeated failed logins (see LockoutService)
+ * - Users with two-factor authentication, and every user in a role that
+ *   requires it, get a short-lived challenge token instead of tokens until
+ *   they present a second factor (see TwoFactorService)
+ */
+class AuthService {
+  /**
+   * Hash an opaque refresh token for storage and lookup
+   * @param {string} token - Opaque refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Compare two secrets without leaking timing information
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} True if equal
+   */
+  safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+  }
+
+  /**
+   * Strip credential fields before a user leaves the auth layer
+   * @param {Object} credentials - User row including password_hash
+   * @returns {Object} User without password_hash
+   */
+  toPublicUser(credentials) {
+    const user = { ...credentials };
+    delete user.password_hash;
+    return user;
+  }
+
+  /**
+   * Check credentials and resolve the matching user
+   * Accounts without a password can only sign in as the configured bootstrap admin
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @param {Object|null} credentials - The account's findCredentialsByEmail
+   *   row, or null if there is none
+   * @returns {Promise<Object|null>} User object or null if credentials are invalid
+   */
+  async verifyCredentials(email, password, credentials) {
+    if (credentials && credentials.password_hash) {
+      const isValid = await passwordService.verify(
+        password,
+        credentials.password_hash
+      );
+      return isValid ? this.toPublicUser(credentials) : null;
+    }
+
+    if (!credentials) {
+      await passwordService.verifyDummy(password);
+    }
+
+    return this.verifyBootstrapAdmin(email, password);
+  }
+
+  /**
+   * Check the configured bootstrap admin credentials
+   * Creates the admin account on first sign-in
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object|null>} User object or null if credentials are invalid
+   */
+  async verifyBootstrapAdmin(email, password) {
+    const { bootstrapAdmin } = config.security;
+
+    if (!bootstrapAdmin.email || !bootstrapAdmin.password) {
+      return null;
+    }
+
+    const emailMatches =
+      email.toLowerCase().trim() === bootstrapAdmin.email.toLowerCase().trim();
+    const passwordMatches = this.safeEqual(password, bootstrapAdmin.password);
+
+    if (!emailMatches || !passwordMatches) {
+      return null;
+    }
+
+    const existingUser = await User.findByEmail(bootstrapAdmin.email);
+    if (existingUser) {
+      return existingUser;
+    }
+
+    const result = await userService.createUser({
+      email: bootstrapAdmin.email,
+      role: 'admin',
+      status: 'active',
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    logger.info('Bootstrap admin account created', {
+      userId: result.data.id,
+    });
+
+    return result.data;
+  }
+
+  /**
+   * Sign an access token for a user
+   * @param {Object} user - User object
+   * @param {string} [sessionId] - Session (refresh token family) the token
+   *   belongs to; it stops working once the session is revoked
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        email: user.email,
+        role: user.role,
+        type: 'access',
+        ...(sessionId && { sid: sessionId }),
+      },
+      config.security.jwtSecret,
+      {
+        subject: String(user.id),
+        issuer: config.security.jwt.issuer,
+        expiresIn: config.security.jwt.accessTokenTtl,
+        algorithm: 'HS256',
+      }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Signed JWT
+   * @returns {Object} Decoded token payload
+   */
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, config.security.jwtSecret, {
+      issuer: config.security.jwt.issuer,
+      algorithms: ['HS256'],
+    });
+
+    if (payload.type !== 'access') {
+      throw new Error('Invalid token type');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Check a verified access token against the users it names
+   * Refused once the user (or, for impersonation tokens, the admin) is no
+   * longer active, their role changed after the token was issued, or the
+   * session the token was issued to has been revoked
+   * @param {Object} payload - Verified access token payload
+   * @returns {Promise<Object>} Success, or the reason the token is refused
+   */
+  async checkAccessToken(payload) {
+    const userIds = payload.act
+      ? [payload.sub, payload.act.sub]
+      : [payload.sub];
+
+    for (const userId of userIds) {
+      const state = await User.findTokenState(userId);
+      // iat has second precision; a change in the same second is let through
+      const validAfter =
+        state && state.tokens_valid_after
+          ? Math.floor(new Date(state.tokens_valid_after).getTime() / 1000)
+          : 0;
+
+      if (!state || state.status !== 'active' || payload.iat < validAfter) {
+        return {
+          success: false,
+          error: 'Invalid token',
+          message: 'Access token is no longer valid; sign in again',
+        };
+      }
+    }
+
+    if (payload.sid && (await Session.isRevoked(payload.sid))) {
+      return {
+        success: false,
+        error: 'Invalid token',
+        message: 'Session has been revoked; sign in again',
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Issue an access token and a new refresh token in the given family
+   * @param {Object} user - User object
+   * @param {string} familyId - Refresh token rotation family
+   * @param {Object} context - Audit context of the request (session IP and
+   *   user agent)
+   * @returns {Promise<Object>} Token pair and the stored refresh token row
+   */
+  async issueTokens(
+    user,
+    familyId = crypto.randomUUID(),
+    context = auditService.systemContext()
+  ) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await Session.touch({
+      id: familyId,
+      userId: user.id,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    });
+    const stored = await RefreshToken.create({
+      userId: user.id,
+      familyId,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + config.security.jwt.refreshTokenTtlMs),
+    });
+
+    return {
+      stored,
+      tokens: {
+        accessToken: this.signAccessToken(user, familyId),
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: config.security.jwt.accessTokenTtl,
+      },
+    };
+  }
+
+  /**
+   * Sign a challenge token for the second login step
+   * It only proves the password was right; it is not an access token
+   * @param {Object} user - User object
+   * @returns {string} Signed JWT
+   */
+  signChallengeToken(user) {
+    return jwt.sign(
+      { role: user.role, type: 'two-factor' },
+      config.security.jwtSecret,
+      {
+        subject: String(user.id),
+        issuer: config.security.jwt.issuer,
+        expiresIn: config.security.twoFactor.challengeTtl,
+        algorithm: 'HS256',
+      }
+    );
+  }
+
+  /**
+   * Verify a challenge token
+   * @param {string} token - Signed JWT
+   * @returns {Object} Decoded token payload
+   */
+  verifyChallengeToken(token) {
+    const payload = jwt.verify(token, config.security.jwtSecret, {
+      issuer: config.security.jwt.issuer,
+      algorithms: ['HS256'],
+    });
+
+    if (payload.type !== 'two-factor') {
+      throw new Error('Invalid token type');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Ask for a second factor after a correct password
+   * @param {Object} user - User object
+   * @returns {Object} Login result with a challenge token and no tokens
+   */
+  startTwoFactorChallenge(user) {
+    const enrolled = !!user.totp_enabled_at;
+
+    logger.info('Login awaiting second factor', { userId: user.id, enrolled });
+
+    return {
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        enrolled,
+        challengeToken: this.signChallengeToken(user),
+        user: { id: user.id, email: user.email, role: user.role },
+      },
+      message: enrolled
+        ? 'Enter a code from your authenticator app'
+        : 'Set up two-factor authentication to finish signing in',
+    };
+  }
+
+  /**
+   * Issue tokens for a fully authenticated user
+   * @param {Object} user - User object
+   * @param {Object} context - Audit context of the request
+   * @returns {Promise<Object>} Login result with a token pair
+   */
+  async startSession(user, context = auditService.systemContext()) {
+    const { tokens } = await this.issueTokens(user, undefined, context);
+
+    logger.info('User logged in', { userId: user.id, role: user.role });
+
+    return {
+      success: true,
+      data: {
+        ...tokens,
+        user: { id: user.id, email: user.email, role: user.role },
+      },
+      message: 'Login successful',
+    };
+  }
+
+  /**
+   * Log in with email and password
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @param {Object} context - Audit context of the request (for lockouts)
+   * @returns {Promise<Object>} Token pair and user
+   */
+  async login(email, password, context = auditService.systemContext()) {
+    try {
+      const credentials = await User.findCredentialsByEmail(email.trim());
+
+      if (credentials && lockoutService.isLocked(credentials)) {
+        logger.warn('Login rejected: account locked', {
+          userId: credentials.id,
+        });
+        return {
+          success: false,
+          error: 'Account locked',
+          message:
+            'Too many failed sign-in attempts; try again later or ask an admin to unlock the account',
+          lockedUntil: credentials.locked_until,
+        };
+      }
+
+      const user = await this.verifyCredentials(email, password, credentials);
+
+      if (!user && credentials) {
+        await lockoutService.recordFailure(credentials, context);
+      }
+
+      // Only after the password matched, so this reveals nothing to guessers
+      if (user && user.status === 'pending_verification') {
+        logger.warn('Login rejected: email not verified', { userId: user.id });
+        return {
+          success: false,
+          error: 'Email not verified',
+          message: 'Verify your email address before signing in',
+        };
+      }
+
+      if (!user || user.status !== 'active') {
+        logger.warn('Login rejected');
+        return {
+          success: false,
+          error: 'Invalid credentials',
+          message: 'Email or password is incorrect',
+        };
+      }
+
+      // Failures stay counted until the second factor is passed, so
+      // repeating the password step cannot reset guesses at the code
+      if (twoFactorService.isRequired(user) || user.totp_enabled_at) {
+        return this.startTwoFactorChallenge(user);
+      }
+
+      if (credentials) {
+        await lockoutService.recordSuccess(credentials);
+      }
+
+      return this.startSession(user, context);
+    } catch (error) {
+      logger.error('Login failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to log in',
+      };
+    }
+  }
+
+  /**
+   * Resolve the user behind a challenge token, if they may still sign in
+   * @param {string} challengeToken - Signed challenge token
+   * @returns {Promise<Object>} findTwoFactor row, or an error result
+   */
+  async resolveChallenge(challengeToken) {
+    let payload;
+    try {
+      payload = this.verifyChallengeToken(challengeToken);
+    } catch {
+      payload = null;
+    }
+
+    const user = payload && (await User.findTwoFactor(payload.sub));
+    if (!user || user.status !== 'active') {
+      return {
+        success: false,
+        error: 'Invalid challenge token',
+        message: 'Sign in again to get a new challenge',
+      };
+    }
+
+    if (lockoutService.isLocked(user)) {
+      return {
+        success: false,
+        error: 'Account locked',
+        message:
+          'Too many failed sign-in attempts; try again later or ask an admin to unlock the account',
+        lockedUntil: user.locked_until,
+      };
+    }
+
+    return { success: true, data: user };
+  }
+
+  /**
+   * Finish a login with a TOTP code or a recovery code
+   * Wrong codes count towards the account lockout like wrong passwords
+   * @param {string} challengeToken - Challenge token from login
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} context - Audit context of the request
+   * @returns {Promise<Object>} Token pair and user
+   */
+  async completeTwoFactorLogin(
+    challengeToken,
+    factor,
+    context = auditService.systemContext()
+  ) {
+    try {
+      const challenge = await this.resolveChallenge(challengeToken);
+      if (!challenge.success) {
+        return challenge;
+      }
+
+      const user = challenge.data;
+      if (!user.totp_enabled_at) {
+        return {
+          success: false,
+          error: 'Two-factor not enrolled',
+          message: 'Set up two-factor authentication to finish signing in',
+        };
+      }
+
+      if (!(await twoFactorService.verify(user, factor, context))) {
+        await lockoutService.recordFailure(user, context);
+        logger.warn('Second factor rejected', { userId: user.id });
+        return {
+          success: false,
+          error: 'Invalid code',
+          message: 'The code is incorrect or has already been used',
+        };
+      }
+
+      await lockoutService.recordSuccess(user);
+      return this.startSession(user, context);
+    } catch (error) {
+      logger.error('Two-factor login failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to log in',
+      };
+    }
+  }
+
+  /**
+   * Finish a login whose challenge was used to enroll in two-factor
+   * authentication; confirming the first code is the second factor
+   * @param {string} userId - User ID from the challenge token
+   * @param {Object} context - Audit context of the request
+   * @returns {Promise<Object>} Token pair and user
+   */
+  async completeEnrollmentLogin(
+    userId,
+    context = auditService.systemContext()
+  ) {
+    try {
+      const user = await User.findTwoFactor(userId);
+      if (!user || user.status !== 'active' || !user.totp_enabled_at) {
+        return {
+          success: false,
+          error: 'Invalid challenge token',
+          message: 'Sign in again to get a new challenge',
+        };
+      }
+
+      await lockoutService.recordSuccess(user);
+      return this.startSession(user, context);
+    } catch (error) {
+      logger.error('Two-factor enrollment login failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to log in',
+      };
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * The presented token is revoked; presenting it again revokes the family
+   * @param {string} refreshToken - Opaque refresh token
+   * @param {Object} context - Audit context of the request
+   * @returns {Promise<Object>} New token pair
+   */
+  async refresh(refreshToken, context = auditService.systemContext()) {
+    try {
+      const stored = await RefreshToken.findByTokenHash(
+        this.hashToken(refreshToken)
+      );
+
+      if (!stored) {
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          message: 'Refresh token is not recognised',
+        };
+      }
+
+      if (stored.revoked_at) {
+        await RefreshToken.revokeFamily(stored.family_id);
+        logger.warn('Refresh token reuse detected', {
+          userId: stored.user_id,
+          familyId: stored.family_id,
+        });
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          message: 'Refresh token has already been used',
+        };
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          message: 'Refresh token has expired',
+        };
+      }
+
+      const user = await User.findById(stored.user_id);
+      if (!user || user.status !== 'active') {
+        await RefreshToken.revokeFamily(stored.family_id);
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          message: 'User is no longer active',
+        };
+      }
+
+      // Revoke before issuing, so only one of two concurrent refreshes with
+      // the same token wins; the loser is treated as reuse
+      const claimed = await RefreshToken.revoke(stored.id);
+      if (!claimed) {
+        await RefreshToken.revokeFamily(stored.family_id);
+        logger.warn('Refresh token reuse detected', {
+          userId: stored.user_id,
+          familyId: stored.family_id,
+        });
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          message: 'Refresh token has already been used',
+        };
+      }
+
+      const issued = await this.issueTokens(user, stored.family_id, context);
+      await RefreshToken.setReplacedBy(stored.id, issued.stored.id);
+
+      logger.info('Refresh token rotated', { userId: user.id });
+
+      return {
+        success: true,
+        data: issued.tokens,
+        message: 'Token refreshed successfully',
+      };
+    } catch (error) {
+      logger.error('Token refresh failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to refresh token',
+      };
+    }
+  }
+
+  /**
+   * Log out by revoking the refresh token family
+   * @param {string} refreshToken - Opaque refresh token
+   * @returns {Promise<Object>} Logout result
+   */
+  async logout(refreshToken) {
+    try {
+      const stored = await RefreshToken.findByTokenHash(
+        this.hashToken(refreshToken)
+      );
+
+      if (stored) {
+        await RefreshToken.revokeFamily(stored.family_id);
+      }
+
+      return {
+        success: true,
+        data: null,
+        message: 'Logged out successfully',
+      };
+    } catch (error) {
+      logger.error('Logout failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to log out',
+      };
+    }
+  }
+
+  /**
+   * Set a user's password and sign them out everywhere
+   * @param {string} userId - User ID
+   * @param {string} newPassword - Plain text password
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Result
+   */
+  async setPassword(
+    userId,
+    newPassword,
+    context = auditService.systemContext()
+  ) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      const validation = await passwordService.validatePolicy(newPassword);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const passwordHash = await passwordService.hash(newPassword);
+      await User.setPasswordHash(user.id, passwordHash);
+      await RefreshToken.revokeAllForUser(user.id);
+
+      await auditService.record(
+        auditService.actions.USER_PASSWORD_CHANGED,
+        {
+          targetUserId: user.id,
+          changes: {
+            password: { before: '[redacted]', after: '[redacted]' },
+          },
+        },
+        context
+      );
+
+      logger.info('Password set successfully', { userId: user.id });
+
+      return {
+        success: true,
+        data: { id: user.id },
+        message: 'Password updated successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to set password:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to update password',
+      };
+    }
+  }
+
+  /**
+   * Change the caller's own password
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current plain text password
+   * @param {string} newPassword - New plain text password
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Result
+   */
+  async changePassword(
+    userId,
+    currentPassword,
+    newPassword,
+    context = auditService.systemContext()
+  ) {
+    try {
+      const credentials = await User.findCredentialsById(userId);
+      const hasPassword = !!(credentials && credentials.password_hash);
+      const isValid =
+        hasPassword &&
+        (await passwordService.verify(
+          currentPassword,
+          credentials.password_hash
+        ));
+
+      if (!isValid) {
+        return {
+          success: false,
+          error: 'Invalid credentials',
+          message: 'Current password is incorrect',
+        };
+      }
+
+      return this.setPassword(userId, newPassword, context);
+    } catch (error) {
+      logger.error('Failed to change password:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to change password',
+      };
+    }
+  }
+
+  /**
+   * Issue a signed, single-use password reset token
+   * The token is returned to the caller for out-of-band delivery
+   * @param {string} userId - User ID
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Reset token and expiry
+   */
+  async createPasswordReset(userId, context = auditService.systemContext()) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      const tokenId = crypto.randomUUID();
+      const ttlMs = config.security.password.resetTokenTtlMs;
+      const expiresAt = new Date(Date.now() + ttlMs);
+
+      await PasswordResetToken.create({
+        id: tokenId,
+        userId: user.id,
+        expiresAt,
+      });
+
+      const resetToken = jwt.sign(
+        { type: 'password-reset' },
+        config.security.jwtSecret,
+        {
+          subject: String(user.id),
+          jwtid: tokenId,
+          issuer: config.security.jwt.issuer,
+          expiresIn: Math.floor(ttlMs / 1000),
+          algorithm: 'HS256',
+        }
+      );
+
+      await auditService.record(
+        auditService.actions.USER_PASSWORD_RESET_ISSUED,
+        {
+          targetUserId: user.id,
+          changes: {
+            password_reset_expires_at: {
+              before: null,
+              after: expiresAt.toISOString(),
+            },
+          },
+        },
+        context
+      );
+
+      logger.info('Password reset token issued', { userId: user.id });
+
+      return {
+        success: true,
+        data: { userId: user.id, resetToken, expiresAt },
+        message: 'Password reset token issued successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to issue password reset token:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to issue password reset token',
+      };
+    }
+  }
+
+  /**
+   * Redeem a password reset token
+   * @param {string} resetToken - Signed reset token
+   * @param {string} newPassword - New plain text password
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Result
+   */
+  async resetPassword(
+    resetToken,
+    newPassword,
+    context = auditService.systemContext()
+  ) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(resetToken, config.security.jwtSecret, {
+          issuer: config.security.jwt.issuer,
+          algorithms: ['HS256'],
+        });
+      } catch {
+        payload = null;
+      }
+
+      if (!payload || payload.type !== 'password-reset' || !payload.jti) {
+        return {
+          success: false,
+          error: 'Invalid reset token',
+          message: 'Reset token is invalid or has expired',
+        };
+      }
+
+      // Check the policy first so a weak password does not burn the token
+      const validation = await passwordService.validatePolicy(newPassword);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const consumed = await PasswordResetToken.consume(
+        payload.jti,
+        payload.sub
+      );
+      if (!consumed) {
+        return {
+          success: false,
+          error: 'Invalid reset token',
+          message: 'Reset token has already been used or has expired',
+        };
+      }
+
+      // Holding the reset token is what authorises the change
+      return this.setPassword(payload.sub, newPassword, {
+        ...context,
+        actor: { type: 'user', id: payload.sub },
+      });
+    } catch (error) {
+      logger.error('Failed to reset password:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to reset password',
+      };
+    }
+  }
+}
+
+module.exports = new AuthService();
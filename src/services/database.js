@@ -66,26 +66,362 @@ class DatabaseService {
 
   /**
    * Initialize database tables
-   * Creates users table with proper PostgreSQL schema
+   * Creates users and authentication tables with proper PostgreSQL schema
    */
   async initializeTables(client) {
     try {
       const createUsersTable = `
         CREATE TABLE IF NOT EXISTS users (
           id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-          email VARCHAR(255) UNIQUE NOT NULL,
+          email TEXT NOT NULL,
+          email_index VARCHAR(64),
           role VARCHAR(50) NOT NULL DEFAULT 'user',
           status VARCHAR(50) NOT NULL DEFAULT 'active',
           created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
           email_hash VARCHAR(255) NOT NULL,
-          signature TEXT NOT NULL
+          signature TEXT NOT NULL,
+          signature_key_id VARCHAR(32),
+          signature_version SMALLINT NOT NULL DEFAULT 1,
+          signature_algorithm VARCHAR(32) NOT NULL DEFAULT 'RSA-SHA256',
+          password_hash TEXT,
+          failed_login_count INTEGER NOT NULL DEFAULT 0,
+          last_failed_login_at TIMESTAMP WITH TIME ZONE,
+          locked_until TIMESTAMP WITH TIME ZONE,
+          totp_secret TEXT,
+          totp_enabled_at TIMESTAMP WITH TIME ZONE,
+          totp_last_step BIGINT,
+          tokens_valid_after TIMESTAMP WITH TIME ZONE
         )
       `;
 
       await client.query(createUsersTable);
+      // Bring tables created before password support, key rotation, record
+      // signatures, signature algorithms, email encryption, account lockout
+      // and two-factor authentication up to date;
+      // existing signatures are version 1 RSA-SHA256, and plaintext emails
+      // are encrypted and indexed at startup
+      await client.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS password_hash TEXT,
+          ADD COLUMN IF NOT EXISTS signature_key_id VARCHAR(32),
+          ADD COLUMN IF NOT EXISTS signature_version SMALLINT NOT NULL DEFAULT 1,
+          ADD COLUMN IF NOT EXISTS signature_algorithm VARCHAR(32) NOT NULL DEFAULT 'RSA-SHA256',
+          ADD COLUMN IF NOT EXISTS email_index VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+          ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS totp_last_step BIGINT,
+          ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP WITH TIME ZONE,
+          ALTER COLUMN email TYPE TEXT,
+          DROP CONSTRAINT IF EXISTS users_email_key
+      `);
+      // Ciphertext is randomized; the blind index enforces unique emails
+      await client.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_index ON users (email_index)'
+      );
       logger.info('Users table initialized successfully');
+
+      const createRefreshTokensTable = `
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          family_id UUID NOT NULL,
+          token_hash VARCHAR(128) UNIQUE NOT NULL,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          replaced_by UUID,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createRefreshTokensTable);
+      await client.query(
+        'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id)'
+      );
+      logger.info('Refresh tokens table initialized successfully');
+
+      // One row per refresh token family (id = family_id): where and when a
+      // sign-in was last used, and when it was revoked. Access tokens carry
+      // the session ID (sid) and stop working once it is revoked
+      const createSessionsTable = `
+        CREATE TABLE IF NOT EXISTS sessions (
+          id UUID PRIMARY KEY,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          user_agent TEXT,
+          ip VARCHAR(45),
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          last_used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          revoked_at TIMESTAMP WITH TIME ZONE
+        )
+      `;
+
+      await client.query(createSessionsTable);
+      await client.query(`
+        ALTER TABLE sessions
+          ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE
+      `);
+      await client.query(
+        'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id, last_used_at)'
+      );
+      logger.info('Sessions table initialized successfully');
+
+      // Two-factor recovery codes, stored as SHA-256 hashes
+      const createRecoveryCodesTable = `
+        CREATE TABLE IF NOT EXISTS recovery_codes (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          code_hash VARCHAR(64) NOT NULL,
+          used_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          UNIQUE (user_id, code_hash)
+        )
+      `;
+
+      await client.query(createRecoveryCodesTable);
+      logger.info('Recovery codes table initialized successfully');
+
+      const createPasswordResetTokensTable = `
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+          id UUID PRIMARY KEY,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          used_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createPasswordResetTokensTable);
+      logger.info('Password reset tokens table initialized successfully');
+
+      // Bound to the email (blind index) the token was issued for
+      const createEmailVerificationTokensTable = `
+        CREATE TABLE IF NOT EXISTS email_verification_tokens (
+          id UUID PRIMARY KEY,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          email_index VARCHAR(64) NOT NULL,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          used_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createEmailVerificationTokensTable);
+      logger.info('Email verification tokens table initialized successfully');
+
+      // token_id is the ID of the only invite token that still works
+      const createInvitationsTable = `
+        CREATE TABLE IF NOT EXISTS invitations (
+          id UUID PRIMARY KEY,
+          email TEXT NOT NULL,
+          email_index VARCHAR(64) NOT NULL,
+          role VARCHAR(50) NOT NULL,
+          token_id UUID NOT NULL,
+          invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          accepted_at TIMESTAMP WITH TIME ZONE,
+          accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createInvitationsTable);
+      // One open invitation per email
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_open_email
+        ON invitations (email_index)
+        WHERE accepted_at IS NULL AND revoked_at IS NULL
+      `);
+      logger.info('Invitations table initialized successfully');
+
+      const createApiKeysTable = `
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          name VARCHAR(255) NOT NULL,
+          key_prefix VARCHAR(32) NOT NULL,
+          key_hash VARCHAR(128) UNIQUE NOT NULL,
+          scopes TEXT[] NOT NULL,
+          created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          expires_at TIMESTAMP WITH TIME ZONE,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          last_used_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createApiKeysTable);
+
+      const createApiKeyRequestsTable = `
+        CREATE TABLE IF NOT EXISTS api_key_requests (
+          id BIGSERIAL PRIMARY KEY,
+          api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+          method VARCHAR(10) NOT NULL,
+          path TEXT NOT NULL,
+          status_code INTEGER,
+          ip VARCHAR(64),
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createApiKeyRequestsTable);
+      logger.info('API key tables initialized successfully');
+
+      const createAuditEventsTable = `
+        CREATE TABLE IF NOT EXISTS audit_events (
+          id BIGSERIAL PRIMARY KEY,
+          actor_type VARCHAR(20) NOT NULL,
+          actor_id VARCHAR(64),
+          action VARCHAR(100) NOT NULL,
+          target_user_id UUID,
+          changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+          ip VARCHAR(64),
+          user_agent TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          prev_hash VARCHAR(96),
+          entry_hash VARCHAR(96),
+          signature TEXT,
+          key_id VARCHAR(32),
+          signature_algorithm VARCHAR(32)
+        )
+      `;
+
+      await client.query(createAuditEventsTable);
+      // Bring audit tables created before hash chaining up to date
+      await client.query(`
+        ALTER TABLE audit_events
+          ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(96),
+          ADD COLUMN IF NOT EXISTS entry_hash VARCHAR(96),
+          ADD COLUMN IF NOT EXISTS signature TEXT,
+          ADD COLUMN IF NOT EXISTS key_id VARCHAR(32),
+          ADD COLUMN IF NOT EXISTS signature_algorithm VARCHAR(32)
+      `);
+      await client.query(
+        'CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events (target_user_id, created_at)'
+      );
+      await client.query(
+        'CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_id, created_at)'
+      );
+      logger.info('Audit events table initialized successfully');
+
+      // Signed records of events whose changes were rewritten after sealing,
+      // e.g. to remove plaintext emails; the signature covers the original
+      // entry hash and the event as it is now
+      const createAuditRedactionsTable = `
+        CREATE TABLE IF NOT EXISTS audit_redactions (
+          event_id BIGINT PRIMARY KEY REFERENCES audit_events(id),
+          original_entry_hash VARCHAR(96) NOT NULL,
+          redaction_hash VARCHAR(96) NOT NULL,
+          signature TEXT NOT NULL,
+          key_id VARCHAR(32) NOT NULL,
+          signature_algorithm VARCHAR(32) NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createAuditRedactionsTable);
+      logger.info('Audit redactions table initialized successfully');
+
+      const createResignJobsTable = `
+        CREATE TABLE IF NOT EXISTS resign_jobs (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          status VARCHAR(20) NOT NULL DEFAULT 'running',
+          key_id VARCHAR(32) NOT NULL,
+          email_hash_version SMALLINT NOT NULL DEFAULT 1,
+          cursor_user_id UUID,
+          processed INTEGER NOT NULL DEFAULT 0,
+          skipped INTEGER NOT NULL DEFAULT 0,
+          total INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          started_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          completed_at TIMESTAMP WITH TIME ZONE
+        )
+      `;
+
+      await client.query(createResignJobsTable);
+      await client.query(`
+        ALTER TABLE resign_jobs
+          ADD COLUMN IF NOT EXISTS email_hash_version SMALLINT NOT NULL DEFAULT 1
+      `);
+      // At most one job may run at a time, across every server instance
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_resign_jobs_running
+        ON resign_jobs ((status)) WHERE status = 'running'
+      `);
+      logger.info('Re-signing jobs table initialized successfully');
+
+      // Keyring shared by all instances (KEY_PROVIDER=database); only the
+      // active key keeps its private key, encrypted with the master secret
+      const createSigningKeysTable = `
+        CREATE TABLE IF NOT EXISTS signing_keys (
+          key_id VARCHAR(32) PRIMARY KEY,
+          algorithm VARCHAR(32) NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          public_key TEXT,
+          private_key TEXT,
+          is_legacy BOOLEAN NOT NULL DEFAULT false,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          rotated_at TIMESTAMP WITH TIME ZONE,
+          retired_at TIMESTAMP WITH TIME ZONE
+        )
+      `;
+
+      await client.query(createSigningKeysTable);
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_signing_keys_active
+        ON signing_keys ((status)) WHERE status = 'active'
+      `);
+      logger.info('Signing keys table initialized successfully');
+
+      // Data keys for field-level encryption, wrapped with the
+      // FIELD_ENCRYPTION_KEY secret
+      const createEncryptionKeysTable = `
+        CREATE TABLE IF NOT EXISTS encryption_keys (
+          key_id VARCHAR(32) PRIMARY KEY,
+          purpose VARCHAR(64) NOT NULL,
+          wrapped_key TEXT NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createEncryptionKeysTable);
+      logger.info('Encryption keys table initialized successfully');
+
+      // Signed manifest of every protobuf export, for companion downloads
+      const createExportManifestsTable = `
+        CREATE TABLE IF NOT EXISTS export_manifests (
+          id UUID PRIMARY KEY,
+          manifest JSONB NOT NULL,
+          actor_type VARCHAR(20) NOT NULL,
+          actor_id VARCHAR(64),
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await client.query(createExportManifestsTable);
+      logger.info('Export manifests table initialized successfully');
+
+      // Rate limit counters shared by every instance (one row per policy
+      // and caller, reset once reset_at passes)
+      const createRateLimitCountersTable = `
+        CREATE TABLE IF NOT EXISTS rate_limit_counters (
+          key VARCHAR(255) PRIMARY KEY,
+          hits INTEGER NOT NULL,
+          reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+        )
+      `;
+
+      await client.query(createRateLimitCountersTable);
+      await client.query(
+        'CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON rate_limit_counters (reset_at)'
+      );
+      logger.info('Rate limit counters table initialized successfully');
     } catch (error) {
-      logger.error('Failed to create users table:', error);
+      logger.error('Failed to create database tables:', error);
       throw error;
     }
   }
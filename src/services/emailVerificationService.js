@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const config = require('../config');
+const userService = require('./userService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Email Verification Service
+ * Issues and redeems signed, single-use email verification tokens
+ *
+ * - With EMAIL_VERIFICATION_REQUIRED, users created without an explicit
+ *   status start as pending_verification and cannot sign in
+ * - Tokens are JWTs recorded by ID; they expire, work once, and only for
+ *   the email they were issued for. Resending discards earlier tokens
+ * - Tokens are returned to the caller for out-of-band delivery, like
+ *   password reset tokens
+ * - Redeeming a token activates the account through UserService, so the
+ *   record is re-signed and the status change is audited
+ */
+class EmailVerificationService {
+  constructor() {
+    this.pendingStatus = 'pending_verification';
+  }
+
+  /**
+   * Issue a verification token for a pending user
+   * @param {Object} user - User with id and email
+   * @returns {Promise<Object>} Verification token and expiry
+   */
+  async issue(user) {
+    try {
+      const tokenId = crypto.randomUUID();
+      const ttlMs = config.security.emailVerification.tokenTtlMs;
+      const expiresAt = new Date(Date.now() + ttlMs);
+
+      await EmailVerificationToken.create({
+        id: tokenId,
+        userId: user.id,
+        email: user.email,
+        expiresAt,
+      });
+
+      const verificationToken = jwt.sign(
+        { type: 'email-verification' },
+        config.security.jwtSecret,
+        {
+          subject: String(user.id),
+          jwtid: tokenId,
+          issuer: config.security.jwt.issuer,
+          expiresIn: Math.floor(ttlMs / 1000),
+          algorithm: 'HS256',
+        }
+      );
+
+      logger.info('Email verification token issued', { userId: user.id });
+
+      return {
+        success: true,
+        data: { userId: user.id, verificationToken, expiresAt },
+        message: 'Email verification token issued successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to issue email verification token:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to issue email verification token',
+      };
+    }
+  }
+
+  /**
+   * Issue a new verification token, discarding earlier ones
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Verification token and expiry
+   */
+  async resend(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      if (user.status !== this.pendingStatus) {
+        return {
+          success: false,
+          error: 'User is not pending verification',
+          message: 'Only users pending verification can be sent a token',
+        };
+      }
+
+      return this.issue(user);
+    } catch (error) {
+      logger.error('Failed to resend email verification token:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to issue email verification token',
+      };
+    }
+  }
+
+  /**
+   * Redeem a verification token and activate the account
+   * @param {string} verificationToken - Signed verification token
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Activated user
+   */
+  async confirm(verificationToken, context = auditService.systemContext()) {
+    const invalid = {
+      success: false,
+      error: 'Invalid verification token',
+      message: 'Verification token is invalid, used or has expired',
+    };
+
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(verificationToken, config.security.jwtSecret, {
+          issuer: config.security.jwt.issuer,
+          algorithms: ['HS256'],
+        });
+      } catch {
+        payload = null;
+      }
+
+      if (!payload || payload.type !== 'email-verification' || !payload.jti) {
+        return invalid;
+      }
+
+      // Deactivated or already active users stay as they are
+      const user = await User.findById(payload.sub);
+      if (!user || user.status !== this.pendingStatus) {
+        return invalid;
+      }
+
+      const consumed = await EmailVerificationToken.consume(
+        payload.jti,
+        user.id,
+        user.email
+      );
+      if (!consumed) {
+        return invalid;
+      }
+
+      // Holding the token is what authorises the change
+      const result = await userService.updateUser(
+        user.id,
+        { status: 'active' },
+        { ...context, actor: { type: 'user', id: user.id } }
+      );
+      if (!result.success) {
+        return result;
+      }
+
+      logger.info('Email verified', { userId: user.id });
+
+      return {
+        success: true,
+        data: result.data,
+        message: 'Email verified; the account is active',
+      };
+    } catch (error) {
+      logger.error('Failed to verify email:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to verify email',
+      };
+    }
+  }
+}
+
+module.exports = new EmailVerificationService();
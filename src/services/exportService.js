@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const ExportManifest = require('../models/ExportManifest');
+const cryptoService = require('../utils/crypto');
+const logger = require('../utils/logger');
+const auditService = require('./auditService');
+const integrityService = require('./integrityService');
+const { isValidUuid } = require('../utils/validation');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Export Service
+ * Signed manifests for protobuf exports (users.pb)
+ *
+ * - Every export gets a manifest with the SHA-384 digest and size of the
+ *   file, the user count, the export timestamp and the signing key
+ * - The manifest is signed like audit events: a signature over the SHA-384
+ *   of its canonical JSON (every field except signature)
+ * - Manifests are stored, so they can be downloaded again by export ID
+ * - An uploaded export is valid only if the manifest signature verifies
+ *   and the file matches every field it covers
+ * - The records in an uploaded export can also be re-verified one by one,
+ *   without a manifest
+ */
+class ExportService {
+  /**
+   * Compute the signed payload of a manifest
+   * @param {Object} manifest - Manifest, with or without its signature
+   * @returns {string} SHA-384 of the canonical manifest
+   */
+  hashManifest(manifest) {
+    const fields = { ...manifest };
+    delete fields.signature;
+    return cryptoService.hashData(fields);
+  }
+
+  /**
+   * Build, sign and store the manifest of an export
+   * @param {Buffer} data - Exported file
+   * @param {Object} details - userCount and exportedAt (as in the file)
+   * @param {Object} context - Audit context of the caller
+   * @returns {Promise<Object>} Signed manifest
+   */
+  async createManifest(
+    data,
+    { userCount, exportedAt },
+    context = auditService.systemContext()
+  ) {
+    const manifest = {
+      version: MANIFEST_VERSION,
+      exportId: crypto.randomUUID(),
+      file: 'users.pb',
+      digestAlgorithm: 'SHA-384',
+      digest: crypto.createHash('sha384').update(data).digest('hex'),
+      size: data.length,
+      userCount,
+      exportedAt: exportedAt.toISOString(),
+      keyId: cryptoService.getActiveKeyId(),
+      algorithm: cryptoService.getActiveAlgorithm(),
+    };
+    manifest.signature = cryptoService.signHash(this.hashManifest(manifest));
+
+    await ExportManifest.create({
+      manifest,
+      actorType: context.actor.type,
+      actorId: context.actor.id,
+    });
+
+    logger.info('Export manifest created', {
+      exportId: manifest.exportId,
+      userCount,
+      size: manifest.size,
+      keyId: manifest.keyId,
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Encode a manifest for the X-Export-Manifest header
+   * @param {Object} manifest - Signed manifest
+   * @returns {string} base64url JSON
+   */
+  encodeManifest(manifest) {
+    return Buffer.from(JSON.stringify(manifest)).toString('base64url');
+  }
+
+  /**
+   * Decode a manifest sent in the X-Export-Manifest header
+   * @param {string} header - base64 or base64url JSON
+   * @returns {Object|null} Manifest, or null if it is not one
+   */
+  decodeManifest(header) {
+    try {
+      const manifest = JSON.parse(Buffer.from(header, 'base64').toString());
+      return manifest && typeof manifest === 'object' ? manifest : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the stored manifest of an export
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object>} Manifest
+   */
+  async getManifest(exportId) {
+    try {
+      const row =
+        isValidUuid(exportId) && (await ExportManifest.findById(exportId));
+      if (!row) {
+        return {
+          success: false,
+          error: 'Export not found',
+          message: 'Export manifest not found',
+        };
+      }
+
+      return {
+        success: true,
+        data: row.manifest,
+        message: 'Export manifest retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to get export manifest:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve export manifest',
+      };
+    }
+  }
+
+  /**
+   * Check an uploaded export against its manifest
+   * The user count and timestamp are read from the decoded file, so a file
+   * re-encoded with fewer users fails even before the digest is compared
+   * @param {Buffer} data - Uploaded file
+   * @param {Object} manifest - Manifest it came with
+   * @returns {Promise<Object>} Per-check results and overall validity
+   */
+  async verifyExport(data, manifest) {
+    try {
+      const protobufService = require('../utils/protobuf');
+
+      let collection = null;
+      try {
+        await protobufService.ensureInitialized();
+        collection = protobufService.deserializeUserCollection(data);
+      } catch (error) {
+        logger.warn('Uploaded export is not a user collection', {
+          error: error.message,
+        });
+      }
+
+      const checks = {
+        signature: cryptoService.verifySignature(
+          this.hashManifest(manifest),
+          manifest.signature,
+          manifest.keyId,
+          manifest.algorithm,
+          { allowRetired: true }
+        ),
+        digest:
+          crypto.createHash('sha384').update(data).digest('hex') ===
+          manifest.digest,
+        size: data.length === manifest.size,
+        userCount:
+          collection !== null && collection.users.length === manifest.userCount,
+        // Empty exports carry no collection, hence no timestamp
+        exportedAt:
+          collection !== null &&
+          (data.length === 0 || collection.exportedAt === manifest.exportedAt),
+      };
+      const valid = Object.values(checks).every(Boolean);
+
+      logger.info('Export verified', {
+        exportId: manifest.exportId,
+        valid,
+        ...checks,
+      });
+
+      return {
+        success: true,
+        data: { valid, checks, manifest },
+        message: valid
+          ? 'Export matches its signed manifest'
+          : 'Export does not match its signed manifest',
+      };
+    } catch (error) {
+      logger.error('Failed to verify export:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to verify export',
+      };
+    }
+  }
+
+  /**
+   * Re-verify every user record in an uploaded export
+   * Each email_hash is recomputed from the exported email and each
+   * signature checked against the exported fields, with the checks the
+   * integrity scan runs on the users table
+   * @param {Buffer} data - Uploaded users.pb
+   * @returns {Promise<Object>} Per-user results and a summary
+   */
+  async verifyRecords(data) {
+    try {
+      const protobufService = require('../utils/protobuf');
+
+      let collection;
+      try {
+        await protobufService.ensureInitialized();
+        collection = protobufService.deserializeUserCollection(data);
+      } catch {
+        return {
+          success: false,
+          error: 'Invalid export',
+          message: 'The upload is not a protobuf UserCollection',
+        };
+      }
+
+      const summary = {
+        total: collection.users.length,
+        valid: 0,
+        mismatched: 0,
+        unsigned: 0,
+        unverifiable: 0,
+      };
+
+      const results = collection.users.map(exported => {
+        // Decoded fields are camelCase; the checks expect row names
+        const user = {
+          id: exported.id,
+          email: exported.email,
+          role: exported.role,
+          status: exported.status,
+          created_at: exported.createdAt,
+          email_hash: exported.emailHash,
+          signature: exported.signature,
+          signature_key_id: exported.signatureKeyId,
+          signature_version: exported.signatureVersion || 1,
+          signature_algorithm: exported.signatureAlgorithm,
+        };
+
+        const issue = integrityService.checkUser(user);
+        summary[issue ? issue.type : 'valid']++;
+
+        return {
+          id: user.id,
+          valid: !issue,
+          emailHash:
+            !!user.email_hash &&
+            cryptoService.verifyEmailHash(user.email, user.email_hash),
+          signature: !!user.signature && cryptoService.verifyUserRecord(user),
+          signatureKeyId: user.signature_key_id || null,
+          issue: issue ? issue.type : null,
+          reason: issue ? issue.reason : null,
+        };
+      });
+
+      logger.info('Export records verified', summary);
+
+      return {
+        success: true,
+        data: {
+          exportedAt: collection.exportedAt || null,
+          summary,
+          results,
+        },
+        message:
+          summary.valid === summary.total
+            ? 'Every exported user verifies'
+            : 'Some exported users do not verify',
+      };
+    } catch (error) {
+      logger.error('Failed to verify export records:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to verify export records',
+      };
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,218 @@
+const User = require('../models/User');
+const config = require('../config');
+const cryptoService = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Integrity Service
+ * Detects user rows whose email, email_hash or signature were changed
+ * outside the application, e.g. directly in Postgres
+ *
+ * - unsigned: email_hash or signature is missing
+ * - mismatched: email_hash is not the hash of the stored email, computed
+ *   with the hash version recorded in its prefix
+ * - unverifiable: the signature does not match the stored record, or its
+ *   key is unknown or retired
+ * - Rows still signed with payload version 1 (email hash only) are counted
+ *   as legacy; they cannot reveal role or status tampering
+ * - Rows whose email_hash is not in the configured version are counted as
+ *   outdatedEmailHashes until the re-signing job rehashes them
+ */
+class IntegrityService {
+  constructor() {
+    this.batchSize = config.security.integrityScan.batchSize;
+    this.intervalMs = config.security.integrityScan.intervalMs;
+    this.lastReport = null;
+    this.runningScan = null;
+    this.timer = null;
+  }
+
+  /**
+   * Check one user row
+   * @param {Object} user - User row
+   * @returns {Object|null} Issue ({ type, reason }), or null if intact
+   */
+  checkUser(user) {
+    if (!user.email_hash || !user.signature) {
+      return { type: 'unsigned', reason: 'Email hash or signature missing' };
+    }
+
+    if (!cryptoService.verifyEmailHash(user.email, user.email_hash)) {
+      return {
+        type: 'mismatched',
+        reason: 'Email hash does not match the stored email',
+      };
+    }
+
+    if (!cryptoService.getVerificationKey(user.signature_key_id)) {
+      return {
+        type: 'unverifiable',
+        reason: 'Signing key is unknown or retired',
+      };
+    }
+
+    if (!cryptoService.verifyUserRecord(user)) {
+      return {
+        type: 'unverifiable',
+        reason: 'Signature does not match the stored record',
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Scan every user and report rows that fail the integrity checks
+   * Concurrent calls share the scan already in progress
+   * @param {string} trigger - What started the scan (manual or schedule)
+   * @returns {Promise<Object>} Scan report
+   */
+  async scanUsers(trigger = 'manual') {
+    if (!this.runningScan) {
+      this.runningScan = this.runScan(trigger).finally(() => {
+        this.runningScan = null;
+      });
+    }
+
+    return this.runningScan;
+  }
+
+  /**
+   * Walk the users table in batches and build the report
+   * @param {string} trigger - What started the scan
+   * @returns {Promise<Object>} Scan result
+   */
+  async runScan(trigger) {
+    try {
+      const startedAt = new Date();
+      const issues = { mismatched: [], unsigned: [], unverifiable: [] };
+      let checked = 0;
+      let legacy = 0;
+      let outdatedEmailHashes = 0;
+      let cursorUserId = null;
+
+      for (;;) {
+        const users = await User.findBatchAfter(cursorUserId, this.batchSize);
+        if (users.length === 0) {
+          break;
+        }
+
+        users.forEach(user => {
+          const issue = this.checkUser(user);
+          if (!issue && (user.signature_version || 1) < 2) {
+            legacy++;
+          }
+          if (!issue && cryptoService.isEmailHashOutdated(user.email_hash)) {
+            outdatedEmailHashes++;
+          }
+          if (issue) {
+            issues[issue.type].push({
+              id: user.id,
+              email: user.email,
+              signatureKeyId: user.signature_key_id || null,
+              reason: issue.reason,
+            });
+          }
+        });
+
+        checked += users.length;
+        cursorUserId = users[users.length - 1].id;
+      }
+
+      const counts = {
+        mismatched: issues.mismatched.length,
+        unsigned: issues.unsigned.length,
+        unverifiable: issues.unverifiable.length,
+      };
+      const failed = counts.mismatched + counts.unsigned + counts.unverifiable;
+
+      const report = {
+        trigger,
+        startedAt,
+        completedAt: new Date(),
+        checked,
+        valid: checked - failed,
+        legacy,
+        outdatedEmailHashes,
+        counts,
+        issues,
+      };
+      this.lastReport = report;
+
+      if (failed > 0) {
+        logger.warn('Integrity scan found tampered or unverifiable users', {
+          trigger,
+          checked,
+          ...counts,
+        });
+      } else {
+        logger.info('Integrity scan completed', { trigger, checked });
+      }
+
+      return {
+        success: true,
+        data: report,
+        message:
+          failed > 0
+            ? `Integrity scan found ${failed} problem user(s)`
+            : 'All users passed the integrity scan',
+      };
+    } catch (error) {
+      logger.error('Integrity scan failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to run integrity scan',
+      };
+    }
+  }
+
+  /**
+   * Get the report of the last scan run by this process
+   * @returns {Object} Last report
+   */
+  getLastReport() {
+    if (!this.lastReport) {
+      return {
+        success: false,
+        error: 'No scan has run yet',
+        message: 'No integrity scan has run since the server started',
+      };
+    }
+
+    return {
+      success: true,
+      data: this.lastReport,
+      message: 'Integrity scan report retrieved successfully',
+    };
+  }
+
+  /**
+   * Run the scan every intervalMs (0 disables the schedule)
+   */
+  startSchedule() {
+    if (this.timer || !this.intervalMs) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.scanUsers('schedule');
+    }, this.intervalMs);
+    // Never keep the process alive just for the scan
+    this.timer.unref();
+
+    logger.info('Integrity scan scheduled', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop the scheduled scan
+   */
+  stopSchedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new IntegrityService();
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const config = require('../config');
+const userService = require('./userService');
+const auditService = require('./auditService');
+const passwordService = require('../utils/password');
+const logger = require('../utils/logger');
+const { isValidUuid } = require('../utils/validation');
+
+/**
+ * Invitation Service
+ * Invites an email with a preset role and creates the account when the
+ * invitee accepts
+ *
+ * - Invite tokens are JWTs naming the invitation and its current token ID;
+ *   they expire, work once, and resending replaces the token
+ * - Tokens are returned to the inviting admin for out-of-band delivery,
+ *   like password reset tokens
+ * - Accepting creates the account through UserService as active (holding
+ *   the token proves the email), audited with the inviting admin as actor
+ * - Inviting, resending and revoking are audited with the invitation ID in
+ *   the changes, since there is no user to target yet
+ */
+class InvitationService {
+  /**
+   * Validate invitation data
+   * @param {Object} invitationData - Invitation data
+   * @returns {Object} Validation result
+   */
+  validateInvitationData(invitationData) {
+    const errors = [];
+
+    if (!invitationData.email || typeof invitationData.email !== 'string') {
+      errors.push('Email is required and must be a string');
+    } else if (!userService.isValidEmail(invitationData.email)) {
+      errors.push('Email must be a valid email address');
+    }
+
+    if (!userService.validRoles.includes(invitationData.role)) {
+      errors.push(`Role must be one of: ${userService.validRoles.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Sign an invite token
+   * @param {string} invitationId - Invitation ID
+   * @param {string} tokenId - Token ID stored on the invitation
+   * @param {Date} expiresAt - Expiry stored on the invitation
+   * @returns {string} Signed invite token
+   */
+  signInvitationToken(invitationId, tokenId, expiresAt) {
+    return jwt.sign(
+      { type: 'invitation', exp: Math.floor(expiresAt.getTime() / 1000) },
+      config.security.jwtSecret,
+      {
+        subject: String(invitationId),
+        jwtid: tokenId,
+        issuer: config.security.jwt.issuer,
+        algorithm: 'HS256',
+      }
+    );
+  }
+
+  /**
+   * Record an audit event for an invitation
+   * @param {string} action - One of auditService.actions
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} changes - Changed fields ({ field: { before, after } })
+   * @param {Object} context - Audit context
+   * @returns {Promise<Object|null>} Created event
+   */
+  recordEvent(action, invitationId, changes, context) {
+    return auditService.record(
+      action,
+      {
+        changes: {
+          invitation_id: { before: null, after: invitationId },
+          ...changes,
+        },
+      },
+      context
+    );
+  }
+
+  /**
+   * Invite an email address
+   * @param {Object} invitationData - Invitation data
+   * @param {string} invitationData.email - Email address to invite
+   * @param {string} invitationData.role - Role the account is created with
+   * @param {Object} context - Audit context of the inviting admin's request
+   * @returns {Promise<Object>} Invitation including the invite token
+   */
+  async invite(invitationData, context) {
+    try {
+      const validation = this.validateInvitationData(invitationData);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      if (await User.findByEmail(invitationData.email)) {
+        return {
+          success: false,
+          error: 'User with this email already exists',
+          message: 'The invited email already has an account',
+        };
+      }
+
+      const tokenId = crypto.randomUUID();
+      const expiresAt = new Date(
+        Date.now() + config.security.invitations.tokenTtlMs
+      );
+      const invitation = await Invitation.create({
+        id: crypto.randomUUID(),
+        email: invitationData.email,
+        role: invitationData.role,
+        tokenId,
+        invitedBy: context.actor.id,
+        expiresAt,
+      });
+
+      await this.recordEvent(
+        auditService.actions.INVITATION_CREATED,
+        invitation.id,
+        {
+          email_index: auditService.indexEmailChange({
+            after: invitationData.email,
+          }),
+          role: { before: null, after: invitation.role },
+          expires_at: { before: null, after: expiresAt.toISOString() },
+        },
+        context
+      );
+
+      return {
+        success: true,
+        data: {
+          ...invitation,
+          invitationToken: this.signInvitationToken(
+            invitation.id,
+            tokenId,
+            expiresAt
+          ),
+        },
+        message: 'Invitation created successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to create invitation:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to create invitation',
+      };
+    }
+  }
+
+  /**
+   * List invitations with the admin who sent them
+   * @param {Object} options - Query options
+   * @param {string} options.status - Optional status filter
+   * @returns {Promise<Object>} Invitations
+   */
+  async listInvitations(options = {}) {
+    try {
+      if (options.status && !Invitation.statuses.includes(options.status)) {
+        throw new Error(
+          `Validation failed: Status must be one of: ${Invitation.statuses.join(', ')}`
+        );
+      }
+
+      const invitations = await Invitation.findAll({ status: options.status });
+
+      return {
+        success: true,
+        data: invitations,
+        message: 'Invitations retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to list invitations:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve invitations',
+      };
+    }
+  }
+
+  /**
+   * Issue a new invite token and expiry for an open invitation
+   * Earlier tokens for the invitation stop working
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} context - Audit context of the admin's request
+   * @returns {Promise<Object>} Invitation including the new invite token
+   */
+  async resend(invitationId, context) {
+    try {
+      const invitation = isValidUuid(invitationId)
+        ? await Invitation.findById(invitationId)
+        : null;
+
+      if (!invitation) {
+        return {
+          success: false,
+          error: 'Invitation not found',
+          message: 'Invitation not found',
+        };
+      }
+
+      const tokenId = crypto.randomUUID();
+      const expiresAt = new Date(
+        Date.now() + config.security.invitations.tokenTtlMs
+      );
+      const renewed = await Invitation.rotateToken(
+        invitation.id,
+        tokenId,
+        expiresAt
+      );
+      if (!renewed) {
+        return {
+          success: false,
+          error: 'Invitation is not pending',
+          message: 'Accepted or revoked invitations cannot be resent',
+        };
+      }
+
+      await this.recordEvent(
+        auditService.actions.INVITATION_RESENT,
+        renewed.id,
+        {
+          expires_at: {
+            before: new Date(invitation.expires_at).toISOString(),
+            after: expiresAt.toISOString(),
+          },
+        },
+        context
+      );
+
+      logger.info('Invitation resent', { invitationId: renewed.id });
+
+      return {
+        success: true,
+        data: {
+          ...renewed,
+          invitationToken: this.signInvitationToken(
+            renewed.id,
+            tokenId,
+            expiresAt
+          ),
+        },
+        message: 'Invitation resent successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to resend invitation:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to resend invitation',
+      };
+    }
+  }
+
+  /**
+   * Revoke an open invitation
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} context - Audit context of the admin's request
+   * @returns {Promise<Object>} Revoked invitation
+   */
+  async revoke(invitationId, context) {
+    try {
+      const revoked = isValidUuid(invitationId)
+        ? await Invitation.revoke(invitationId)
+        : null;
+
+      if (!revoked) {
+        return {
+          success: false,
+          error: 'Invitation not found',
+          message: 'Invitation not found, accepted or already revoked',
+        };
+      }
+
+      await this.recordEvent(
+        auditService.actions.INVITATION_REVOKED,
+        revoked.id,
+        {
+          revoked_at: {
+            before: null,
+            after: new Date(revoked.revoked_at).toISOString(),
+          },
+        },
+        context
+      );
+
+      logger.info('Invitation revoked', { invitationId });
+
+      return {
+        success: true,
+        data: revoked,
+        message: 'Invitation revoked successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to revoke invitation:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to revoke invitation',
+      };
+    }
+  }
+
+  /**
+   * Accept an invitation and create the account
+   * If the password or the acceptance cannot be stored, the account is
+   * deleted again and the invitation reopened, so no half-created account
+   * is left behind
+   * @param {string} invitationToken - Signed invite token
+   * @param {string} password - Plain text password for the new account
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Created user
+   */
+  async accept(
+    invitationToken,
+    password,
+    context = auditService.systemContext()
+  ) {
+    const invalid = {
+      success: false,
+      error: 'Invalid invitation token',
+      message: 'Invitation token is invalid, used, revoked or has expired',
+    };
+
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(invitationToken, config.security.jwtSecret, {
+          issuer: config.security.jwt.issuer,
+          algorithms: ['HS256'],
+        });
+      } catch {
+        payload = null;
+      }
+
+      if (!payload || payload.type !== 'invitation' || !payload.jti) {
+        return invalid;
+      }
+
+      // Check the policy first so a weak password does not burn the token
+      const validation = await passwordService.validatePolicy(password);
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const invitation = await Invitation.claim(payload.sub, payload.jti);
+      if (!invitation) {
+        return invalid;
+      }
+
+      // The inviting admin authorised the account and its role
+      const actor = invitation.invited_by
+        ? { type: 'user', id: invitation.invited_by }
+        : context.actor;
+      const result = await userService.createUser(
+        { email: invitation.email, role: invitation.role, status: 'active' },
+        { ...context, actor }
+      );
+      if (!result.success) {
+        await Invitation.release(invitation.id);
+        return result;
+      }
+
+      const user = result.data;
+      try {
+        await User.setPasswordHash(
+          user.id,
+          await passwordService.hash(password)
+        );
+        await Invitation.markAccepted(invitation.id, user.id);
+      } catch (error) {
+        await userService.deleteUser(user.id, { ...context, actor });
+        await Invitation.release(invitation.id);
+        throw error;
+      }
+
+      logger.info('Invitation accepted', {
+        invitationId: invitation.id,
+        userId: user.id,
+      });
+
+      return {
+        success: true,
+        data: user,
+        message: 'Invitation accepted; the account is active',
+      };
+    } catch (error) {
+      logger.error('Failed to accept invitation:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to accept invitation',
+      };
+    }
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const config = require('../config');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Lockout Service
+ * Locks accounts that keep failing to sign in
+ *
+ * - Failed logins are counted per account; maxAttempts failures within
+ *   windowMs lock the account for durationMs
+ * - While locked, logins are refused without checking the password, so a
+ *   lock cannot be used to confirm a guessed password
+ * - A successful login clears the count; admins can unlock early
+ * - Locks and unlocks are recorded in the audit trail
+ * - Failures per IP address are counted by the login route (see
+ *   middleware/loginProtection)
+ */
+class LockoutService {
+  /**
+   * Check whether a user row is locked
+   * @param {Object} user - User row with locked_until
+   * @returns {boolean} True while the lock lasts
+   */
+  isLocked(user) {
+    return !!user.locked_until && new Date(user.locked_until) > new Date();
+  }
+
+  /**
+   * Count a failed login and lock the account at the threshold
+   * @param {Object} user - User row
+   * @param {Object} context - Audit context of the login request
+   * @returns {Promise<Date|null>} End of the lock if this failure locked it
+   */
+  async recordFailure(user, context = auditService.systemContext()) {
+    const { maxAttempts, windowMs, durationMs } = config.security.lockout;
+
+    const failures = await User.recordLoginFailure(user.id, windowMs);
+    if (failures < maxAttempts) {
+      return null;
+    }
+
+    const lockedUntil = await User.lock(
+      user.id,
+      new Date(Date.now() + durationMs)
+    );
+    if (!lockedUntil) {
+      return null;
+    }
+
+    await auditService.record(
+      auditService.actions.USER_LOCKED,
+      {
+        targetUserId: user.id,
+        changes: {
+          locked_until: {
+            before: null,
+            after: new Date(lockedUntil).toISOString(),
+          },
+          failed_login_count: { before: null, after: failures },
+        },
+      },
+      context
+    );
+
+    logger.warn('Account locked after failed logins', {
+      userId: user.id,
+      failures,
+      lockedUntil,
+      ip: context.ip,
+    });
+
+    return lockedUntil;
+  }
+
+  /**
+   * Clear the failed login count after a successful login
+   * @param {Object} user - User row with failed_login_count
+   */
+  async recordSuccess(user) {
+    if (user.failed_login_count > 0) {
+      await User.clearLoginFailures(user.id);
+    }
+  }
+
+  /**
+   * Unlock an account and clear its failed logins
+   * @param {string} userId - User ID
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Result
+   */
+  async unlock(userId, context = auditService.systemContext()) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      const previous = await User.clearLoginFailures(user.id);
+      const wasLocked = !!previous && this.isLocked(previous);
+
+      if (wasLocked) {
+        await auditService.record(
+          auditService.actions.USER_UNLOCKED,
+          {
+            targetUserId: user.id,
+            changes: {
+              locked_until: {
+                before: new Date(previous.locked_until).toISOString(),
+                after: null,
+              },
+            },
+          },
+          context
+        );
+      }
+
+      logger.info('User unlocked', { userId: user.id, wasLocked });
+
+      return {
+        success: true,
+        data: { id: user.id, wasLocked },
+        message: wasLocked ? 'User unlocked' : 'User was not locked',
+      };
+    } catch (error) {
+      logger.error('Failed to unlock user:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to unlock user',
+      };
+    }
+  }
+}
+
+module.exports = new LockoutService();
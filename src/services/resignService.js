@@ -0,0 +1,288 @@
+const ResignJob = require('../models/ResignJob');
+const User = require('../models/User');
+const integrityService = require('./integrityService');
+const config = require('../config');
+const cryptoService = require('../utils/crypto');
+const logger = require('../utils/logger');
+const { isValidUuid } = require('../utils/validation');
+
+/**
+ * Re-signing Service
+ * Recomputes every user's email_hash and signature with the current
+ * CryptoService settings, e.g. after a key rotation (including a change
+ * of signature algorithm), a new signed payload version or a switch of
+ * EMAIL_HASH_VERSION; the service keeps verifying rows in either format
+ * while the job rehashes them, so no downtime is needed
+ *
+ * - Runs in the background in batches, walking users in ID order
+ * - Progress (cursor and counts) is stored after every batch
+ * - Interrupted or failed runs continue from the stored cursor
+ * - Only one job runs at a time, across all server instances
+ * - Rows failing the integrity checks are skipped, never re-signed, so a
+ *   tampered row cannot be laundered into a valid signature
+ */
+class ResignService {
+  constructor() {
+    this.batchSize = config.security.resign.batchSize;
+    this.staleAfterMs = config.security.resign.staleAfterMs;
+    this.runningJob = null;
+  }
+
+  /**
+   * Start a re-signing job, or resume the unfinished one
+   * An unfinished job for an older key or email hash version is
+   * superseded by a fresh job
+   * @param {Object} options - Job options
+   * @param {string|null} options.startedBy - ID of the admin starting the job
+   * @returns {Promise<Object>} Job that is now running
+   */
+  async startJob({ startedBy = null } = {}) {
+    try {
+      if (this.runningJob) {
+        throw new Error('A re-signing job is already running');
+      }
+
+      const keyId = cryptoService.getActiveKeyId();
+      const emailHashVersion = cryptoService.emailHashVersion;
+      let job = null;
+
+      const unfinished = await ResignJob.findUnfinished();
+      if (
+        unfinished &&
+        unfinished.key_id === keyId &&
+        unfinished.email_hash_version === emailHashVersion
+      ) {
+        job = await ResignJob.claim(unfinished.id, this.staleAfterMs);
+        if (!job) {
+          throw new Error('A re-signing job is already running');
+        }
+        logger.info('Resuming re-signing job', {
+          jobId: job.id,
+          processed: job.processed,
+        });
+      } else {
+        if (unfinished) {
+          if (!(await ResignJob.claim(unfinished.id, this.staleAfterMs))) {
+            throw new Error('A re-signing job is already running');
+          }
+          await ResignJob.finish(
+            unfinished.id,
+            'superseded',
+            unfinished.key_id === keyId
+              ? `Email hash version changed to ${emailHashVersion}`
+              : `Signing key changed to ${keyId}`
+          );
+        }
+
+        job = await ResignJob.create({
+          keyId,
+          emailHashVersion,
+          total: await User.count(),
+          startedBy,
+        });
+      }
+
+      this.runInBackground(job);
+
+      return {
+        success: true,
+        data: job,
+        message: 'Re-signing job started',
+      };
+    } catch (error) {
+      // The partial unique index rejects a second running job
+      const message =
+        error.code === '23505'
+          ? 'A re-signing job is already running'
+          : error.message;
+
+      logger.error('Failed to start re-signing job:', error);
+      return {
+        success: false,
+        error: message,
+        message: 'Failed to start re-signing job',
+      };
+    }
+  }
+
+  /**
+   * Resume a job whose process died mid-run
+   * Called on server start; does nothing if no stale job exists
+   * @returns {Promise<Object|null>} Resumed job, or null
+   */
+  async resumeInterrupted() {
+    try {
+      const unfinished = await ResignJob.findUnfinished();
+      if (!unfinished || unfinished.status !== 'running') {
+        return null;
+      }
+
+      const job = await ResignJob.claim(unfinished.id, this.staleAfterMs);
+      if (!job) {
+        return null;
+      }
+
+      logger.info('Resuming interrupted re-signing job', {
+        jobId: job.id,
+        processed: job.processed,
+      });
+      this.runInBackground(job);
+      return job;
+    } catch (error) {
+      logger.error('Failed to resume re-signing job:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Run a claimed job without blocking the caller
+   * @param {Object} job - Claimed job
+   */
+  runInBackground(job) {
+    this.runningJob = this.runJob(job).finally(() => {
+      this.runningJob = null;
+    });
+  }
+
+  /**
+   * Re-sign users batch by batch from the job's cursor
+   * @param {Object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    let cursorUserId = job.cursor_user_id;
+    let processed = job.processed;
+    let skipped = job.skipped;
+
+    try {
+      for (;;) {
+        if (cryptoService.getActiveKeyId() !== job.key_id) {
+          throw new Error(
+            'Signing key changed during the run; start a new job'
+          );
+        }
+        if (job.email_hash_version !== cryptoService.emailHashVersion) {
+          throw new Error(
+            'Job was started with a different email hash version; start a new job'
+          );
+        }
+
+        const users = await User.findBatchAfter(cursorUserId, this.batchSize);
+        if (users.length === 0) {
+          break;
+        }
+
+        for (const user of users) {
+          const issue = integrityService.checkUser(user);
+          if (issue) {
+            logger.warn('Skipping user that fails integrity checks', {
+              jobId: job.id,
+              userId: user.id,
+              ...issue,
+            });
+            skipped++;
+            continue;
+          }
+
+          const cryptoData = cryptoService.processUserRecord(user);
+          const updated = await User.updateSignature(user, {
+            emailHash: cryptoData.emailHash,
+            signature: cryptoData.signature,
+            signatureKeyId: cryptoData.keyId,
+            signatureVersion: cryptoData.signatureVersion,
+            signatureAlgorithm: cryptoData.algorithm,
+          });
+
+          // Users deleted or updated meanwhile were re-signed by the update
+          if (updated) {
+            processed++;
+          } else {
+            skipped++;
+          }
+        }
+
+        cursorUserId = users[users.length - 1].id;
+        await ResignJob.recordProgress(job.id, {
+          cursorUserId,
+          processed,
+          skipped,
+        });
+      }
+
+      await ResignJob.finish(job.id, 'completed');
+      logger.info('Re-signing job completed', {
+        jobId: job.id,
+        processed,
+        skipped,
+      });
+    } catch (error) {
+      logger.error('Re-signing job failed:', {
+        jobId: job.id,
+        cursorUserId,
+        error: error.message,
+      });
+
+      try {
+        await ResignJob.finish(job.id, 'failed', error.message);
+      } catch (finishError) {
+        // Left as running; it is resumed once its heartbeat goes stale
+        logger.error('Failed to mark re-signing job as failed:', finishError);
+      }
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(jobId) {
+    try {
+      const job = isValidUuid(jobId) && (await ResignJob.findById(jobId));
+      if (!job) {
+        return {
+          success: false,
+          error: 'Job not found',
+          message: 'Re-signing job not found',
+        };
+      }
+
+      return {
+        success: true,
+        data: job,
+        message: 'Re-signing job retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to get re-signing job:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve re-signing job',
+      };
+    }
+  }
+
+  /**
+   * List recent jobs, newest first
+   * @returns {Promise<Object>} Jobs
+   */
+  async listJobs() {
+    try {
+      const jobs = await ResignJob.findRecent();
+      return {
+        success: true,
+        data: jobs,
+        message: 'Re-signing jobs retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to list re-signing jobs:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve re-signing jobs',
+      };
+    }
+  }
+}
+
+module.exports = new ResignService();
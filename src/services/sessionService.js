@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const { isValidUuid } = require('../utils/validation');
+
+/**
+ * Session Service
+ * Lists and revokes a user's signed-in sessions
+ *
+ * - A session is a refresh token rotation family; its ID is the family ID
+ * - Device (user agent), IP and last use are updated whenever the session
+ *   issues tokens (login and refresh)
+ * - Revoking a session revokes its refresh tokens and the access tokens
+ *   already issued to it (they carry the session ID as `sid`)
+ */
+class SessionService {
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Sessions, most recently used first
+   */
+  async listForUser(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      const sessions = await Session.findActiveByUser(user.id);
+
+      return {
+        success: true,
+        data: sessions,
+        message: 'Sessions retrieved successfully',
+      };
+    } catch (error) {
+      logger.error('Failed to list sessions:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve sessions',
+      };
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session (refresh token family) ID
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Result
+   */
+  async revoke(userId, sessionId, context = auditService.systemContext()) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      const revoked = isValidUuid(sessionId)
+        ? await RefreshToken.revokeFamilyForUser(sessionId, user.id)
+        : 0;
+      if (revoked === 0) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Session not found or already revoked',
+        };
+      }
+
+      await auditService.record(
+        auditService.actions.USER_SESSION_REVOKED,
+        {
+          targetUserId: user.id,
+          changes: { session: { before: sessionId, after: null } },
+        },
+        context
+      );
+
+      logger.info('Session revoked', { userId: user.id, sessionId });
+
+      return {
+        success: true,
+        data: { id: sessionId },
+        message: 'Session revoked',
+      };
+    } catch (error) {
+      logger.error('Failed to revoke session:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to revoke session',
+      };
+    }
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} reason - Why, for the log
+   * @returns {Promise<number>} Number of revoked refresh tokens
+   */
+  async revokeAllForUser(userId, reason) {
+    const revoked = await RefreshToken.revokeAllForUser(userId);
+    logger.info('All sessions revoked', { userId, reason, revoked });
+    return revoked;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const RefreshToken = require('../models/RefreshToken');
+const config = require('../config');
+const auditService = require('./auditService');
+const totpService = require('../utils/totp');
+const logger = require('../utils/logger');
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, verification, recovery codes and resets
+ *
+ * - Enrollment stores a pending secret (encrypted like emails); it takes
+ *   effect only once a code from the app confirms it
+ * - Confirming issues single-use recovery codes, shown once and stored as
+ *   SHA-256 hashes
+ * - Each TOTP step is accepted once per user, so an observed code cannot
+ *   be replayed
+ * - Roles in config.security.twoFactor.requiredRoles need a second factor
+ *   to sign in; other users use it once they enroll
+ */
+class TwoFactorService {
+  /**
+   * Check whether a user's role must use a second factor
+   * @param {Object} user - User with role
+   * @returns {boolean} True if required
+   */
+  isRequired(user) {
+    return config.security.twoFactor.requiredRoles.includes(user.role);
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * Case, spaces and dashes are ignored
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code)
+      .toLowerCase()
+      .replace(/[^0-9a-z]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a set of recovery codes
+   * @returns {Array<string>} Codes like 3f9a1-c07e2
+   */
+  generateRecoveryCodes() {
+    return Array.from(
+      { length: config.security.twoFactor.recoveryCodeCount },
+      () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+      }
+    );
+  }
+
+  /**
+   * Start TOTP enrollment
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Secret and otpauth:// URI for a QR code
+   */
+  async enroll(userId) {
+    try {
+      const user = await User.findTwoFactor(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      if (user.totp_enabled_at) {
+        return {
+          success: false,
+          error: 'Two-factor already enabled',
+          message: 'Ask an admin to reset two-factor authentication first',
+        };
+      }
+
+      const secret = totpService.generateSecret();
+      if (!(await User.setPendingTotpSecret(user.id, secret))) {
+        throw new Error('Two-factor enrollment changed concurrently');
+      }
+
+      logger.info('Two-factor enrollment started', { userId: user.id });
+
+      return {
+        success: true,
+        data: {
+          secret,
+          otpauthUri: totpService.provisioningUri(
+            secret,
+            user.email,
+            config.security.twoFactor.issuer
+          ),
+        },
+        message: 'Scan the URI with an authenticator app, then confirm a code',
+      };
+    } catch (error) {
+      logger.error('Failed to start two-factor enrollment:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to start two-factor enrollment',
+      };
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the app and issue recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Recovery codes (shown once)
+   */
+  async confirm(userId, code, context = auditService.systemContext()) {
+    try {
+      const user = await User.findTwoFactor(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      if (user.totp_enabled_at) {
+        return {
+          success: false,
+          error: 'Two-factor already enabled',
+          message: 'Two-factor authentication is already enabled',
+        };
+      }
+
+      if (!user.totp_secret) {
+        return {
+          success: false,
+          error: 'Two-factor not enrolled',
+          message: 'Start enrollment first',
+        };
+      }
+
+      const step = totpService.verify(user.totp_secret, code);
+      if (step === null || !(await User.enableTotp(user.id, step))) {
+        return {
+          success: false,
+          error: 'Invalid code',
+          message: 'The code is incorrect or has expired',
+        };
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await RecoveryCode.replaceForUser(
+        user.id,
+        recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+      );
+
+      await auditService.record(
+        auditService.actions.USER_TWO_FACTOR_ENABLED,
+        {
+          targetUserId: user.id,
+          changes: { two_factor: { before: 'disabled', after: 'totp' } },
+        },
+        context
+      );
+
+      logger.info('Two-factor authentication enabled', { userId: user.id });
+
+      return {
+        success: true,
+        data: { recoveryCodes },
+        message:
+          'Two-factor authentication enabled; store the recovery codes safely',
+      };
+    } catch (error) {
+      logger.error('Failed to confirm two-factor enrollment:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to confirm two-factor enrollment',
+      };
+    }
+  }
+
+  /**
+   * Check a second factor: a TOTP code or an unused recovery code
+   * @param {Object} user - findTwoFactor row with TOTP enabled
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} context - Audit context of the login request
+   * @returns {Promise<boolean>} True if the factor is valid
+   */
+  async verify(user, factor, context = auditService.systemContext()) {
+    if (factor.recoveryCode) {
+      const used = await RecoveryCode.consume(
+        user.id,
+        this.hashRecoveryCode(factor.recoveryCode)
+      );
+      if (used) {
+        const remaining = await RecoveryCode.countUnused(user.id);
+        await auditService.record(
+          auditService.actions.USER_RECOVERY_CODE_USED,
+          {
+            targetUserId: user.id,
+            changes: {
+              recovery_codes_left: { before: null, after: remaining },
+            },
+          },
+          { ...context, actor: { type: 'user', id: user.id } }
+        );
+        logger.warn('Recovery code used', { userId: user.id, remaining });
+      }
+      return used;
+    }
+
+    const step = totpService.verify(user.totp_secret, factor.code);
+    return step !== null && User.useTotpStep(user.id, step);
+  }
+
+  /**
+   * Turn off a user's second factor so they can enroll again
+   * Their sessions are signed out, since a lost device may be in other hands
+   * @param {string} userId - User ID
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
+   * @returns {Promise<Object>} Result
+   */
+  async reset(userId, context = auditService.systemContext()) {
+    try {
+      const user = await User.findTwoFactor(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          message: 'User not found',
+        };
+      }
+
+      await User.clearTwoFactor(user.id);
+      await RecoveryCode.deleteForUser(user.id);
+      await RefreshToken.revokeAllForUser(user.id);
+
+      let before = 'disabled';
+      if (user.totp_enabled_at) {
+        before = 'totp';
+      } else if (user.totp_secret) {
+        before = 'pending';
+      }
+
+      await auditService.record(
+        auditService.actions.USER_TWO_FACTOR_RESET,
+        {
+          targetUserId: user.id,
+          changes: { two_factor: { before, after: 'disabled' } },
+        },
+        context
+      );
+
+      logger.info('Two-factor authentication reset', {
+        userId: user.id,
+        before,
+      });
+
+      return {
+        success: true,
+        data: { id: user.id },
+        message: 'Two-factor authentication reset',
+      };
+    } catch (error) {
+      logger.error('Failed to reset two-factor authentication:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to reset two-factor authentication',
+      };
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
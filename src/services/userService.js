@@ -1,6 +1,17 @@
+const crypto = require('crypto');
 const User = require('../models/User');
+const config = require('../config');
 const logger = require('../utils/logger');
 const cryptoService = require('../utils/crypto');
+const fieldEncryption = require('../utils/fieldEncryption');
+const auditService = require('./auditService');
+const exportService = require('./exportService');
+const sessionService = require('./sessionService');
+const {
+  PERMISSIONS,
+  rolePermissions,
+  fieldPermissions,
+} = require('../config/permissions');
 
 /**
  * User Service
@@ -10,7 +21,61 @@ const cryptoService = require('../utils/crypto');
 class UserService {
   constructor() {
     this.validRoles = ['admin', 'user', 'moderator'];
+    // Statuses callers may set; pending_verification is only assigned by
+    // getDefaultStatus and left through EmailVerificationService
     this.validStatuses = ['active', 'inactive'];
+    // Fields callers may change; hashes and signatures are always derived
+    this.updatableFields = ['email', 'role', 'status'];
+
+    const unmappedRoles = this.validRoles.filter(
+      role => !rolePermissions[role]
+    );
+    if (unmappedRoles.length > 0) {
+      throw new Error(
+        `Roles missing from permission matrix: ${unmappedRoles.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {string} role - User role
+   * @param {string} permission - Permission from the role matrix
+   * @returns {boolean} True if the role grants the permission
+   */
+  hasPermission(role, permission) {
+    return (rolePermissions[role] || []).includes(permission);
+  }
+
+  /**
+   * Get the permissions required to create a user
+   * Assigning any role other than the default counts as a role change, and
+   * choosing a status (skipping email verification) as a status change
+   * @param {Object} userData - User data to create
+   * @returns {Array<string>} Required permissions
+   */
+  getCreatePermissions(userData) {
+    const permissions = [PERMISSIONS.CREATE];
+    if (userData.role !== undefined && userData.role !== 'user') {
+      permissions.push(PERMISSIONS.UPDATE_ROLE);
+    }
+    if (userData.status !== undefined) {
+      permissions.push(PERMISSIONS.UPDATE_STATUS);
+    }
+    return permissions;
+  }
+
+  /**
+   * Get the permissions required to apply an update
+   * @param {Object} updateData - Data to update
+   * @returns {Array<string>} Required permissions
+   */
+  getUpdatePermissions(updateData) {
+    const permissions = Object.keys(fieldPermissions)
+      .filter(field => updateData[field] !== undefined)
+      .map(field => fieldPermissions[field]);
+
+    return permissions.length > 0 ? permissions : [PERMISSIONS.UPDATE];
   }
 
   /**
@@ -61,12 +126,25 @@ class UserService {
     return emailRegex.test(email);
   }
 
+  /**
+   * Status of users created without one
+   * With email verification on, they wait for a verification token (see
+   * EmailVerificationService)
+   * @returns {string} Status
+   */
+  getDefaultStatus() {
+    return config.security.emailVerification.required
+      ? 'pending_verification'
+      : 'active';
+  }
+
   /**
    * Create a new user
    * @param {Object} userData - User data
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
    * @returns {Promise<Object>} Created user
    */
-  async createUser(userData) {
+  async createUser(userData, context = auditService.systemContext()) {
     try {
       // Validate input data
       const validation = this.validateUserData(userData);
@@ -80,28 +158,40 @@ class UserService {
         throw new Error('User with this email already exists');
       }
 
-      // Process email cryptographically (SHA-384 hash + RSA signature)
-      logger.info('Processing user email with cryptographic features', {
+      // id and created_at are fixed up front because the signature covers them
+      const record = {
+        id: crypto.randomUUID(),
         email: userData.email,
+        role: userData.role || 'user',
+        status: userData.status || this.getDefaultStatus(),
+        createdAt: new Date(),
+      };
+
+      // Process the record cryptographically (SHA-384 hash + RSA signature)
+      logger.info('Processing user record with cryptographic features', {
+        userId: record.id,
       });
 
-      const cryptoData = cryptoService.processUserEmail(userData.email);
+      const cryptoData = cryptoService.processUserRecord(record);
 
-      // Set user data with cryptographic information
-      const userToCreate = {
-        email: userData.email,
-        role: userData.role || 'user',
-        status: userData.status || 'active',
+      // Create user
+      const createdUser = await User.create({
+        ...record,
         emailHash: cryptoData.emailHash, // SHA-384 hash of email
-        signature: cryptoData.signature, // RSA digital signature
-      };
+        signature: cryptoData.signature, // RSA signature of the record
+        signatureKeyId: cryptoData.keyId, // Key that made the signature
+        signatureVersion: cryptoData.signatureVersion,
+        signatureAlgorithm: cryptoData.algorithm,
+      });
 
-      // Create user
-      const createdUser = await User.create(userToCreate);
+      await auditService.record(
+        auditService.actions.USER_CREATED,
+        { targetUserId: createdUser.id, after: createdUser },
+        context
+      );
 
       logger.info('User created successfully', {
         userId: createdUser.id,
-        email: createdUser.email,
         role: createdUser.role,
       });
 
@@ -206,7 +296,6 @@ class UserService {
 
       logger.info('User retrieved successfully', {
         userId: user.id,
-        email: user.email,
       });
 
       return {
@@ -228,9 +317,10 @@ class UserService {
    * Update user
    * @param {string} userId - User ID
    * @param {Object} updateData - Data to update
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
    * @returns {Promise<Object>} Updated user
    */
-  async updateUser(userId, updateData) {
+  async updateUser(userId, updateData, context = auditService.systemContext()) {
     try {
       if (!userId) {
         throw new Error('User ID is required');
@@ -252,23 +342,56 @@ class UserService {
         };
       }
 
+      // Only whitelisted fields are applied; hashes and signatures are derived
+      const changes = {};
+      this.updatableFields
+        .filter(field => updateData[field] !== undefined)
+        .forEach(field => {
+          changes[field] = updateData[field];
+        });
+
+      if (Object.keys(changes).length === 0) {
+        throw new Error('No fields to update');
+      }
+
       // Check email uniqueness if email is being updated
-      if (updateData.email && updateData.email !== existingUser.email) {
-        const emailExists = await User.findByEmail(updateData.email);
-        if (emailExists) {
+      if (changes.email && changes.email !== existingUser.email) {
+        const emailExists = await User.findByEmail(changes.email);
+        // Changing only the case of one's own email finds oneself
+        if (emailExists && emailExists.id !== existingUser.id) {
           throw new Error('User with this email already exists');
         }
-
-        // If email is being updated, we need to re-hash and re-sign
-        const cryptoData = cryptoService.processUserEmail(updateData.email);
-        updateData.emailHash = cryptoData.emailHash;
-        updateData.signature = cryptoData.signature;
       }
 
-      // Update user
-      const updatedUser = await User.update(userId, updateData);
+      // Every update re-signs the full record
+      const cryptoData = cryptoService.processUserRecord({
+        ...existingUser,
+        ...changes,
+      });
+
+      // Update user, unless it changed since it was read
+      const updatedUser = await User.update(
+        userId,
+        {
+          ...changes,
+          emailHash: cryptoData.emailHash,
+          signature: cryptoData.signature,
+          signatureKeyId: cryptoData.keyId,
+          signatureVersion: cryptoData.signatureVersion,
+          signatureAlgorithm: cryptoData.algorithm,
+        },
+        existingUser
+      );
 
       if (!updatedUser) {
+        if (await User.findById(userId)) {
+          return {
+            success: false,
+            error: 'User was modified concurrently',
+            message: 'User changed while updating, please retry',
+          };
+        }
+
         return {
           success: false,
           error: 'User not found',
@@ -276,10 +399,32 @@ class UserService {
         };
       }
 
+      await auditService.record(
+        auditService.actions.USER_UPDATED,
+        {
+          targetUserId: updatedUser.id,
+          before: existingUser,
+          after: updatedUser,
+        },
+        context
+      );
+
+      // Sessions were granted for the old role and status; sign them out
+      if (
+        (changes.status === 'inactive' && existingUser.status !== 'inactive') ||
+        (changes.role && changes.role !== existingUser.role)
+      ) {
+        await sessionService.revokeAllForUser(
+          updatedUser.id,
+          changes.role && changes.role !== existingUser.role
+            ? 'role changed'
+            : 'deactivated'
+        );
+      }
+
       logger.info('User updated successfully', {
         userId: updatedUser.id,
-        email: updatedUser.email,
-        updatedFields: Object.keys(updateData),
+        updatedFields: Object.keys(changes),
       });
 
       return {
@@ -300,9 +445,10 @@ class UserService {
   /**
    * Delete user
    * @param {string} userId - User ID
+   * @param {Object} context - Audit context (see AuditService.contextFromRequest)
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteUser(userId) {
+  async deleteUser(userId, context = auditService.systemContext()) {
     try {
       if (!userId) {
         throw new Error('User ID is required');
@@ -329,9 +475,14 @@ class UserService {
         };
       }
 
+      await auditService.record(
+        auditService.actions.USER_DELETED,
+        { targetUserId: existingUser.id, before: existingUser },
+        context
+      );
+
       logger.info('User deleted successfully', {
         userId: existingUser.id,
-        email: existingUser.email,
       });
 
       return {
@@ -358,12 +509,16 @@ class UserService {
       const totalUsers = await User.count();
       const activeUsers = await User.count({ status: 'active' });
       const inactiveUsers = await User.count({ status: 'inactive' });
+      const pendingUsers = await User.count({
+        status: 'pending_verification',
+      });
       const adminUsers = await User.count({ role: 'admin' });
 
       const stats = {
         total: totalUsers,
         active: activeUsers,
         inactive: inactiveUsers,
+        pendingVerification: pendingUsers,
         admins: adminUsers,
         users: totalUsers - adminUsers,
       };
@@ -416,22 +571,31 @@ class UserService {
 
   /**
    * Export all users in Protocol Buffer format
-   * @returns {Promise<Object>} Serialized user data
+   * Every export comes with a signed manifest (see ExportService)
+   * @param {Object} context - Audit context of the caller
+   * @returns {Promise<Object>} Serialized user data and manifest
    */
-  async exportUsers() {
+  async exportUsers(context = auditService.systemContext()) {
     try {
       logger.info('Starting user export in Protocol Buffer format');
 
       // Get all users from database
       const users = await User.findAll();
+      const exportedAt = new Date();
 
       if (!users || users.length === 0) {
         logger.info('No users found for export');
+        const data = Buffer.alloc(0); // Empty buffer
         return {
           success: true,
-          data: Buffer.alloc(0), // Empty buffer
+          data,
           message: 'No users to export',
           userCount: 0,
+          manifest: await exportService.createManifest(
+            data,
+            { userCount: 0, exportedAt },
+            context
+          ),
         };
       }
 
@@ -439,8 +603,15 @@ class UserService {
       const protobufService = require('../utils/protobuf');
 
       // Serialize users to Protocol Buffer format
-      const serializedData =
-        await protobufService.serializeUserCollection(users);
+      const serializedData = await protobufService.serializeUserCollection(
+        users,
+        exportedAt
+      );
+      const manifest = await exportService.createManifest(
+        serializedData,
+        { userCount: users.length, exportedAt },
+        context
+      );
 
       logger.info('Users exported successfully in Protocol Buffer format', {
         userCount: users.length,
@@ -455,6 +626,7 @@ class UserService {
         userCount: users.length,
         format: 'Protocol Buffer',
         size: serializedData.length,
+        manifest,
       };
     } catch (error) {
       logger.error('Failed to export users:', error);
@@ -465,6 +637,24 @@ class UserService {
       };
     }
   }
+
+  /**
+   * Load the email encryption key and encrypt emails stored in plaintext
+   * Runs at startup; throws so a missing or wrong key stops the server
+   * @returns {Promise<number>} Number of users encrypted
+   */
+  async encryptStoredEmails() {
+    await fieldEncryption.initialize();
+
+    const encrypted = await User.encryptPlaintextEmails(
+      config.security.fieldEncryption.batchSize
+    );
+    if (encrypted > 0) {
+      logger.info('Plaintext user emails encrypted', { encrypted });
+    }
+
+    return encrypted;
+  }
 }
 
 module.exports = new UserService();
@@ -0,0 +1,75 @@
+const userService = require('../services/userService');
+const apiKeyService = require('../services/apiKeyService');
+const { impersonationBlockedPermissions } = require('../config/permissions');
+const logger = require('./logger');
+
+/**
+ * Authorization Helpers
+ * Permission checks shared by controllers; users are checked against their
+ * role, API keys against their scopes
+ */
+
+/**
+ * Check whether a permission is withheld because the caller is impersonating
+ * @param {Object} req - Express request set up by authenticate
+ * @param {string} permission - Permission from the role matrix
+ * @returns {boolean} True if impersonation blocks the permission
+ */
+const isBlockedByImpersonation = (req, permission) =>
+  Boolean(req.user && req.user.impersonatedBy) &&
+  impersonationBlockedPermissions.includes(permission);
+
+/**
+ * Check whether the authenticated caller holds a permission
+ * @param {Object} req - Express request set up by authenticate
+ * @param {string} permission - Permission from the role matrix
+ * @returns {boolean} True if the caller holds the permission
+ */
+const hasPermission = (req, permission) => {
+  if (req.apiKey) {
+    return apiKeyService.hasPermission(req.apiKey.scopes, permission);
+  }
+  if (isBlockedByImpersonation(req, permission)) {
+    return false;
+  }
+  return userService.hasPermission(req.user && req.user.role, permission);
+};
+
+/**
+ * Respond with 403 unless the caller holds every permission
+ * @param {Object} req - Express request set up by authenticate
+ * @param {Object} res - Express response
+ * @param {Array<string>} permissions - Required permissions
+ * @returns {boolean} True if the request may proceed
+ */
+const ensurePermissions = (req, res, permissions) => {
+  const missing = permissions.find(
+    permission => !hasPermission(req, permission)
+  );
+
+  if (!missing) {
+    return true;
+  }
+
+  logger.warn('Permission denied', {
+    userId: req.user && req.user.id,
+    role: req.user && req.user.role,
+    apiKeyId: req.apiKey && req.apiKey.id,
+    impersonatedBy: req.user && req.user.impersonatedBy,
+    missingPermission: missing,
+    method: req.method,
+    path: req.originalUrl,
+  });
+
+  res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: isBlockedByImpersonation(req, missing)
+      ? `Not allowed while impersonating: ${missing}`
+      : `Missing permission: ${missing}`,
+    missingPermission: missing,
+  });
+  return false;
+};
+
+module.exports = { hasPermission, ensurePermissions };
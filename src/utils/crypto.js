@@ -1,50 +1,174 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 const logger = require('./logger');
+const SigningKey = require('../models/SigningKey');
+const { createKeyProvider, FileKeyProvider } = require('./keyProviders');
+const { readSecret } = require('./keyProviders/keyProvider');
+const {
+  SIGNATURE_ALGORITHMS,
+  LEGACY_SIGNATURE_ALGORITHM,
+  getSignatureAlgorithm,
+} = require('./signatureAlgorithms');
+
+// Version of the signed user payload written by processUserRecord
+// 1: signature over the email hash only (legacy)
+// 2: signature over the canonical record (id, email, role, status, createdAt)
+const USER_SIGNATURE_VERSION = 2;
+
+// Versions of email_hash; the version prefix is stored with the hash
+// 1: SHA-384 of the normalized email, unprefixed (legacy)
+// 2: HMAC-SHA-384 keyed by EMAIL_HASH_SECRET, stored as "v2:<hex>"
+const EMAIL_HASH_VERSIONS = {
+  1: { prefix: '', algorithm: 'SHA-384' },
+  2: { prefix: 'v2:', algorithm: 'HMAC-SHA-384' },
+};
+const EMAIL_HASH_SECRET_MIN_LENGTH = 32;
+
+// Key IDs are the first 16 hex chars of a SHA-256 (see computeKeyId)
+const KEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+// Signatures naming an unknown key reload the keyring at most this often
+const KEYRING_RELOAD_INTERVAL_MS = 30 * 1000;
 
 /**
  * Cryptographic Utilities
- * Implements SHA-384 hashing and RSA digital signing for user data
+ * Implements SHA-384 hashing and digital signing for user data
  *
  * - SHA-384: More secure than SHA-256, 384-bit output
- * - RSA: Industry standard for digital signatures
- * - Key Management: Secure key generation and storage
+ * - Email hashes: plain SHA-384 or HMAC-SHA-384 keyed by EMAIL_HASH_SECRET,
+ *   chosen with EMAIL_HASH_VERSION
+ * - Signatures: RSA (PKCS#1 v1.5 or PSS), ECDSA P-384 or Ed25519,
+ *   chosen with SIGNATURE_ALGORITHM
+ * - Key Management: Secure key generation; private keys are kept by a
+ *   key provider (encrypted files, injected secrets or PKCS#11)
  * - Data Integrity: Ensures data hasn't been tampered with
  */
 class CryptoService {
   constructor() {
     this.privateKey = null;
     this.publicKey = null;
-    this.keyPath = path.join(__dirname, '../../keys');
+    this.activeKeyId = null;
+    this.legacyKeyId = null;
+    this.keys = new Map();
+    this.keyPath = config.security.keysDir;
+    this.keyringPath = path.join(this.keyPath, 'keyring.json');
+    // Single keypair written by versions without key rotation
     this.privateKeyPath = path.join(this.keyPath, 'private.pem');
     this.publicKeyPath = path.join(this.keyPath, 'public.pem');
+    this.refreshTimer = null;
+    this.refreshing = null;
+    this.lastKeyringReloadAt = 0;
+    this.emailHashVersion = null;
+    this.emailHashSecret = null;
+
+    // Settles once keys are usable; startup awaits it so a misconfigured
+    // key provider or email hash secret stops the server
+    this.ready = this.initialize();
+    this.ready.catch(() => {});
+  }
 
-    this.initializeKeys();
+  async initialize() {
+    this.initializeEmailHashing();
+    await this.initializeKeys();
   }
 
   /**
-   * Initialize RSA keypair
-   * Generates new keys if they don't exist, loads existing ones if they do
+   * Load the email hash settings
+   * The secret is read even when version 1 is configured, so rows already
+   * rehashed to version 2 can still be verified after a rollback
+   */
+  initializeEmailHashing() {
+    try {
+      const { version, secret, secretFile } = config.security.emailHash;
+
+      if (!EMAIL_HASH_VERSIONS[version]) {
+        throw new Error(
+          `Unsupported email hash version: ${version}. Supported: ${Object.keys(EMAIL_HASH_VERSIONS).join(', ')}`
+        );
+      }
+
+      this.emailHashVersion = version;
+      this.emailHashSecret = readSecret(secret, secretFile) || null;
+
+      if (
+        this.emailHashSecret &&
+        this.emailHashSecret.length < EMAIL_HASH_SECRET_MIN_LENGTH
+      ) {
+        throw new Error(
+          `EMAIL_HASH_SECRET must be at least ${EMAIL_HASH_SECRET_MIN_LENGTH} characters`
+        );
+      }
+
+      if (version === 2 && !this.emailHashSecret) {
+        throw new Error(
+          'EMAIL_HASH_SECRET or EMAIL_HASH_SECRET_FILE is required for email hash version 2'
+        );
+      }
+    } catch (error) {
+      logger.error('Failed to initialize email hashing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Initialize the signing keyring
+   * Adopts a key injected through the environment, loads keyring.json if
+   * present, adopts a legacy private.pem/public.pem pair as the first
+   * versioned key, or generates a fresh keypair.
+   * Shared keyrings wait for initializeSharedKeys instead.
    */
   async initializeKeys() {
     try {
+      this.keyProvider = createKeyProvider();
+
+      if (this.keyProvider.isShared()) {
+        logger.info('Signing keys will be loaded from the database');
+        return;
+      }
+
       // Create keys directory if it doesn't exist
       if (!fs.existsSync(this.keyPath)) {
         fs.mkdirSync(this.keyPath, { recursive: true });
         logger.info('Created keys directory', { path: this.keyPath });
       }
 
-      // Check if keys already exist
-      if (
+      const injected = this.keyProvider.getInjectedKey();
+      if (injected) {
+        await this.adoptInjectedKey(injected);
+        logger.info('Using injected signing key', {
+          activeKeyId: this.activeKeyId,
+          keys: this.keys.size,
+        });
+      } else if (fs.existsSync(this.keyringPath)) {
+        await this.loadExistingKeys();
+        logger.info('Loaded existing signing keyring', {
+          activeKeyId: this.activeKeyId,
+          keys: this.keys.size,
+          keyProvider: this.keyProvider.name,
+        });
+
+        const configured = config.security.signatureAlgorithm;
+        if (this.getActiveAlgorithm() !== configured) {
+          logger.warn(
+            'Active signing key does not use the configured algorithm; rotate keys to switch',
+            {
+              activeAlgorithm: this.getActiveAlgorithm(),
+              configuredAlgorithm: configured,
+            }
+          );
+        }
+      } else if (
         fs.existsSync(this.privateKeyPath) &&
         fs.existsSync(this.publicKeyPath)
       ) {
-        await this.loadExistingKeys();
-        logger.info('Loaded existing RSA keypair');
+        await this.migrateLegacyKeys();
+        logger.info('Migrated legacy signing keypair into keyring', {
+          activeKeyId: this.activeKeyId,
+        });
       } else {
         await this.generateNewKeys();
-        logger.info('Generated new RSA keypair');
+        logger.info('Generated new signing keypair');
       }
     } catch (error) {
       logger.error('Failed to initialize cryptographic keys:', error);
@@ -53,12 +177,194 @@ class CryptoService {
   }
 
   /**
-   * Load existing RSA keys from files
+   * Load the keyring shared through the database
+   * Called once the database is connected; does nothing for local keyrings.
+   * On first boot exactly one instance creates the keyring, seeded from the
+   * local keyring if there is one so existing signatures keep verifying.
+   */
+  async initializeSharedKeys() {
+    if (!this.keyProvider || !this.keyProvider.isShared()) {
+      return;
+    }
+
+    try {
+      const rows = await SigningKey.initialize(() => this.seedSharedKeys());
+      this.loadSharedKeys(rows);
+      this.startKeyringRefresh();
+
+      logger.info('Loaded shared signing keyring', {
+        activeKeyId: this.activeKeyId,
+        keys: this.keys.size,
+      });
+    } catch (error) {
+      logger.error('Failed to load shared signing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keys to create the shared keyring with
+   * Imports keyring.json (with the active private key) when present,
+   * otherwise generates a fresh key
+   * @returns {Array} Keys for SigningKey.initialize
+   */
+  seedSharedKeys() {
+    if (fs.existsSync(this.keyringPath)) {
+      const options = config.security.keyProvider;
+      const localKeys = new FileKeyProvider({
+        keysDir: this.keyPath,
+        passphrase: options.passphrase,
+        passphraseFile: options.passphraseFile,
+        requireEncryption: false,
+      });
+
+      const { keys, activeKeyId, legacyKeyId } = this.parseKeyring();
+      const activePrivateKey = localKeys.loadKey(activeKeyId);
+
+      return Array.from(keys.values()).map(key => ({
+        ...key,
+        privateKey:
+          key.keyId === activeKeyId
+            ? this.keyProvider.encryptKey(activePrivateKey)
+            : null,
+        legacy: key.keyId === legacyKeyId,
+      }));
+    }
+
+    const algorithm = config.security.signatureAlgorithm;
+    const { publicKey, privateKey } = this.keyProvider.generateKey(algorithm);
+
+    return [
+      {
+        keyId: this.computeKeyId(publicKey),
+        algorithm,
+        status: 'active',
+        publicKey,
+        privateKey: this.keyProvider.encryptKey(privateKey),
+        legacy: true,
+      },
+    ];
+  }
+
+  /**
+   * Replace the in-memory keyring with signing_keys rows
+   * The active private key is only decrypted when the active key changes
+   * @param {Array} rows - signing_keys rows
+   */
+  loadSharedKeys(rows) {
+    const keys = this.parseSharedKeys(rows);
+    const active = rows.find(row => row.status === 'active');
+    if (!active) {
+      throw new Error('The shared keyring has no active signing key');
+    }
+
+    if (active.key_id !== this.activeKeyId) {
+      if (this.activeKeyId) {
+        this.keyProvider.deleteKey(this.activeKeyId);
+      }
+      this.keyProvider.saveKey(
+        active.key_id,
+        this.keyProvider.decryptKey(active.private_key)
+      );
+    }
+
+    const legacy = rows.find(row => row.is_legacy);
+    this.keys = keys;
+    this.activeKeyId = active.key_id;
+    this.legacyKeyId = legacy ? legacy.key_id : null;
+    this.privateKey = this.keyProvider.loadKey(active.key_id);
+    this.publicKey = active.public_key;
+  }
+
+  /**
+   * Convert signing_keys rows to keyring entries without key material
+   * @param {Array} rows - signing_keys rows
+   * @returns {Map} Keys by key ID
+   */
+  parseSharedKeys(rows) {
+    const keys = new Map();
+    const toIso = value => (value ? new Date(value).toISOString() : null);
+
+    rows.forEach(row => {
+      keys.set(row.key_id, {
+        keyId: row.key_id,
+        algorithm: row.algorithm,
+        status: row.status,
+        createdAt: toIso(row.created_at),
+        rotatedAt: toIso(row.rotated_at),
+        retiredAt: toIso(row.retired_at),
+        publicKey: row.public_key,
+      });
+    });
+
+    return keys;
+  }
+
+  /**
+   * Reload the shared keyring, e.g. after another instance rotated keys
+   * Concurrent calls share one reload
+   * @returns {Promise<void>}
+   */
+  refreshSharedKeys() {
+    if (!this.refreshing) {
+      this.refreshing = SigningKey.findAll()
+        .then(rows => this.loadSharedKeys(rows))
+        .catch(error => {
+          logger.error('Failed to refresh shared signing keys:', error);
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Reload the shared keyring every KEYRING_REFRESH_INTERVAL_MS
+   */
+  startKeyringRefresh() {
+    this.stopKeyringRefresh();
+    this.refreshTimer = setInterval(
+      () => this.refreshSharedKeys(),
+      config.security.keyProvider.refreshIntervalMs
+    );
+    // Never keep the process alive just for the refresh
+    this.refreshTimer.unref();
+  }
+
+  stopKeyringRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Derive a key ID from a public key
+   * First 16 hex chars of the SHA-256 of the DER-encoded key
+   */
+  computeKeyId(publicKey) {
+    const der = crypto
+      .createPublicKey(publicKey)
+      .export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Path of the public key PEM for a versioned key
+   * Private keys are stored by the key provider
+   */
+  publicKeyFile(keyId) {
+    return path.join(this.keyPath, `${keyId}.public.pem`);
+  }
+
+  /**
+   * Load the keyring manifest and its public keys
    */
   async loadExistingKeys() {
     try {
-      this.privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
-      this.publicKey = fs.readFileSync(this.publicKeyPath, 'utf8');
+      this.readKeyring();
     } catch (error) {
       logger.error('Failed to load existing keys:', error);
       throw error;
@@ -66,67 +372,422 @@ class CryptoService {
   }
 
   /**
-   * Generate new RSA keypair
-   * RSA-2048: Industry standard, secure for most applications
+   * Parse keyring.json and the public keys it references
+   * Retired keys keep their public key when the PEM is still on disk
+   * @returns {Object} keys (Map by key ID), activeKeyId and legacyKeyId
    */
-  async generateNewKeys() {
-    try {
-      // Generate RSA keypair
-      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-        modulusLength: 2048, // 2048-bit key
-        publicKeyEncoding: {
-          type: 'spki',
-          format: 'pem',
-        },
-        privateKeyEncoding: {
-          type: 'pkcs8',
-          format: 'pem',
-        },
+  parseKeyring() {
+    const keyring = JSON.parse(fs.readFileSync(this.keyringPath, 'utf8'));
+    const keys = new Map();
+
+    keyring.keys.forEach(entry => {
+      keys.set(entry.keyId, {
+        ...entry,
+        algorithm: entry.algorithm || LEGACY_SIGNATURE_ALGORITHM,
+        publicKey:
+          entry.status === 'retired' &&
+          !fs.existsSync(this.publicKeyFile(entry.keyId))
+            ? null
+            : fs.readFileSync(this.publicKeyFile(entry.keyId), 'utf8'),
       });
+    });
+
+    return {
+      keys,
+      activeKeyId: keyring.activeKeyId,
+      legacyKeyId: keyring.legacyKeyId || null,
+    };
+  }
+
+  /**
+   * Read keyring.json and the public keys it references
+   * Does not touch private keys
+   */
+  readKeyringManifest() {
+    const { keys, activeKeyId, legacyKeyId } = this.parseKeyring();
+
+    this.keys = keys;
+    this.activeKeyId = activeKeyId;
+    this.legacyKeyId = legacyKeyId;
+    this.publicKey = keys.get(activeKeyId).publicKey;
+  }
+
+  /**
+   * Read the keyring and load the active private key from the provider
+   * The active key's private key is the only private key kept in memory
+   */
+  readKeyring() {
+    this.readKeyringManifest();
+    this.privateKey = this.keyProvider.loadKey(this.activeKeyId);
+  }
+
+  /**
+   * Write the keyring manifest
+   * Key material stays in its own files (or the provider); the manifest
+   * only tracks status
+   */
+  saveKeyring() {
+    const keyring = {
+      activeKeyId: this.activeKeyId,
+      legacyKeyId: this.legacyKeyId,
+      keys: this.listKeys(),
+    };
+
+    fs.writeFileSync(this.keyringPath, `${JSON.stringify(keyring, null, 2)}\n`);
+  }
+
+  /**
+   * Make a stored key the active signing key
+   * The previous active key becomes verify-only and the provider destroys
+   * its private key; it is never needed again
+   * @returns {string|null} ID of the previous active key
+   */
+  activateKey({ keyId, algorithm, publicKey, privateKey, createdAt }) {
+    const now = new Date().toISOString();
+    const previousKeyId = this.activeKeyId;
+
+    if (previousKeyId) {
+      const previous = this.keys.get(previousKeyId);
+      previous.status = 'verify-only';
+      previous.rotatedAt = now;
+      this.keyProvider.deleteKey(previousKeyId);
+    }
+
+    this.keys.set(keyId, {
+      keyId,
+      algorithm,
+      status: 'active',
+      createdAt: createdAt || now,
+      publicKey,
+    });
+    this.activeKeyId = keyId;
+    this.legacyKeyId = this.legacyKeyId || keyId;
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.saveKeyring();
+
+    return previousKeyId;
+  }
 
-      // Save keys to files
-      fs.writeFileSync(this.privateKeyPath, privateKey);
-      fs.writeFileSync(this.publicKeyPath, publicKey);
+  /**
+   * Adopt the key injected through the environment as the active key
+   * A new injected key rotates the keyring; earlier keys keep verifying
+   */
+  async adoptInjectedKey({ privateKey, publicKey, algorithm }) {
+    const keyId = this.computeKeyId(publicKey);
+    this.keyProvider.saveKey(keyId, privateKey);
+
+    if (fs.existsSync(this.keyringPath)) {
+      this.readKeyringManifest();
+    }
 
+    if (this.activeKeyId === keyId) {
       this.privateKey = privateKey;
-      this.publicKey = publicKey;
+      return;
+    }
+
+    if (this.keys.get(keyId)) {
+      throw new Error(
+        `Injected signing key ${keyId} was already rotated out or retired`
+      );
+    }
+
+    fs.writeFileSync(this.publicKeyFile(keyId), publicKey);
+    const previousKeyId = this.activateKey({
+      keyId,
+      algorithm,
+      publicKey,
+      privateKey,
+    });
+
+    logger.info('Adopted injected signing key', {
+      keyId,
+      previousKeyId,
+      algorithm,
+    });
+  }
+
+  /**
+   * Adopt the single keypair from before key rotation as a versioned key
+   * Signatures stored without a key ID are verified against it
+   */
+  async migrateLegacyKeys() {
+    try {
+      const privateKey = crypto.createPrivateKey(
+        fs.readFileSync(this.privateKeyPath, 'utf8')
+      );
+      const publicKey = fs.readFileSync(this.publicKeyPath, 'utf8');
+      const keyId = this.computeKeyId(publicKey);
+
+      this.keyProvider.saveKey(keyId, privateKey);
+      fs.writeFileSync(this.publicKeyFile(keyId), publicKey);
+
+      this.activateKey({
+        keyId,
+        algorithm: LEGACY_SIGNATURE_ALGORITHM,
+        publicKey,
+        privateKey,
+        createdAt: fs.statSync(this.publicKeyPath).mtime.toISOString(),
+      });
+
+      fs.unlinkSync(this.privateKeyPath);
+      fs.unlinkSync(this.publicKeyPath);
+    } catch (error) {
+      logger.error('Failed to migrate legacy keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a new keypair and make it the active signing key
+   * The algorithm defaults to SIGNATURE_ALGORITHM (RSA-SHA256, RSA-2048);
+   * the key provider generates and stores the private key
+   */
+  async generateNewKeys(algorithm = config.security.signatureAlgorithm) {
+    try {
+      const spec = getSignatureAlgorithm(algorithm);
+      const { publicKey, privateKey } = this.keyProvider.generateKey(algorithm);
+
+      const keyId = this.computeKeyId(publicKey);
+      this.keyProvider.saveKey(keyId, privateKey);
+      fs.writeFileSync(this.publicKeyFile(keyId), publicKey);
+
+      const previousKeyId = this.activateKey({
+        keyId,
+        algorithm,
+        publicKey,
+        privateKey,
+      });
+
+      logger.info('Signing keypair generated successfully', {
+        keyId,
+        previousKeyId,
+        algorithm,
+        key: spec.keyDescription,
+        keyProvider: this.keyProvider.name,
+        encrypted: this.keyProvider.isEncrypted(),
+      });
 
-      logger.info('RSA keypair generated successfully', {
-        keySize: '2048-bit',
-        algorithm: 'RSA',
-        privateKeyPath: this.privateKeyPath,
-        publicKeyPath: this.publicKeyPath,
+      return { keyId, algorithm, previousKeyId };
+    } catch (error) {
+      logger.error('Failed to generate signing keypair:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate the signing key, optionally switching algorithm
+   * New signatures use the new key; old public keys keep verifying
+   */
+  async rotateKeys(algorithm = config.security.signatureAlgorithm) {
+    if (this.keyProvider.isShared()) {
+      return this.rotateSharedKeys(algorithm);
+    }
+    return this.generateNewKeys(algorithm);
+  }
+
+  /**
+   * Rotate the shared keyring
+   * Other instances switch to the new key on their next refresh
+   */
+  async rotateSharedKeys(algorithm) {
+    try {
+      getSignatureAlgorithm(algorithm);
+      const { publicKey, privateKey } = this.keyProvider.generateKey(algorithm);
+      const keyId = this.computeKeyId(publicKey);
+      const previousKeyId = this.activeKeyId;
+
+      const rows = await SigningKey.rotate({
+        keyId,
+        algorithm,
+        publicKey,
+        privateKey: this.keyProvider.encryptKey(privateKey),
       });
+      this.loadSharedKeys(rows);
+
+      logger.info('Shared signing key rotated', {
+        keyId,
+        previousKeyId,
+        algorithm,
+      });
+
+      return { keyId, algorithm, previousKeyId };
     } catch (error) {
-      logger.error('Failed to generate RSA keypair:', error);
+      logger.error('Failed to rotate shared signing key:', error);
       throw error;
     }
   }
 
   /**
-   * Hash email using SHA-384
-   * SHA-384: More secure than SHA-256, produces 384-bit (48-byte) hash
+   * Retire a verify-only key
+   * User signatures made with a retired key no longer verify; re-sign users
+   * first. The public key is kept so audit events and export manifests
+   * signed with it still verify.
+   */
+  async retireKey(keyId) {
+    const shared = this.keyProvider.isShared();
+    if (shared) {
+      await this.refreshSharedKeys();
+    }
+
+    const key = this.keys.get(keyId);
+
+    if (!key) {
+      throw new Error(`Unknown key ID: ${keyId}`);
+    }
+
+    if (keyId === this.activeKeyId) {
+      throw new Error('Cannot retire the active signing key; rotate first');
+    }
+
+    if (key.status !== 'retired') {
+      // The shared keyring refuses keys that are active in the database
+      const row = shared && (await SigningKey.retire(keyId));
+      if (shared && !row) {
+        throw new Error('Cannot retire the active signing key; rotate first');
+      }
+
+      key.status = 'retired';
+      key.retiredAt = row
+        ? new Date(row.retired_at).toISOString()
+        : new Date().toISOString();
+      if (!shared) {
+        this.saveKeyring();
+      }
+      logger.info('Signing key retired', { keyId });
+    }
+
+    return { keyId, retiredAt: key.retiredAt };
+  }
+
+  /**
+   * List keys in the keyring without key material
+   */
+  listKeys() {
+    return Array.from(this.keys.values()).map(
+      ({ keyId, algorithm, status, createdAt, rotatedAt, retiredAt }) => ({
+        keyId,
+        algorithm,
+        status,
+        createdAt,
+        rotatedAt: rotatedAt || null,
+        retiredAt: retiredAt || null,
+      })
+    );
+  }
+
+  /**
+   * Pick up keys another process added or retired since the keyring was
+   * loaded, for verification only: the active key and private keys stay as
+   * they are. Runs at most once per KEYRING_RELOAD_INTERVAL_MS, since key IDs
+   * come from unauthenticated requests. Shared keyrings reload in the
+   * background, so such a signature verifies once the reload finishes.
+   */
+  reloadVerificationKeys() {
+    const now = Date.now();
+    if (now - this.lastKeyringReloadAt < KEYRING_RELOAD_INTERVAL_MS) {
+      return;
+    }
+    this.lastKeyringReloadAt = now;
+
+    const merge = keys => {
+      keys.forEach((key, keyId) => {
+        if (keyId !== this.activeKeyId) {
+          this.keys.set(keyId, key);
+        }
+      });
+    };
+
+    if (this.keyProvider.isShared()) {
+      SigningKey.findAll()
+        .then(rows => merge(this.parseSharedKeys(rows)))
+        .catch(error => {
+          logger.error('Failed to reload shared signing keys:', error);
+        });
+      return;
+    }
+
+    try {
+      merge(this.parseKeyring().keys);
+    } catch (error) {
+      logger.error('Failed to reload keyring:', error);
+    }
+  }
+
+  /**
+   * Get the key that made signatures with a key ID
+   * Signatures without a key ID predate rotation and use the legacy key.
+   * Well-formed unknown IDs reload the keyring (see reloadVerificationKeys),
+   * in case another process rotated keys since startup.
+   * @param {string|null} keyId - Key ID
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.allowRetired - Also return retired keys; only
+   *   for audit events and export manifests, which are never re-signed
+   */
+  getKey(keyId, { allowRetired = false } = {}) {
+    const id = keyId || this.legacyKeyId;
+    if (!this.keys.has(id) && KEY_ID_PATTERN.test(id)) {
+      this.reloadVerificationKeys();
+    }
+
+    const key = this.keys.get(id);
+    if (!key || !key.publicKey) {
+      return null;
+    }
+    return key.status !== 'retired' || allowRetired ? key : null;
+  }
+
+  /**
+   * Get the public key used to verify signatures made with a key ID
+   */
+  getVerificationKey(keyId, options = {}) {
+    const key = this.getKey(keyId, options);
+    return key ? key.publicKey : null;
+  }
+
+  /**
+   * Hash email with the configured email hash version
+   * The email is lowercased and trimmed first
    *
-   * - SHA-384 is more secure than SHA-256
-   * - Produces fixed-length output regardless of input size
-   * - One-way function (cannot reverse the hash)
-   * - Collision-resistant (extremely difficult to find two inputs with same hash)
+   * - Version 1: plain SHA-384; anyone can hash a list of known addresses
+   *   and match them against an export
+   * - Version 2: HMAC-SHA-384 keyed by a server secret, so hashes cannot be
+   *   reversed by dictionary without the secret
+   * @param {string} email - Email address
+   * @param {number} version - Email hash version (defaults to the configured one)
+   * @returns {string} Hash with its version prefix
    */
-  hashEmail(email) {
+  hashEmail(email, version = this.emailHashVersion) {
     try {
       if (!email || typeof email !== 'string') {
         throw new Error('Email must be a non-empty string');
       }
 
-      // Create SHA-384 hash
-      const hash = crypto.createHash('sha384');
-      hash.update(email.toLowerCase().trim());
-      const emailHash = hash.digest('hex');
+      const spec = EMAIL_HASH_VERSIONS[version];
+      if (!spec) {
+        throw new Error(`Unsupported email hash version: ${version}`);
+      }
+
+      const normalized = email.toLowerCase().trim();
+      let digest;
+      if (version === 1) {
+        digest = crypto.createHash('sha384').update(normalized).digest('hex');
+      } else {
+        if (!this.emailHashSecret) {
+          throw new Error(
+            `EMAIL_HASH_SECRET is required for email hash version ${version}`
+          );
+        }
+        digest = crypto
+          .createHmac('sha384', this.emailHashSecret)
+          .update(normalized)
+          .digest('hex');
+      }
+      const emailHash = `${spec.prefix}${digest}`;
 
       logger.info('Email hashed successfully', {
-        email: email,
         hashLength: emailHash.length,
-        algorithm: 'SHA-384',
+        algorithm: spec.algorithm,
       });
 
       return emailHash;
@@ -137,11 +798,93 @@ class CryptoService {
   }
 
   /**
-   * Create digital signature using RSA private key
-   * Signs the email hash to prove authenticity
+   * Get the version of a stored email hash from its prefix
+   * @param {string} emailHash - Stored hash
+   * @returns {number} Email hash version; unprefixed hashes are version 1
+   */
+  getEmailHashVersion(emailHash) {
+    const version = Object.keys(EMAIL_HASH_VERSIONS).find(candidate => {
+      const { prefix } = EMAIL_HASH_VERSIONS[candidate];
+      return prefix && String(emailHash).startsWith(prefix);
+    });
+    return version ? Number(version) : 1;
+  }
+
+  /**
+   * Get the algorithm of a stored email hash, e.g. for export metadata
+   * @param {string} emailHash - Stored hash
+   * @returns {string} SHA-384 or HMAC-SHA-384
+   */
+  getEmailHashAlgorithm(emailHash) {
+    return EMAIL_HASH_VERSIONS[this.getEmailHashVersion(emailHash)].algorithm;
+  }
+
+  /**
+   * Check a stored email hash against an email
+   * The hash is recomputed with its own version, so rows not yet rehashed
+   * to the configured version still verify
+   * @param {string} email - Email address
+   * @param {string} emailHash - Stored hash
+   * @returns {boolean} True if the hash belongs to the email
+   */
+  verifyEmailHash(email, emailHash) {
+    if (!email || !emailHash) {
+      return false;
+    }
+    return (
+      this.hashEmail(email, this.getEmailHashVersion(emailHash)) === emailHash
+    );
+  }
+
+  /**
+   * Check whether a stored email hash uses the configured version
+   * @param {string} emailHash - Stored hash
+   * @returns {boolean} True if the re-signing job would rehash it
+   */
+  isEmailHashOutdated(emailHash) {
+    return this.getEmailHashVersion(emailHash) !== this.emailHashVersion;
+  }
+
+  /**
+   * Serialize a value to canonical JSON
+   * Object keys are sorted recursively so equal data always hashes the same,
+   * regardless of key order (e.g. after a round trip through JSONB)
+   */
+  canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value === undefined ? null : value);
+    }
+
+    if (value instanceof Date) {
+      return JSON.stringify(value.toISOString());
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  /**
+   * Hash arbitrary data using SHA-384
+   * Objects are canonicalized first; strings are hashed as-is
+   */
+  hashData(data) {
+    const input = typeof data === 'string' ? data : this.canonicalize(data);
+    return crypto.createHash('sha384').update(input).digest('hex');
+  }
+
+  /**
+   * Create digital signature using the active private key
+   * Signs the email hash to prove authenticity; store getActiveKeyId() and
+   * getActiveAlgorithm() next to the signature so it can be verified later
    *
    * - Digital signature proves data came from our server
-   * - Uses RSA private key (only we have this)
+   * - Uses the active private key (only we have this)
    * - Anyone can verify with our public key
    * - Ensures data integrity and authenticity
    */
@@ -156,14 +899,16 @@ class CryptoService {
       }
 
       // Create digital signature
-      const sign = crypto.createSign('RSA-SHA256');
-      sign.update(emailHash);
-      const signature = sign.sign(this.privateKey, 'hex');
+      const algorithm = this.getActiveAlgorithm();
+      const signature = this.keyProvider
+        .sign(this.privateKey, Buffer.from(emailHash), algorithm)
+        .toString('hex');
 
       logger.info('Digital signature created successfully', {
+        keyId: this.activeKeyId,
         hashLength: emailHash.length,
         signatureLength: signature.length,
-        algorithm: 'RSA-SHA256',
+        algorithm,
       });
 
       return signature;
@@ -174,32 +919,57 @@ class CryptoService {
   }
 
   /**
-   * Verify digital signature using RSA public key
+   * Verify digital signature using the public key it was made with
    * Used by frontend to verify data authenticity
+   * The key determines the algorithm; a recorded algorithm that differs
+   * from the key's fails verification instead of being trusted
    *
    * - Anyone can verify signature with public key
    * - Proves data hasn't been tampered with
    * - Proves data came from our server
    * - Essential for frontend security
+   * @param {Object} options - Key lookup options (see getKey)
    */
-  verifySignature(emailHash, signature) {
+  verifySignature(
+    emailHash,
+    signature,
+    keyId = null,
+    algorithm = null,
+    options = {}
+  ) {
     try {
       if (!emailHash || !signature) {
         throw new Error('Email hash and signature are required');
       }
 
-      if (!this.publicKey) {
-        throw new Error('Public key not available for verification');
+      const key = this.getKey(keyId, options);
+      if (!key) {
+        logger.warn('No verification key for signature', { keyId });
+        return false;
+      }
+
+      if (algorithm && algorithm !== key.algorithm) {
+        logger.warn('Signature algorithm does not match its key', {
+          keyId: key.keyId,
+          algorithm,
+          keyAlgorithm: key.algorithm,
+        });
+        return false;
       }
 
       // Verify signature
-      const verify = crypto.createVerify('RSA-SHA256');
-      verify.update(emailHash);
-      const isValid = verify.verify(this.publicKey, signature, 'hex');
+      const spec = SIGNATURE_ALGORITHMS[key.algorithm];
+      const isValid = crypto.verify(
+        spec.digest,
+        Buffer.from(emailHash),
+        { key: key.publicKey, ...spec.signOptions },
+        Buffer.from(signature, 'hex')
+      );
 
       logger.info('Signature verification completed', {
         isValid: isValid,
-        algorithm: 'RSA-SHA256',
+        keyId: key.keyId,
+        algorithm: key.algorithm,
       });
 
       return isValid;
@@ -220,6 +990,45 @@ class CryptoService {
     return this.publicKey;
   }
 
+  /**
+   * Get every non-retired public key as a JWKS document (RFC 7517)
+   * alg is the JWA name of each key's algorithm (RS256, PS384, ES384, EdDSA)
+   */
+  getJwks() {
+    const keys = Array.from(this.keys.values())
+      .filter(key => key.status !== 'retired' && key.publicKey)
+      .map(key => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.keyId,
+        alg: SIGNATURE_ALGORITHMS[key.algorithm].jwa,
+        use: 'sig',
+      }));
+
+    return { keys };
+  }
+
+  /**
+   * Get the ID of the key new signatures are made with
+   */
+  getActiveKeyId() {
+    return this.activeKeyId;
+  }
+
+  /**
+   * Get the algorithm new signatures are made with
+   */
+  getActiveAlgorithm() {
+    const key = this.keys.get(this.activeKeyId);
+    return key ? key.algorithm : null;
+  }
+
+  /**
+   * List the supported signature algorithm names
+   */
+  getSupportedAlgorithms() {
+    return Object.keys(SIGNATURE_ALGORITHMS);
+  }
+
   /**
    * Process user email: hash + sign
    * Complete cryptographic processing for user creation
@@ -231,16 +1040,17 @@ class CryptoService {
    */
   processUserEmail(email) {
     try {
-      logger.info('Processing user email cryptographically', { email: email });
+      logger.info('Processing user email cryptographically');
 
       // Step 1: Hash the email
       const emailHash = this.hashEmail(email);
 
       // Step 2: Sign the hash
       const signature = this.signHash(emailHash);
+      const keyId = this.activeKeyId;
+      const algorithm = this.getActiveAlgorithm();
 
       logger.info('User email processed successfully', {
-        email: email,
         hashLength: emailHash.length,
         signatureLength: signature.length,
       });
@@ -248,6 +1058,8 @@ class CryptoService {
       return {
         emailHash,
         signature,
+        keyId,
+        algorithm,
       };
     } catch (error) {
       logger.error('Failed to process user email:', error);
@@ -255,19 +1067,101 @@ class CryptoService {
     }
   }
 
+  /**
+   * Build the canonical payload a user signature covers
+   * Accepts database rows (snake_case) and service objects (camelCase)
+   */
+  buildUserPayload(user, version = USER_SIGNATURE_VERSION) {
+    if (version === 1) {
+      return user.email_hash || user.emailHash;
+    }
+
+    if (version === 2) {
+      return this.hashData({
+        v: 2,
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        createdAt: new Date(user.created_at || user.createdAt).toISOString(),
+      });
+    }
+
+    throw new Error(`Unsupported user signature version: ${version}`);
+  }
+
+  /**
+   * Process a user record: hash the email + sign the canonical record
+   * Used whenever a user is created or any signed field changes
+   *
+   * - email_hash uses the configured email hash version
+   * - The signature covers id, email, role, status and created_at, so
+   *   flipping any of them in the database breaks it
+   */
+  processUserRecord(user) {
+    try {
+      const emailHash = this.hashEmail(user.email);
+      const signature = this.signHash(this.buildUserPayload(user));
+
+      return {
+        emailHash,
+        signature,
+        keyId: this.activeKeyId,
+        algorithm: this.getActiveAlgorithm(),
+        signatureVersion: USER_SIGNATURE_VERSION,
+      };
+    } catch (error) {
+      logger.error('Failed to process user record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a stored user's signature against its own fields
+   * Rows without signature_version predate record signing (version 1)
+   */
+  verifyUserRecord(user) {
+    try {
+      const payload = this.buildUserPayload(user, user.signature_version || 1);
+      return this.verifySignature(
+        payload,
+        user.signature,
+        user.signature_key_id,
+        user.signature_algorithm
+      );
+    } catch (error) {
+      logger.error('Failed to verify user record:', error);
+      return false;
+    }
+  }
+
   /**
    * Get cryptographic statistics
    * Useful for monitoring and debugging
    */
   getStats() {
+    const activeKey = this.keys.get(this.activeKeyId);
     return {
       hasPrivateKey: !!this.privateKey,
       hasPublicKey: !!this.publicKey,
+      activeKeyId: this.activeKeyId,
+      keyCount: this.keys.size,
       keyPath: this.keyPath,
-      privateKeyPath: this.privateKeyPath,
-      publicKeyPath: this.publicKeyPath,
-      algorithm: 'RSA-2048',
+      keyringPath: this.keyringPath,
+      keyProvider: this.keyProvider ? this.keyProvider.name : null,
+      privateKeyEncrypted: this.keyProvider
+        ? this.keyProvider.isEncrypted()
+        : false,
+      algorithm: this.getActiveAlgorithm(),
+      keyType: activeKey
+        ? SIGNATURE_ALGORITHMS[activeKey.algorithm].keyDescription
+        : null,
       hashAlgorithm: 'SHA-384',
+      emailHashVersion: this.emailHashVersion,
+      emailHashAlgorithm: this.emailHashVersion
+        ? EMAIL_HASH_VERSIONS[this.emailHashVersion].algorithm
+        : null,
+      userSignatureVersion: USER_SIGNATURE_VERSION,
     };
   }
 }
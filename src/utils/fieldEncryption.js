@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const logger = require('./logger');
+const EncryptionKey = require('../models/EncryptionKey');
+const { readSecret } = require('./keyProviders/keyProvider');
+
+const FIELD_CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const MASTER_KEY_MIN_LENGTH = 32;
+const EMAIL_KEY_PURPOSE = 'users.email';
+
+const hkdf = promisify(crypto.hkdf);
+
+// Stored values: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64url)
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+/**
+ * Field Encryption
+ * Envelope encryption for user emails at rest
+ *
+ * - Emails are encrypted with AES-256-GCM under a random data key; each
+ *   value gets its own IV and is bound to its row (additional data), so
+ *   ciphertexts cannot be swapped between users
+ * - The data key is stored in encryption_keys, wrapped (AES-256-GCM) with
+ *   a key derived from FIELD_ENCRYPTION_KEY; changing that secret only
+ *   means re-wrapping the data key, not re-encrypting every row
+ * - A blind index (HMAC-SHA-256 of the normalized email) makes lookups and
+ *   the uniqueness constraint work without decrypting
+ * - Only the User model encrypts and decrypts
+ */
+class FieldEncryptionService {
+  constructor() {
+    this.wrappingKey = null;
+    this.dataKeys = new Map();
+    this.activeKeyId = null;
+    this.indexKey = null;
+  }
+
+  /**
+   * Load the data keys, creating the first one on first boot
+   * Must run after the database connects and before users are read
+   */
+  async initialize() {
+    try {
+      const { masterKey, masterKeyFile } = config.security.fieldEncryption;
+      const secret = readSecret(masterKey, masterKeyFile);
+
+      if (!secret) {
+        throw new Error(
+          'FIELD_ENCRYPTION_KEY or FIELD_ENCRYPTION_KEY_FILE is required to encrypt emails'
+        );
+      }
+      if (secret.length < MASTER_KEY_MIN_LENGTH) {
+        throw new Error(
+          `FIELD_ENCRYPTION_KEY must be at least ${MASTER_KEY_MIN_LENGTH} characters`
+        );
+      }
+
+      this.wrappingKey = Buffer.from(
+        await hkdf('sha256', secret, '', 'data key wrapping', 32)
+      );
+
+      const rows = await EncryptionKey.initialize(EMAIL_KEY_PURPOSE, () =>
+        this.createDataKey()
+      );
+
+      this.dataKeys = new Map(
+        rows.map(row => [
+          row.key_id,
+          this.unwrapKey(row.wrapped_key, row.key_id),
+        ])
+      );
+
+      // Derived from the oldest key so the index survives adding data keys
+      this.indexKey = Buffer.from(
+        await hkdf(
+          'sha256',
+          this.dataKeys.get(rows[0].key_id),
+          '',
+          'users.email blind index',
+          32
+        )
+      );
+      this.activeKeyId = rows[rows.length - 1].key_id;
+
+      logger.info('Field encryption initialized', {
+        activeKeyId: this.activeKeyId,
+        keys: this.dataKeys.size,
+      });
+    } catch (error) {
+      logger.error('Failed to initialize field encryption:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate and wrap a new data key
+   * @returns {Object} keyId and wrappedKey
+   */
+  createDataKey() {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    return {
+      keyId,
+      wrappedKey: this.seal(this.wrappingKey, crypto.randomBytes(32), keyId),
+    };
+  }
+
+  /**
+   * Unwrap a stored data key
+   * @param {string} wrappedKey - Wrapped key
+   * @param {string} keyId - Key ID (authenticated with the key)
+   * @returns {Buffer} Data key
+   */
+  unwrapKey(wrappedKey, keyId) {
+    try {
+      return this.open(this.wrappingKey, wrappedKey, keyId);
+    } catch {
+      throw new Error(
+        `Cannot unwrap data key ${keyId}; FIELD_ENCRYPTION_KEY does not match the one it was created with`
+      );
+    }
+  }
+
+  /**
+   * AES-256-GCM encrypt
+   * @returns {string} iv:authTag:ciphertext (base64url)
+   */
+  seal(key, plaintext, additionalData) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(FIELD_CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(additionalData));
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext),
+      cipher.final(),
+    ]);
+
+    return [iv, cipher.getAuthTag(), ciphertext]
+      .map(part => part.toString('base64url'))
+      .join(':');
+  }
+
+  /**
+   * AES-256-GCM decrypt; throws if the value or additional data was altered
+   * @returns {Buffer} Plaintext
+   */
+  open(key, sealed, additionalData) {
+    const [iv, authTag, ciphertext] = sealed
+      .split(':')
+      .map(part => Buffer.from(part, 'base64url'));
+
+    const decipher = crypto.createDecipheriv(FIELD_CIPHER, key, iv);
+    decipher.setAAD(Buffer.from(additionalData));
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  assertInitialized() {
+    if (!this.activeKeyId) {
+      throw new Error('Field encryption is not initialized');
+    }
+  }
+
+  /**
+   * Check whether a stored value is encrypted
+   * @param {string} value - Stored value
+   * @returns {boolean} True for ciphertext written by encrypt
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+  }
+
+  /**
+   * Encrypt a field value with the active data key
+   * @param {string} plaintext - Value to encrypt
+   * @param {string} context - Where the value is stored, e.g.
+   *   users.email:<userId>; decrypting needs the same context
+   * @returns {string} Stored value
+   */
+  encrypt(plaintext, context) {
+    this.assertInitialized();
+
+    const key = this.dataKeys.get(this.activeKeyId);
+    const sealed = this.seal(key, plaintext, context);
+    return `${CIPHERTEXT_PREFIX}${this.activeKeyId}:${sealed}`;
+  }
+
+  /**
+   * Decrypt a stored field value
+   * Values written before encryption was enabled are returned unchanged
+   * @param {string} value - Stored value
+   * @param {string} context - Context the value was encrypted with
+   * @returns {string} Plaintext
+   */
+  decrypt(value, context) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+    this.assertInitialized();
+
+    const body = value.slice(CIPHERTEXT_PREFIX.length);
+    const separator = body.indexOf(':');
+    const keyId = body.slice(0, separator);
+    const key = this.dataKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown data key: ${keyId}`);
+    }
+
+    try {
+      return this.open(key, body.slice(separator + 1), context).toString(
+        'utf8'
+      );
+    } catch {
+      throw new Error(`Cannot decrypt ${context}; the value was altered`);
+    }
+  }
+
+  /**
+   * Blind index of an email for lookups and uniqueness
+   * Case and surrounding whitespace are ignored, as at login
+   * @param {string} email - Email address
+   * @returns {string} HMAC-SHA-256 hex
+   */
+  emailIndex(email) {
+    this.assertInitialized();
+
+    return crypto
+      .createHmac('sha256', this.indexKey)
+      .update(String(email).toLowerCase().trim())
+      .digest('hex');
+  }
+}
+
+module.exports = new FieldEncryptionService();
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { KeyProvider, readSecret } = require('./keyProvider');
+
+const ENCRYPTION_CIPHER = 'aes-256-cbc';
+
+/**
+ * Database Key Provider
+ * Shares one keyring between every instance: keys live in the
+ * signing_keys table, the active private key encrypted with the master
+ * secret (KEY_MASTER_SECRET or KEY_MASTER_SECRET_FILE), which must be the
+ * same on every instance.
+ *
+ * CryptoService does the database work; this provider encrypts and
+ * decrypts private keys and holds the decrypted active key in memory.
+ */
+class DatabaseKeyProvider extends KeyProvider {
+  constructor({ masterSecret, masterSecretFile }) {
+    super('database');
+
+    this.masterSecret = readSecret(masterSecret, masterSecretFile);
+    if (!this.masterSecret) {
+      throw new Error(
+        'KEY_MASTER_SECRET or KEY_MASTER_SECRET_FILE is required for the database key provider'
+      );
+    }
+
+    this.privateKeys = new Map();
+  }
+
+  isEncrypted() {
+    return true;
+  }
+
+  isShared() {
+    return true;
+  }
+
+  /**
+   * Encrypt a private key for storage
+   * @param {KeyObject} privateKey - Private key
+   * @returns {string} Encrypted PKCS#8 PEM
+   */
+  encryptKey(privateKey) {
+    return privateKey.export({
+      type: 'pkcs8',
+      format: 'pem',
+      cipher: ENCRYPTION_CIPHER,
+      passphrase: this.masterSecret,
+    });
+  }
+
+  /**
+   * Decrypt a stored private key
+   * @param {string} pem - Encrypted PKCS#8 PEM
+   * @returns {KeyObject} Private key
+   */
+  decryptKey(pem) {
+    return crypto.createPrivateKey({ key: pem, passphrase: this.masterSecret });
+  }
+
+  saveKey(keyId, privateKey) {
+    this.privateKeys.set(keyId, privateKey);
+  }
+
+  loadKey(keyId) {
+    if (!this.privateKeys.has(keyId)) {
+      throw new Error(
+        `Private key ${keyId} has not been loaded from the database`
+      );
+    }
+    return this.privateKeys.get(keyId);
+  }
+
+  deleteKey(keyId) {
+    this.privateKeys.delete(keyId);
+  }
+}
+
+module.exports = DatabaseKeyProvider;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { getSignatureAlgorithm } = require('../signatureAlgorithms');
+const { KeyProvider, readSecret } = require('./keyProvider');
+
+/**
+ * Environment Key Provider
+ * Signs with one private key injected by the platform, either as PEM in
+ * SIGNING_PRIVATE_KEY or as a mounted secret file (SIGNING_PRIVATE_KEY_FILE).
+ * The PEM may be encrypted with KEY_PASSPHRASE.
+ *
+ * Keys are never written to disk or generated here; rotate by injecting a
+ * new key and restarting. CryptoService then adopts it as the active key
+ * and keeps the previous public key for verification.
+ */
+class EnvKeyProvider extends KeyProvider {
+  constructor({
+    privateKey,
+    privateKeyFile,
+    passphrase,
+    passphraseFile,
+    algorithm,
+  }) {
+    super('env');
+
+    const pem = readSecret(privateKey, privateKeyFile);
+    if (!pem) {
+      throw new Error(
+        'SIGNING_PRIVATE_KEY or SIGNING_PRIVATE_KEY_FILE is required for the env key provider'
+      );
+    }
+
+    // Single-line environment values often carry escaped newlines
+    this.privateKey = crypto.createPrivateKey({
+      key: pem.replace(/\\n/g, '\n'),
+      passphrase: readSecret(passphrase, passphraseFile) || undefined,
+    });
+
+    const spec = getSignatureAlgorithm(algorithm);
+    if (this.privateKey.asymmetricKeyType !== spec.keyType) {
+      throw new Error(
+        `Injected ${this.privateKey.asymmetricKeyType} key cannot sign with ${algorithm}; set SIGNATURE_ALGORITHM to match`
+      );
+    }
+
+    this.algorithm = algorithm;
+    this.publicKey = crypto
+      .createPublicKey(this.privateKey)
+      .export({ type: 'spki', format: 'pem' });
+    this.keyId = null;
+  }
+
+  // The key never touches disk; protecting it is the platform's job
+  isEncrypted() {
+    return true;
+  }
+
+  getInjectedKey() {
+    return {
+      privateKey: this.privateKey,
+      publicKey: this.publicKey,
+      algorithm: this.algorithm,
+    };
+  }
+
+  generateKey() {
+    throw new Error(
+      'The env key provider cannot generate keys; inject a new SIGNING_PRIVATE_KEY and restart'
+    );
+  }
+
+  // Adopting the injected key records its ID; there is nothing to store
+  saveKey(keyId) {
+    this.keyId = keyId;
+  }
+
+  loadKey(keyId) {
+    if (keyId !== this.keyId) {
+      throw new Error(`The injected private key is not key ${keyId}`);
+    }
+    return this.privateKey;
+  }
+}
+
+module.exports = EnvKeyProvider;
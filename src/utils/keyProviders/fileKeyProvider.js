@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { KeyProvider, readSecret } = require('./keyProvider');
+
+const ENCRYPTION_CIPHER = 'aes-256-cbc';
+
+/**
+ * File Key Provider
+ * Stores each private key as <keyId>.private.pem in the keys directory
+ *
+ * - With KEY_PASSPHRASE (or KEY_PASSPHRASE_FILE) keys are written as
+ *   encrypted PKCS#8, and unencrypted keys are re-encrypted when loaded
+ * - With requireEncryption (production) unencrypted keys are refused
+ */
+class FileKeyProvider extends KeyProvider {
+  constructor({ keysDir, passphrase, passphraseFile, requireEncryption }) {
+    super('file');
+    this.keysDir = keysDir;
+    this.passphrase = readSecret(passphrase, passphraseFile);
+    this.requireEncryption = requireEncryption;
+  }
+
+  isEncrypted() {
+    return Boolean(this.passphrase);
+  }
+
+  privateKeyPath(keyId) {
+    return path.join(this.keysDir, `${keyId}.private.pem`);
+  }
+
+  /**
+   * Fail unless keys can be encrypted, when encryption is required
+   */
+  assertEncryptionAvailable(keyId) {
+    if (this.requireEncryption && !this.passphrase) {
+      throw new Error(
+        `Refusing to use unencrypted private key file for ${keyId} in production; set KEY_PASSPHRASE or KEY_PASSPHRASE_FILE`
+      );
+    }
+  }
+
+  saveKey(keyId, privateKey) {
+    this.assertEncryptionAvailable(keyId);
+
+    const pem = privateKey.export({
+      type: 'pkcs8',
+      format: 'pem',
+      ...(this.passphrase && {
+        cipher: ENCRYPTION_CIPHER,
+        passphrase: this.passphrase,
+      }),
+    });
+
+    fs.writeFileSync(this.privateKeyPath(keyId), pem, { mode: 0o600 });
+  }
+
+  loadKey(keyId) {
+    const pem = fs.readFileSync(this.privateKeyPath(keyId), 'utf8');
+
+    if (pem.includes('ENCRYPTED PRIVATE KEY')) {
+      if (!this.passphrase) {
+        throw new Error(
+          `Private key ${keyId} is encrypted; set KEY_PASSPHRASE or KEY_PASSPHRASE_FILE`
+        );
+      }
+      return crypto.createPrivateKey({ key: pem, passphrase: this.passphrase });
+    }
+
+    this.assertEncryptionAvailable(keyId);
+    const privateKey = crypto.createPrivateKey(pem);
+
+    // Encrypt keys written before a passphrase was configured
+    if (this.passphrase) {
+      this.saveKey(keyId, privateKey);
+      logger.info('Encrypted private key at rest', { keyId });
+    }
+
+    return privateKey;
+  }
+
+  deleteKey(keyId) {
+    const privateKeyPath = this.privateKeyPath(keyId);
+    if (fs.existsSync(privateKeyPath)) {
+      fs.unlinkSync(privateKeyPath);
+    }
+  }
+}
+
+module.exports = FileKeyProvider;
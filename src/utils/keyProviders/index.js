@@ -0,0 +1,46 @@
+const config = require('../../config');
+const DatabaseKeyProvider = require('./databaseKeyProvider');
+const EnvKeyProvider = require('./envKeyProvider');
+const FileKeyProvider = require('./fileKeyProvider');
+const Pkcs11KeyProvider = require('./pkcs11KeyProvider');
+const { KeyProvider } = require('./keyProvider');
+
+/**
+ * Create the key provider selected by KEY_PROVIDER
+ * @returns {KeyProvider} file (default), env, pkcs11 or database provider
+ */
+const createKeyProvider = () => {
+  const options = config.security.keyProvider;
+  const providers = {
+    file: () =>
+      new FileKeyProvider({
+        keysDir: config.security.keysDir,
+        passphrase: options.passphrase,
+        passphraseFile: options.passphraseFile,
+        // Plain PEM files must not reach production images or volumes
+        requireEncryption: config.server.env === 'production',
+      }),
+    env: () =>
+      new EnvKeyProvider({
+        privateKey: options.privateKey,
+        privateKeyFile: options.privateKeyFile,
+        passphrase: options.passphrase,
+        passphraseFile: options.passphraseFile,
+        algorithm: config.security.signatureAlgorithm,
+      }),
+    pkcs11: () => new Pkcs11KeyProvider(options.pkcs11),
+    database: () =>
+      new DatabaseKeyProvider({
+        masterSecret: options.masterSecret,
+        masterSecretFile: options.masterSecretFile,
+      }),
+  };
+
+  if (!providers[options.type]) {
+    throw new Error(`Unknown key provider: ${options.type}`);
+  }
+
+  return providers[options.type]();
+};
+
+module.exports = { createKeyProvider, KeyProvider, FileKeyProvider };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getSignatureAlgorithm } = require('../signatureAlgorithms');
+
+/**
+ * Read a secret given directly or as the path of a mounted secret file
+ * (e.g. Docker or Kubernetes secrets); the file wins when both are set
+ * @param {string|undefined} value - Secret value
+ * @param {string|undefined} file - Path of a file holding the secret
+ * @returns {string|null} Secret, or null if neither is set
+ */
+const readSecret = (value, file) => {
+  if (file) {
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+  return value || null;
+};
+
+/**
+ * Key Provider
+ * Holds the private signing keys for CryptoService. Public keys and the
+ * keyring manifest are not secret and stay in the keys directory; only
+ * private key material goes through the provider. Shared providers keep
+ * the whole keyring in the database instead (see isShared).
+ *
+ * Private keys are opaque to CryptoService: whatever generateKey or
+ * loadKey returns is handed back to sign. This base class implements
+ * software keys (Node KeyObjects); subclasses decide where they are stored.
+ */
+class KeyProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether private keys are protected at rest
+   * @returns {boolean}
+   */
+  isEncrypted() {
+    return false;
+  }
+
+  /**
+   * Whether the keyring is shared between instances through the database
+   * CryptoService then loads keys once the database is connected
+   * @returns {boolean}
+   */
+  isShared() {
+    return false;
+  }
+
+  /**
+   * Key injected from outside that must be the active key
+   * @returns {Object|null} privateKey and publicKey (PEM), or null
+   */
+  getInjectedKey() {
+    return null;
+  }
+
+  /**
+   * Generate a keypair for an algorithm
+   * @param {string} algorithm - Signature algorithm name
+   * @returns {Object} publicKey (PEM) and privateKey
+   */
+  generateKey(algorithm) {
+    const spec = getSignatureAlgorithm(algorithm);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(spec.keyType, {
+      ...spec.keyOptions,
+      publicKeyEncoding: {
+        type: 'spki',
+        format: 'pem',
+      },
+    });
+
+    return { publicKey, privateKey };
+  }
+
+  /**
+   * Persist a private key under its key ID
+   * @param {string} keyId - Key ID
+   * @param {*} privateKey - Private key from generateKey, or a KeyObject
+   */
+  saveKey(keyId) {
+    throw new Error(`The ${this.name} key provider cannot store key ${keyId}`);
+  }
+
+  /**
+   * Load a stored private key
+   * @param {string} keyId - Key ID
+   * @returns {*} Private key for sign
+   */
+  loadKey(keyId) {
+    throw new Error(`The ${this.name} key provider has no key ${keyId}`);
+  }
+
+  /**
+   * Destroy a private key that is no longer used for signing
+   * @param {string} keyId - Key ID
+   */
+  deleteKey() {}
+
+  /**
+   * Sign data with a private key
+   * @param {*} privateKey - Private key from loadKey or generateKey
+   * @param {Buffer} data - Data to sign
+   * @param {string} algorithm - Signature algorithm name
+   * @returns {Buffer} Signature
+   */
+  sign(privateKey, data, algorithm) {
+    const spec = getSignatureAlgorithm(algorithm);
+    return crypto.sign(spec.digest, data, {
+      key: privateKey,
+      ...spec.signOptions,
+    });
+  }
+}
+
+module.exports = { KeyProvider, readSecret };
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const { KeyProvider, readSecret } = require('./keyProvider');
+const { getSignatureAlgorithm } = require('../signatureAlgorithms');
+
+// PKCS#11 3.0 Edwards-curve mechanisms, missing from older pkcs11js builds
+const CKM_EC_EDWARDS_KEY_PAIR_GEN = 0x1055;
+const CKM_EDDSA = 0x1057;
+
+// DER-encoded curve OIDs for CKA_EC_PARAMS
+const EC_PARAMS = {
+  'P-384': Buffer.from('06052b81040022', 'hex'), // 1.3.132.0.34
+  Ed25519: Buffer.from('06032b6570', 'hex'), // 1.3.101.112
+};
+
+/**
+ * Strip the DER OCTET STRING some tokens wrap CKA_EC_POINT in
+ */
+const unwrapEcPoint = point =>
+  point[0] === 0x04 && point[1] === point.length - 2
+    ? point.subarray(2)
+    : point;
+
+/**
+ * PKCS#11 Key Provider
+ * Generates and keeps private keys on a hardware security module (or
+ * SoftHSM); they are created non-extractable and never leave the token.
+ * Keys are found by CKA_LABEL, which is set to the key ID.
+ *
+ * Needs the optional pkcs11js package, PKCS11_MODULE (the vendor's .so),
+ * PKCS11_TOKEN_LABEL and PKCS11_PIN (or PKCS11_PIN_FILE).
+ */
+class Pkcs11KeyProvider extends KeyProvider {
+  constructor({ module: modulePath, tokenLabel, pin, pinFile }) {
+    super('pkcs11');
+
+    if (!modulePath || !tokenLabel) {
+      throw new Error(
+        'PKCS11_MODULE and PKCS11_TOKEN_LABEL are required for the pkcs11 key provider'
+      );
+    }
+
+    let pkcs11js;
+    try {
+      pkcs11js = require('pkcs11js');
+    } catch {
+      throw new Error(
+        'The pkcs11 key provider needs the optional pkcs11js package'
+      );
+    }
+
+    this.pkcs11js = pkcs11js;
+    this.pkcs11 = new pkcs11js.PKCS11();
+    this.pkcs11.load(modulePath);
+    this.pkcs11.C_Initialize();
+
+    const slot = this.pkcs11
+      .C_GetSlotList(true)
+      .find(
+        candidate =>
+          this.pkcs11.C_GetTokenInfo(candidate).label.trim() === tokenLabel
+      );
+    if (!slot) {
+      throw new Error(`PKCS#11 token not found: ${tokenLabel}`);
+    }
+
+    this.session = this.pkcs11.C_OpenSession(
+      slot,
+      pkcs11js.CKF_RW_SESSION | pkcs11js.CKF_SERIAL_SESSION
+    );
+    this.pkcs11.C_Login(
+      this.session,
+      pkcs11js.CKU_USER,
+      readSecret(pin, pinFile)
+    );
+  }
+
+  isEncrypted() {
+    return true;
+  }
+
+  /**
+   * Key generation mechanism and algorithm-specific template attributes
+   */
+  keyGenParams(algorithm) {
+    const p = this.pkcs11js;
+    const spec = getSignatureAlgorithm(algorithm);
+
+    if (spec.keyType === 'rsa') {
+      return {
+        mechanism: p.CKM_RSA_PKCS_KEY_PAIR_GEN,
+        publicTemplate: [
+          { type: p.CKA_MODULUS_BITS, value: spec.keyOptions.modulusLength },
+          { type: p.CKA_PUBLIC_EXPONENT, value: Buffer.from([1, 0, 1]) },
+        ],
+      };
+    }
+
+    if (spec.keyType === 'ec') {
+      return {
+        mechanism: p.CKM_EC_KEY_PAIR_GEN,
+        publicTemplate: [
+          {
+            type: p.CKA_EC_PARAMS,
+            value: EC_PARAMS[spec.keyOptions.namedCurve],
+          },
+        ],
+      };
+    }
+
+    return {
+      mechanism: CKM_EC_EDWARDS_KEY_PAIR_GEN,
+      publicTemplate: [{ type: p.CKA_EC_PARAMS, value: EC_PARAMS.Ed25519 }],
+    };
+  }
+
+  /**
+   * Signing mechanism for an algorithm
+   * ECDSA signs a digest computed here; the token returns r||s, the same
+   * encoding as the software keys
+   */
+  signMechanism(algorithm) {
+    const p = this.pkcs11js;
+    const mechanisms = {
+      'RSA-SHA256': { mechanism: p.CKM_SHA256_RSA_PKCS },
+      'RSA-PSS-SHA384': {
+        mechanism: p.CKM_SHA384_RSA_PKCS_PSS,
+        parameter: {
+          type: p.CK_PARAMS_RSA_PSS,
+          hashAlg: p.CKM_SHA384,
+          mgf: p.CKG_MGF1_SHA384,
+          saltLen: 48,
+        },
+      },
+      'ECDSA-P384-SHA384': { mechanism: p.CKM_ECDSA },
+      Ed25519: { mechanism: CKM_EDDSA },
+    };
+
+    getSignatureAlgorithm(algorithm);
+    return mechanisms[algorithm];
+  }
+
+  /**
+   * Read a public key object off the token as PEM
+   */
+  exportPublicKey(handle, algorithm) {
+    const p = this.pkcs11js;
+    const spec = getSignatureAlgorithm(algorithm);
+    let jwk;
+
+    if (spec.keyType === 'rsa') {
+      const [modulus, exponent] = this.pkcs11.C_GetAttributeValue(
+        this.session,
+        handle,
+        [{ type: p.CKA_MODULUS }, { type: p.CKA_PUBLIC_EXPONENT }]
+      );
+      jwk = {
+        kty: 'RSA',
+        n: modulus.value.toString('base64url'),
+        e: exponent.value.toString('base64url'),
+      };
+    } else {
+      const [ecPoint] = this.pkcs11.C_GetAttributeValue(this.session, handle, [
+        { type: p.CKA_EC_POINT },
+      ]);
+      const point = unwrapEcPoint(ecPoint.value);
+
+      if (spec.keyType === 'ec') {
+        // Uncompressed P-384 point: 0x04 || x (48 bytes) || y (48 bytes)
+        jwk = {
+          kty: 'EC',
+          crv: 'P-384',
+          x: point.subarray(1, 49).toString('base64url'),
+          y: point.subarray(49).toString('base64url'),
+        };
+      } else {
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: point.toString('base64url') };
+      }
+    }
+
+    return crypto
+      .createPublicKey({ key: jwk, format: 'jwk' })
+      .export({ type: 'spki', format: 'pem' });
+  }
+
+  generateKey(algorithm) {
+    const p = this.pkcs11js;
+    const { mechanism, publicTemplate } = this.keyGenParams(algorithm);
+
+    // The public half is only needed long enough to export it
+    const keys = this.pkcs11.C_GenerateKeyPair(
+      this.session,
+      { mechanism },
+      [
+        { type: p.CKA_TOKEN, value: false },
+        { type: p.CKA_VERIFY, value: true },
+        ...publicTemplate,
+      ],
+      [
+        { type: p.CKA_TOKEN, value: true },
+        { type: p.CKA_PRIVATE, value: true },
+        { type: p.CKA_SENSITIVE, value: true },
+        { type: p.CKA_EXTRACTABLE, value: false },
+        { type: p.CKA_SIGN, value: true },
+      ]
+    );
+
+    const publicKey = this.exportPublicKey(keys.publicKey, algorithm);
+    this.pkcs11.C_DestroyObject(this.session, keys.publicKey);
+
+    return { publicKey, privateKey: keys.privateKey };
+  }
+
+  saveKey(keyId, privateKey) {
+    if (privateKey instanceof crypto.KeyObject) {
+      throw new Error(
+        'Software keys cannot be imported into the PKCS#11 token; rotate to generate a key on the token'
+      );
+    }
+
+    this.pkcs11.C_SetAttributeValue(this.session, privateKey, [
+      { type: this.pkcs11js.CKA_LABEL, value: keyId },
+    ]);
+  }
+
+  /**
+   * Find a private key object by key ID
+   * @returns {*} Object handle, or null if the token has no such key
+   */
+  findKey(keyId) {
+    const p = this.pkcs11js;
+
+    this.pkcs11.C_FindObjectsInit(this.session, [
+      { type: p.CKA_CLASS, value: p.CKO_PRIVATE_KEY },
+      { type: p.CKA_LABEL, value: keyId },
+    ]);
+    try {
+      return this.pkcs11.C_FindObjects(this.session);
+    } finally {
+      this.pkcs11.C_FindObjectsFinal(this.session);
+    }
+  }
+
+  loadKey(keyId) {
+    const handle = this.findKey(keyId);
+    if (!handle) {
+      throw new Error(`Private key ${keyId} not found on the PKCS#11 token`);
+    }
+    return handle;
+  }
+
+  deleteKey(keyId) {
+    const handle = this.findKey(keyId);
+    if (handle) {
+      this.pkcs11.C_DestroyObject(this.session, handle);
+    }
+  }
+
+  sign(privateKey, data, algorithm) {
+    const input =
+      algorithm === 'ECDSA-P384-SHA384'
+        ? crypto.createHash('sha384').update(data).digest()
+        : data;
+
+    this.pkcs11.C_SignInit(
+      this.session,
+      this.signMechanism(algorithm),
+      privateKey
+    );
+    return this.pkcs11.C_Sign(this.session, input, Buffer.alloc(1024));
+  }
+}
+
+module.exports = Pkcs11KeyProvider;
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const config = require('../config');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password Utilities
+ * Hashes passwords with scrypt and enforces the configured password policy
+ *
+ * - scrypt: Memory-hard KDF, expensive to brute force on GPUs/ASICs
+ * - Self-describing hashes: parameters are stored with each hash
+ * - Policy: length bounds and an optional breached-password list
+ */
+class PasswordService {
+  constructor() {
+    this.algorithm = 'scrypt';
+    this.cost = 32768; // N: CPU/memory cost (32 MB with r = 8)
+    this.blockSize = 8; // r
+    this.parallelization = 1; // p
+    this.keyLength = 64;
+    this.saltLength = 16;
+    this.breachedPasswords = null;
+  }
+
+  /**
+   * Derive a key with explicit scrypt parameters
+   * @returns {Promise<Buffer>} Derived key
+   */
+  async deriveKey(password, salt, N, r, p, keyLength) {
+    return scrypt(password, salt, keyLength, {
+      N,
+      r,
+      p,
+      maxmem: 256 * N * r,
+    });
+  }
+
+  /**
+   * Hash a password
+   * Format: scrypt$N$r$p$<salt base64>$<key base64>
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} Encoded password hash
+   */
+  async hash(password) {
+    const salt = crypto.randomBytes(this.saltLength);
+    const key = await this.deriveKey(
+      password,
+      salt,
+      this.cost,
+      this.blockSize,
+      this.parallelization,
+      this.keyLength
+    );
+
+    return [
+      this.algorithm,
+      this.cost,
+      this.blockSize,
+      this.parallelization,
+      salt.toString('base64'),
+      key.toString('base64'),
+    ].join('$');
+  }
+
+  /**
+   * Verify a password against an encoded hash
+   * @param {string} password - Plain text password
+   * @param {string} encodedHash - Hash produced by hash()
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verify(password, encodedHash) {
+    try {
+      const [algorithm, N, r, p, salt, key] = String(encodedHash).split('$');
+      if (algorithm !== this.algorithm || !salt || !key) {
+        return false;
+      }
+
+      const expected = Buffer.from(key, 'base64');
+      const actual = await this.deriveKey(
+        password,
+        Buffer.from(salt, 'base64'),
+        parseInt(N),
+        parseInt(r),
+        parseInt(p),
+        expected.length
+      );
+
+      return crypto.timingSafeEqual(expected, actual);
+    } catch (error) {
+      logger.error('Failed to verify password hash:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Burn the same time as a real verification when no hash exists
+   * Keeps login timing from revealing whether an account exists
+   * @param {string} password - Plain text password
+   */
+  async verifyDummy(password) {
+    await this.deriveKey(
+      password,
+      Buffer.alloc(this.saltLength),
+      this.cost,
+      this.blockSize,
+      this.parallelization,
+      this.keyLength
+    );
+    return false;
+  }
+
+  /**
+   * Load the breached-password list configured in config.security.password
+   * @returns {Promise<Set<string>>} Set of breached passwords
+   */
+  async loadBreachedPasswords() {
+    if (this.breachedPasswords) {
+      return this.breachedPasswords;
+    }
+
+    const { breachedListFile } = config.security.password;
+    this.breachedPasswords = new Set();
+
+    if (breachedListFile) {
+      try {
+        const contents = await fs.promises.readFile(breachedListFile, 'utf8');
+        contents
+          .split(/\r?\n/)
+          .map(line => line.trim())
+          .filter(Boolean)
+          .forEach(line => this.breachedPasswords.add(line));
+
+        logger.info('Breached password list loaded', {
+          file: breachedListFile,
+          entries: this.breachedPasswords.size,
+        });
+      } catch (error) {
+        logger.error('Failed to load breached password list:', error);
+      }
+    }
+
+    return this.breachedPasswords;
+  }
+
+  /**
+   * Validate a password against the policy
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} Validation result
+   */
+  async validatePolicy(password) {
+    const { minLength, maxLength } = config.security.password;
+    const errors = [];
+
+    if (!password || typeof password !== 'string') {
+      errors.push('Password is required and must be a string');
+    } else {
+      if (password.length < minLength) {
+        errors.push(`Password must be at least ${minLength} characters`);
+      }
+      if (password.length > maxLength) {
+        errors.push(`Password must be at most ${maxLength} characters`);
+      }
+
+      const breached = await this.loadBreachedPasswords();
+      if (breached.has(password)) {
+        errors.push('Password appears in a list of breached passwords');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+module.exports = new PasswordService();
@@ -1,5 +1,6 @@
 const protobuf = require('protobufjs');
 const path = require('path');
+const cryptoService = require('./crypto');
 const logger = require('./logger');
 
 /**
@@ -104,6 +105,10 @@ class ProtobufService {
         ),
         emailHash: user.email_hash || user.emailHash || '',
         signature: user.signature || '',
+        signatureKeyId: user.signature_key_id || user.signatureKeyId || '',
+        signatureVersion: user.signature_version || user.signatureVersion || 1,
+        signatureAlgorithm:
+          user.signature_algorithm || user.signatureAlgorithm || 'RSA-SHA256',
       };
 
       // Verify message before encoding
@@ -119,7 +124,6 @@ class ProtobufService {
       logger.info('User serialized successfully', {
         userId: user.id,
         bufferSize: buffer.length,
-        email: user.email,
       });
 
       return buffer;
@@ -132,9 +136,10 @@ class ProtobufService {
   /**
    * Serialize multiple users to Protocol Buffer format
    * @param {Array} users - Array of user objects
+   * @param {Date} exportedAt - Export timestamp written into the collection
    * @returns {Buffer} Serialized user collection
    */
-  async serializeUserCollection(users) {
+  async serializeUserCollection(users, exportedAt = new Date()) {
     try {
       await this.ensureInitialized();
 
@@ -159,6 +164,10 @@ class ProtobufService {
         ),
         emailHash: user.email_hash || user.emailHash || '',
         signature: user.signature || '',
+        signatureKeyId: user.signature_key_id || user.signatureKeyId || '',
+        signatureVersion: user.signature_version || user.signatureVersion || 1,
+        signatureAlgorithm:
+          user.signature_algorithm || user.signatureAlgorithm || 'RSA-SHA256',
       }));
 
       // Debug: log mapping outcome for hashes
@@ -174,12 +183,32 @@ class ProtobufService {
         });
       } catch {}
 
+      // Report the algorithms the exported signatures and email hashes were
+      // really made with
+      const algorithms = [
+        ...new Set(usersMapped.map(user => user.signatureAlgorithm)),
+      ].sort();
+      const hashAlgorithms = [
+        ...new Set(
+          usersMapped
+            .filter(user => user.emailHash)
+            .map(user => cryptoService.getEmailHashAlgorithm(user.emailHash))
+        ),
+      ].sort();
+
+      // Like the users above, collection fields are camelCase on create
       const userCollectionMessage = {
         users: usersMapped,
-        total_count: users.length,
-        exported_at: new Date().toISOString(),
-        algorithm: 'RSA-2048',
-        hash_algorithm: 'SHA-384',
+        totalCount: users.length,
+        exportedAt: exportedAt.toISOString(),
+        algorithm:
+          algorithms.length > 0
+            ? algorithms.join(',')
+            : cryptoService.getActiveAlgorithm(),
+        hashAlgorithm:
+          hashAlgorithms.length > 0
+            ? hashAlgorithms.join(',')
+            : cryptoService.getStats().emailHashAlgorithm,
       };
 
       // Verify message before encoding
@@ -197,7 +226,7 @@ class ProtobufService {
       logger.info('User collection serialized successfully', {
         userCount: users.length,
         bufferSize: buffer.length,
-        exportedAt: userCollectionMessage.exported_at,
+        exportedAt: userCollectionMessage.exportedAt,
       });
 
       return buffer;
@@ -235,7 +264,6 @@ class ProtobufService {
 
       logger.info('User deserialized successfully', {
         userId: user.id,
-        email: user.email,
         bufferSize: buffer.length,
       });
 
@@ -274,8 +302,8 @@ class ProtobufService {
 
       logger.info('User collection deserialized successfully', {
         userCount: userCollection.users.length,
-        totalCount: userCollection.total_count,
-        exportedAt: userCollection.exported_at,
+        totalCount: userCollection.totalCount,
+        exportedAt: userCollection.exportedAt,
         bufferSize: buffer.length,
       });
 
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+/**
+ * Supported signature algorithms, by the name stored with each signature
+ * Every key is generated for one algorithm and only ever used with it.
+ */
+const SIGNATURE_ALGORITHMS = {
+  // RSASSA-PKCS1-v1_5 with SHA-256, the original scheme
+  'RSA-SHA256': {
+    keyType: 'rsa',
+    keyOptions: { modulusLength: 2048 },
+    digest: 'sha256',
+    signOptions: {},
+    jwa: 'RS256',
+    keyDescription: 'RSA-2048',
+  },
+  'RSA-PSS-SHA384': {
+    keyType: 'rsa',
+    keyOptions: { modulusLength: 3072 },
+    digest: 'sha384',
+    signOptions: {
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+    },
+    jwa: 'PS384',
+    keyDescription: 'RSA-3072',
+  },
+  'ECDSA-P384-SHA384': {
+    keyType: 'ec',
+    keyOptions: { namedCurve: 'P-384' },
+    digest: 'sha384',
+    // Fixed-size r||s, as used by JWS
+    signOptions: { dsaEncoding: 'ieee-p1363' },
+    jwa: 'ES384',
+    keyDescription: 'ECDSA P-384',
+  },
+  Ed25519: {
+    keyType: 'ed25519',
+    keyOptions: {},
+    digest: null, // Ed25519 hashes internally
+    signOptions: {},
+    jwa: 'EdDSA',
+    keyDescription: 'Ed25519',
+  },
+};
+
+// Algorithm of keys created before algorithms were configurable
+const LEGACY_SIGNATURE_ALGORITHM = 'RSA-SHA256';
+
+/**
+ * Look up an algorithm, failing for names that are not supported
+ * @param {string} algorithm - Algorithm name
+ * @returns {Object} Algorithm spec
+ */
+const getSignatureAlgorithm = algorithm => {
+  const spec = SIGNATURE_ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new Error(
+      `Unsupported signature algorithm: ${algorithm}. Supported: ${Object.keys(SIGNATURE_ALGORITHMS).join(', ')}`
+    );
+  }
+  return spec;
+};
+
+module.exports = {
+  SIGNATURE_ALGORITHMS,
+  LEGACY_SIGNATURE_ALGORITHM,
+  getSignatureAlgorithm,
+};
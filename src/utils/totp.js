@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { URLSearchParams } = require('url');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps
+ *
+ * - HMAC-SHA1, 6 digits, 30 second steps: the defaults every app supports
+ * - Secrets are 160 random bits, shared with the app as base32
+ * - A code is accepted one step either side of now to allow for clock
+ *   drift; callers store the matched step to refuse replays
+ */
+class TotpService {
+  constructor() {
+    this.digits = 6;
+    this.stepSeconds = 30;
+    this.window = 1;
+    this.secretLength = 20;
+  }
+
+  /**
+   * Encode bytes as unpadded base32 (RFC 4648)
+   * @param {Buffer} buffer - Bytes
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode base32, ignoring case, spaces and padding
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Bytes
+   */
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new shared secret
+   * @returns {string} Base32 secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(this.secretLength));
+  }
+
+  /**
+   * Time step of a moment
+   * @param {number} timeMs - Milliseconds since the epoch
+   * @returns {number} Step counter
+   */
+  stepAt(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / this.stepSeconds);
+  }
+
+  /**
+   * Compute the code for a time step (HOTP, RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Step counter
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step = this.stepAt()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+      .createHmac('sha1', this.base32Decode(secret))
+      .update(counter)
+      .digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Check a code against the steps around now
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} timeMs - Time to check at
+   * @returns {number|null} Matched step, or null if the code is wrong
+   */
+  verify(secret, code, timeMs = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== this.digits) {
+      return null;
+    }
+
+    const now = this.stepAt(timeMs);
+    for (let step = now - this.window; step <= now + this.window; step++) {
+      const expected = this.generateCode(secret, step);
+      if (
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))
+      ) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI authenticator apps read from a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Shown in the app, e.g. the user's email
+   * @param {string} issuer - Service name shown in the app
+   * @returns {string} Provisioning URI
+   */
+  provisioningUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.stepSeconds),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = new TotpService();
@@ -0,0 +1,15 @@
+// Canonical UUIDs, versions 1-5
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that an ID is a UUID before it reaches a UUID column
+ * Postgres rejects malformed UUIDs with an error rather than no rows
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a UUID
+ */
+const isValidUuid = value => UUID_REGEX.test(value);
+
+module.exports = {
+  isValidUuid,
+};
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const app = require('../src/app');
+const ApiKey = require('../src/models/ApiKey');
+const apiKeyService = require('../src/services/apiKeyService');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue([]),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findAll: jest.fn().mockResolvedValue([]),
+  count: jest.fn().mockResolvedValue(0),
+}));
+
+jest.mock('../src/models/ApiKey', () => ({
+  findByKeyHash: jest.fn(),
+  recordRequest: jest.fn().mockResolvedValue(undefined),
+}));
+
+const statsKey = {
+  id: '33333333-3333-4333-8333-333333333333',
+  name: 'reporting',
+  scopes: ['users:stats'],
+  expires_at: null,
+  revoked_at: null,
+};
+
+describe('API keys', () => {
+  beforeEach(() => {
+    ApiKey.findByKeyHash.mockReset();
+    ApiKey.recordRequest.mockClear();
+  });
+
+  it('should map scopes to permissions', () => {
+    expect(apiKeyService.hasPermission(['users:export'], 'export')).toBe(true);
+    expect(apiKeyService.hasPermission(['users:read'], 'delete')).toBe(false);
+  });
+
+  it('should reject an unknown API key', async () => {
+    ApiKey.findByKeyHash.mockResolvedValue(null);
+    const res = await request(app)
+      .get('/api/users/stats')
+      .set('X-API-Key', 'mk_unknown_key');
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid API key');
+  });
+
+  it('should reject an expired API key', async () => {
+    ApiKey.findByKeyHash.mockResolvedValue({
+      ...statsKey,
+      expires_at: new Date(Date.now() - 1000),
+    });
+    const res = await request(app)
+      .get('/api/users/stats')
+      .set('X-API-Key', 'mk_abc_secret');
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should allow scoped routes and record the key used', async () => {
+    ApiKey.findByKeyHash.mockResolvedValue(statsKey);
+    const res = await request(app)
+      .get('/api/users/stats')
+      .set('X-API-Key', 'mk_abc_secret');
+    expect(res.statusCode).toBe(200);
+    expect(ApiKey.recordRequest).toHaveBeenCalledWith(
+      expect.objectContaining({
+        apiKeyId: statsKey.id,
+        method: 'GET',
+        path: '/api/users/stats',
+      })
+    );
+  });
+
+  it('should deny routes outside the key scopes', async () => {
+    ApiKey.findByKeyHash.mockResolvedValue(statsKey);
+    const res = await request(app)
+      .get('/api/users/export')
+      .set('X-API-Key', 'mk_abc_secret');
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermission).toBe('export');
+  });
+
+  it('should not let API keys manage API keys', async () => {
+    ApiKey.findByKeyHash.mockResolvedValue(statsKey);
+    const res = await request(app)
+      .get('/api/api-keys')
+      .set('X-API-Key', 'mk_abc_secret');
+    expect(res.statusCode).toBe(401);
+  });
+});
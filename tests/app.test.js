@@ -23,3 +23,17 @@ describe('App health routes', () => {
     expect(res.statusCode).toBe(200);
   });
 });
+
+describe('JWKS', () => {
+  it('should serve a cacheable key set', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toMatch(/^public, max-age=\d+$/);
+    expect(res.body.keys.length).toBeGreaterThan(0);
+
+    const cached = await request(app)
+      .get('/.well-known/jwks.json')
+      .set('If-None-Match', res.headers.etag);
+    expect(cached.statusCode).toBe(304);
+  });
+});
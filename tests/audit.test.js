@@ -0,0 +1,287 @@
+const request = require('supertest');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const auditService = require('../src/services/auditService');
+const userService = require('../src/services/userService');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const fieldEncryption = require('../src/utils/fieldEncryption');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [{ revoked: 0 }], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findById: jest.fn(),
+  findByEmail: jest.fn().mockResolvedValue(null),
+  update: jest.fn(),
+}));
+
+jest.mock('../src/models/AuditEvent', () => ({
+  create: jest.fn().mockResolvedValue({ id: 1 }),
+  findAll: jest.fn().mockResolvedValue([]),
+  count: jest.fn().mockResolvedValue(0),
+  findChainBatch: jest.fn(),
+  findRedactions: jest.fn().mockResolvedValue([]),
+  redactEmails: jest.fn(),
+}));
+
+const userId = '22222222-2222-4222-8222-222222222222';
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: '11111111-1111-4111-8111-111111111111',
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Audit trail', () => {
+  beforeEach(() => {
+    AuditEvent.create.mockClear();
+  });
+
+  it('should diff only changed audited fields', () => {
+    const changes = auditService.diff(
+      { email: 'a@example.com', role: 'user', status: 'active' },
+      { email: 'a@example.com', role: 'admin', status: 'active' }
+    );
+    expect(changes).toEqual({ role: { before: 'user', after: 'admin' } });
+  });
+
+  it('should store email changes as their blind index', () => {
+    jest
+      .spyOn(fieldEncryption, 'emailIndex')
+      .mockImplementation(email => `index:${email}`);
+
+    const changes = auditService.diff(null, { email: 'a@example.com' });
+    expect(changes).toEqual({
+      email_index: { before: null, after: 'index:a@example.com' },
+    });
+    expect(JSON.stringify(changes)).not.toContain('"a@example.com"');
+
+    fieldEncryption.emailIndex.mockRestore();
+  });
+
+  it('should replace plaintext emails in stored events', async () => {
+    jest
+      .spyOn(fieldEncryption, 'emailIndex')
+      .mockImplementation(email => `index:${email}`);
+    AuditEvent.redactEmails.mockResolvedValueOnce(1);
+
+    expect(await auditService.redactStoredEmails()).toBe(1);
+    const [redact, seal] = AuditEvent.redactEmails.mock.calls[0];
+    expect(seal({ id: '1', entry_hash: null }, {})).toBeNull();
+    expect(
+      redact({
+        email: { before: 'a@example.com', after: 'b@example.com' },
+        role: { before: 'user', after: 'admin' },
+      })
+    ).toEqual({
+      email_index: {
+        before: 'index:a@example.com',
+        after: 'index:b@example.com',
+      },
+      role: { before: 'user', after: 'admin' },
+    });
+
+    fieldEncryption.emailIndex.mockRestore();
+  });
+
+  it('should record role changes with actor and client details', async () => {
+    const before = {
+      id: userId,
+      email: 'a@example.com',
+      role: 'user',
+      status: 'active',
+      created_at: new Date('2026-01-01T00:00:00Z'),
+    };
+    User.findById.mockResolvedValue(before);
+    User.update.mockResolvedValue({ ...before, role: 'moderator' });
+
+    const context = {
+      actor: { type: 'user', id: 'admin-id' },
+      ip: '10.0.0.1',
+      userAgent: 'jest',
+    };
+    const result = await userService.updateUser(
+      userId,
+      { role: 'moderator' },
+      context
+    );
+
+    expect(result.success).toBe(true);
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      {
+        actorType: 'user',
+        actorId: 'admin-id',
+        action: 'user.updated',
+        targetUserId: userId,
+        changes: { role: { before: 'user', after: 'moderator' } },
+        ip: '10.0.0.1',
+        userAgent: 'jest',
+      },
+      expect.any(Function)
+    );
+  });
+
+  it('should restrict GET /api/audit to admins', async () => {
+    const res = await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermission).toBe('view-audit');
+  });
+
+  it('should reject invalid audit filters', async () => {
+    const res = await request(app)
+      .get('/api/audit?targetUserId=not-a-uuid')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should pass filters through to the audit query', async () => {
+    const res = await request(app)
+      .get(`/api/audit?targetUserId=${userId}&action=user.updated`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(res.statusCode).toBe(200);
+    expect(AuditEvent.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({ targetUserId: userId, action: 'user.updated' })
+    );
+  });
+
+  describe('hash chain', () => {
+    const buildChain = () => {
+      const chain = [];
+      ['user.created', 'user.updated', 'user.deleted'].forEach((action, i) => {
+        const event = {
+          id: String(i + 1),
+          actor_type: 'user',
+          actor_id: 'admin-id',
+          action,
+          target_user_id: userId,
+          changes: { status: { before: 'active', after: 'inactive' } },
+          ip: '10.0.0.1',
+          user_agent: 'jest',
+          created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, i)),
+        };
+        const prevHash = i > 0 ? chain[i - 1].entry_hash : null;
+        const { entryHash, signature, keyId } = auditService.seal(
+          event,
+          prevHash
+        );
+        chain.push({
+          ...event,
+          prev_hash: prevHash,
+          entry_hash: entryHash,
+          signature,
+          key_id: keyId,
+        });
+      });
+      return chain;
+    };
+
+    const mockChain = chain => {
+      AuditEvent.findChainBatch.mockReset();
+      AuditEvent.findChainBatch
+        .mockResolvedValueOnce(chain)
+        .mockResolvedValueOnce([]);
+    };
+
+    it('should verify an intact chain', async () => {
+      mockChain(buildChain());
+      const result = await auditService.verifyChain();
+      expect(result.data.valid).toBe(true);
+      expect(result.data.checked).toBe(3);
+      expect(result.data.head.id).toBe('3');
+    });
+
+    it('should report an edited event as the first broken link', async () => {
+      const chain = buildChain();
+      chain[1].changes = { role: { before: 'user', after: 'admin' } };
+      mockChain(chain);
+
+      const result = await auditService.verifyChain();
+      expect(result.data.valid).toBe(false);
+      expect(result.data.firstBrokenLink).toEqual(
+        expect.objectContaining({
+          id: '2',
+          reason: 'Event contents do not match its hash',
+        })
+      );
+    });
+
+    const redact = (event, changes) => {
+      const record = auditService.sealRedaction(event, changes);
+      event.changes = changes;
+      return {
+        event_id: event.id,
+        original_entry_hash: record.originalEntryHash,
+        redaction_hash: record.redactionHash,
+        signature: record.signature,
+        key_id: record.keyId,
+        signature_algorithm: record.algorithm,
+      };
+    };
+    const redactedChanges = { email_index: { before: null, after: 'index' } };
+
+    it('should verify redacted events against their signed records', async () => {
+      const chain = buildChain();
+      const redaction = redact(chain[1], redactedChanges);
+      mockChain(chain);
+      AuditEvent.findRedactions.mockResolvedValueOnce([redaction]);
+
+      const result = await auditService.verifyChain();
+      expect(result.data.valid).toBe(true);
+      expect(result.data.redacted).toBe(1);
+    });
+
+    it('should report a redacted event edited after its redaction', async () => {
+      const chain = buildChain();
+      const redaction = redact(chain[1], redactedChanges);
+      chain[1].action = 'user.deleted';
+      mockChain(chain);
+      AuditEvent.findRedactions.mockResolvedValueOnce([redaction]);
+
+      const result = await auditService.verifyChain();
+      expect(result.data.valid).toBe(false);
+      expect(result.data.firstBrokenLink).toEqual(
+        expect.objectContaining({
+          id: '2',
+          reason: 'Event contents do not match its redaction record',
+        })
+      );
+    });
+
+    it('should reject redaction records without a valid signature', async () => {
+      const chain = buildChain();
+      const redaction = redact(chain[1], redactedChanges);
+      redaction.signature = Buffer.from('forged').toString('base64');
+      mockChain(chain);
+      AuditEvent.findRedactions.mockResolvedValueOnce([redaction]);
+
+      expect((await auditService.verifyChain()).data.valid).toBe(false);
+    });
+
+    it('should not sign the redaction of an event that fails its hash', () => {
+      const chain = buildChain();
+      chain[1].action = 'user.deleted';
+
+      expect(auditService.sealRedaction(chain[1], redactedChanges)).toBeNull();
+    });
+
+    it('should detect a deleted event', async () => {
+      const chain = buildChain();
+      mockChain([chain[0], chain[2]]);
+
+      const result = await auditService.verifyChain();
+      expect(result.data.valid).toBe(false);
+      expect(result.data.firstBrokenLink.id).toBe('3');
+    });
+  });
+});
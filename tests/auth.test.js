@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const auditService = require('../src/services/auditService');
+const databaseService = require('../src/services/database');
+const User = require('../src/models/User');
+const PasswordResetToken = require('../src/models/PasswordResetToken');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue([]),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findById: jest.fn(),
+  findAll: jest.fn().mockResolvedValue([]),
+  count: jest.fn().mockResolvedValue(0),
+}));
+
+describe('Authentication', () => {
+  const adminToken = authService.signAccessToken({
+    id: '11111111-1111-4111-8111-111111111111',
+    email: 'admin@example.com',
+    role: 'admin',
+  });
+
+  it('should reject /api/users without a token', async () => {
+    const res = await request(app).get('/api/users');
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Authentication required');
+  });
+
+  it('should reject /api/users with a tampered token', async () => {
+    const res = await request(app)
+      .get('/api/users/stats')
+      .set('Authorization', `Bearer ${adminToken}x`);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  it('should refuse the sample JWT secret in production', () => {
+    const loadConfig = env => {
+      const savedEnv = process.env;
+      process.env = { ...savedEnv, NODE_ENV: 'production', ...env };
+      try {
+        jest.isolateModules(() => require('../src/config'));
+      } finally {
+        process.env = savedEnv;
+      }
+    };
+
+    expect(() => loadConfig({ JWT_SECRET: '' })).toThrow(
+      'Refusing to start in production without JWT_SECRET'
+    );
+    expect(() =>
+      loadConfig({ JWT_SECRET: 'your-super-secret-jwt-key-here' })
+    ).toThrow('Refusing to start in production without JWT_SECRET');
+    expect(() => loadConfig({ JWT_SECRET: 'a'.repeat(64) })).not.toThrow();
+  });
+
+  it('should allow /api/users with a valid access token', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('should reject tokens of inactive users and tokens issued before a role change', async () => {
+    const listUsers = () =>
+      request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+    User.findTokenState.mockResolvedValueOnce({ status: 'inactive' });
+    const inactive = await listUsers();
+    expect(inactive.statusCode).toBe(401);
+    expect(inactive.body.error).toBe('Invalid token');
+
+    User.findTokenState.mockResolvedValueOnce(null);
+    expect((await listUsers()).statusCode).toBe(401);
+
+    User.findTokenState.mockResolvedValueOnce({
+      status: 'active',
+      tokens_valid_after: new Date(Date.now() + 60 * 1000),
+    });
+    expect((await listUsers()).statusCode).toBe(401);
+
+    User.findTokenState.mockResolvedValueOnce({
+      status: 'active',
+      tokens_valid_after: new Date(Date.now() - 60 * 1000),
+    });
+    expect((await listUsers()).statusCode).toBe(200);
+  });
+
+  it('should keep /health public', async () => {
+    const res = await request(app).get('/health');
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('should reject login without a password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  describe('password endpoints', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const failWith = (method, error) =>
+      jest
+        .spyOn(authService, method)
+        .mockResolvedValue({ success: false, error, message: error });
+
+    it('should answer 400 only for policy violations when changing a password', async () => {
+      const change = () =>
+        request(app)
+          .post('/api/auth/password/change')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ currentPassword: 'old', newPassword: 'new' });
+
+      failWith('changePassword', 'Validation failed: too short');
+      expect((await change()).statusCode).toBe(400);
+
+      failWith('changePassword', 'Invalid credentials');
+      expect((await change()).statusCode).toBe(401);
+
+      failWith('changePassword', 'Connection terminated unexpectedly');
+      expect((await change()).statusCode).toBe(500);
+    });
+
+    it('should audit issuing a password reset token', async () => {
+      const userId = '22222222-2222-4222-8222-222222222222';
+      User.findById.mockResolvedValueOnce({ id: userId, status: 'active' });
+      jest.spyOn(PasswordResetToken, 'create').mockResolvedValue({});
+      jest.spyOn(auditService, 'record').mockResolvedValue({});
+
+      const res = await request(app)
+        .post(`/api/users/${userId}/password-reset`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(201);
+      expect(auditService.record).toHaveBeenCalledWith(
+        'user.password_reset_issued',
+        {
+          targetUserId: userId,
+          changes: {
+            password_reset_expires_at: {
+              before: null,
+              after: new Date(res.body.data.expiresAt).toISOString(),
+            },
+          },
+        },
+        expect.objectContaining({
+          actor: { type: 'user', id: '11111111-1111-4111-8111-111111111111' },
+        })
+      );
+    });
+
+    it('should void access tokens issued before a password is set', async () => {
+      const { query } = databaseService.getDatabase();
+      query.mockResolvedValueOnce({ rowCount: 1 });
+
+      const { setPasswordHash } = jest.requireActual('../src/models/User');
+      await setPasswordHash('22222222-2222-4222-8222-222222222222', 'hash');
+
+      expect(query.mock.calls[query.mock.calls.length - 1][0]).toContain(
+        'tokens_valid_after = NOW()'
+      );
+    });
+
+    it('should answer 500 for unexpected failures when resetting a password', async () => {
+      const reset = () =>
+        request(app)
+          .post('/api/auth/password/reset')
+          .send({ resetToken: 'token', newPassword: 'new' });
+
+      failWith('resetPassword', 'Invalid reset token');
+      expect((await reset()).statusCode).toBe(400);
+
+      failWith('resetPassword', 'Validation failed: too short');
+      expect((await reset()).statusCode).toBe(400);
+
+      failWith('resetPassword', 'Connection terminated unexpectedly');
+      expect((await reset()).statusCode).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,621 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// In-memory signing_keys table shared by every loaded CryptoService
+const mockSigningKeys = [];
+
+jest.mock('../src/models/SigningKey', () => {
+  const toRow = key => ({
+    key_id: key.keyId,
+    algorithm: key.algorithm,
+    status: key.status,
+    public_key: key.publicKey,
+    private_key: key.privateKey || null,
+    is_legacy: Boolean(key.legacy),
+    created_at: new Date(),
+    rotated_at: null,
+    retired_at: null,
+  });
+  const rows = () => mockSigningKeys.map(row => ({ ...row }));
+
+  return {
+    findAll: jest.fn(async () => rows()),
+    initialize: jest.fn(async seed => {
+      if (mockSigningKeys.length === 0) {
+        mockSigningKeys.push(...seed().map(toRow));
+      }
+      return rows();
+    }),
+    rotate: jest.fn(async key => {
+      mockSigningKeys
+        .filter(row => row.status === 'active')
+        .forEach(row => {
+          Object.assign(row, { status: 'verify-only', private_key: null });
+        });
+      mockSigningKeys.push(toRow({ ...key, status: 'active' }));
+      return rows();
+    }),
+    retire: jest.fn(),
+  };
+});
+
+// Load a fresh CryptoService bound to its own keys directory
+const loadCryptoService = (keysDir, env = {}) => {
+  let cryptoService;
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, KEYS_DIR: keysDir, ...env };
+  jest.isolateModules(() => {
+    cryptoService = require('../src/utils/crypto');
+  });
+  process.env = savedEnv;
+  return cryptoService;
+};
+
+describe('Crypto key rotation', () => {
+  let keysDir;
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  it('should keep verifying old signatures after rotation', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const { emailHash, signature, keyId } =
+      cryptoService.processUserEmail('a@example.com');
+
+    const rotation = await cryptoService.rotateKeys();
+    expect(rotation.previousKeyId).toBe(keyId);
+    expect(cryptoService.getActiveKeyId()).not.toBe(keyId);
+    expect(cryptoService.verifySignature(emailHash, signature, keyId)).toBe(
+      true
+    );
+
+    // The old private key is gone from disk
+    expect(fs.existsSync(path.join(keysDir, `${keyId}.private.pem`))).toBe(
+      false
+    );
+  });
+
+  it('should pick the verification key by ID', () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const emailHash = cryptoService.hashEmail('a@example.com');
+    const signature = cryptoService.signHash(emailHash);
+
+    expect(
+      cryptoService.verifySignature(emailHash, signature, 'unknown-key')
+    ).toBe(false);
+  });
+
+  it('should stop verifying signatures from retired keys', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const { emailHash, signature, keyId } =
+      cryptoService.processUserEmail('a@example.com');
+
+    await expect(cryptoService.retireKey(keyId)).rejects.toThrow(
+      'Cannot retire the active signing key'
+    );
+
+    await cryptoService.rotateKeys();
+    await cryptoService.retireKey(keyId);
+    expect(cryptoService.verifySignature(emailHash, signature, keyId)).toBe(
+      false
+    );
+    expect(cryptoService.getVerificationKey(keyId)).toBeNull();
+
+    const reloaded = loadCryptoService(keysDir);
+    expect(reloaded.listKeys().find(key => key.keyId === keyId).status).toBe(
+      'retired'
+    );
+  });
+
+  it('should keep retired keys for audit events and export manifests', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const keyId = cryptoService.getActiveKeyId();
+    const signature = cryptoService.signHash('entry-hash');
+    await cryptoService.rotateKeys();
+    await cryptoService.retireKey(keyId);
+
+    const reloaded = loadCryptoService(keysDir);
+    expect(reloaded.verifySignature('entry-hash', signature, keyId)).toBe(
+      false
+    );
+    expect(
+      reloaded.verifySignature('entry-hash', signature, keyId, null, {
+        allowRetired: true,
+      })
+    ).toBe(true);
+  });
+
+  it('should reload the keyring for unknown key IDs without private keys', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const other = loadCryptoService(keysDir);
+    const activeKeyId = cryptoService.getActiveKeyId();
+    const parseKeyring = jest.spyOn(cryptoService, 'parseKeyring');
+    const loadKey = jest.spyOn(cryptoService.keyProvider, 'loadKey');
+
+    cryptoService.verifySignature('hash', 'ab', '../../etc/passwd');
+    expect(parseKeyring).not.toHaveBeenCalled();
+
+    await other.rotateKeys();
+    const signed = other.processUserEmail('a@example.com');
+    expect(
+      cryptoService.verifySignature(
+        signed.emailHash,
+        signed.signature,
+        signed.keyId
+      )
+    ).toBe(true);
+    expect(cryptoService.getActiveKeyId()).toBe(activeKeyId);
+    expect(loadKey).not.toHaveBeenCalled();
+
+    // Further unknown IDs wait for the reload interval
+    cryptoService.verifySignature('hash', 'ab', '0123456789abcdef');
+    expect(parseKeyring).toHaveBeenCalledTimes(1);
+  });
+
+  it('should publish every non-retired key in the JWKS', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const firstKeyId = cryptoService.getActiveKeyId();
+    await cryptoService.rotateKeys();
+    const secondKeyId = cryptoService.getActiveKeyId();
+    await cryptoService.rotateKeys();
+    await cryptoService.retireKey(firstKeyId);
+
+    const { keys } = cryptoService.getJwks();
+    expect(keys.map(key => key.kid)).toEqual([
+      secondKeyId,
+      cryptoService.getActiveKeyId(),
+    ]);
+    expect(keys[0]).toEqual(
+      expect.objectContaining({ kty: 'RSA', alg: 'RS256', use: 'sig' })
+    );
+  });
+
+  it('should sign the full user record', () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const user = {
+      id: '22222222-2222-4222-8222-222222222222',
+      email: 'a@example.com',
+      role: 'user',
+      status: 'active',
+      created_at: new Date('2026-01-01T00:00:00Z'),
+    };
+    const cryptoData = cryptoService.processUserRecord(user);
+    const stored = {
+      ...user,
+      email_hash: cryptoData.emailHash,
+      signature: cryptoData.signature,
+      signature_key_id: cryptoData.keyId,
+      signature_version: cryptoData.signatureVersion,
+    };
+
+    expect(cryptoData.signatureVersion).toBe(2);
+    expect(cryptoService.verifyUserRecord(stored)).toBe(true);
+    expect(cryptoService.verifyUserRecord({ ...stored, role: 'admin' })).toBe(
+      false
+    );
+  });
+
+  it('should keep verifying version 1 (email hash) signatures', () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const { emailHash, signature, keyId } =
+      cryptoService.processUserEmail('a@example.com');
+
+    expect(
+      cryptoService.verifyUserRecord({
+        email: 'a@example.com',
+        role: 'admin',
+        email_hash: emailHash,
+        signature,
+        signature_key_id: keyId,
+      })
+    ).toBe(true);
+  });
+
+  it('should sign and verify with every supported algorithm', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    const { emailHash, signature, keyId, algorithm } =
+      cryptoService.processUserEmail('a@example.com');
+    expect(algorithm).toBe('RSA-SHA256');
+
+    const jwa = {
+      'RSA-PSS-SHA384': 'PS384',
+      'ECDSA-P384-SHA384': 'ES384',
+      Ed25519: 'EdDSA',
+    };
+    for (const name of Object.keys(jwa)) {
+      await cryptoService.rotateKeys(name);
+      const signed = cryptoService.processUserEmail('b@example.com');
+
+      expect(signed.algorithm).toBe(name);
+      expect(
+        cryptoService.verifySignature(
+          signed.emailHash,
+          signed.signature,
+          signed.keyId,
+          name
+        )
+      ).toBe(true);
+      expect(
+        cryptoService.getJwks().keys.find(key => key.kid === signed.keyId).alg
+      ).toBe(jwa[name]);
+    }
+
+    // Signatures from the original RSA key still verify
+    expect(
+      cryptoService.verifySignature(emailHash, signature, keyId, algorithm)
+    ).toBe(true);
+    expect(cryptoService.getStats().algorithm).toBe('Ed25519');
+  });
+
+  it('should reject a signature whose algorithm does not match its key', async () => {
+    const cryptoService = loadCryptoService(keysDir);
+    await cryptoService.rotateKeys('Ed25519');
+    const { emailHash, signature, keyId } =
+      cryptoService.processUserEmail('a@example.com');
+
+    expect(
+      cryptoService.verifySignature(emailHash, signature, keyId, 'RSA-SHA256')
+    ).toBe(false);
+    await expect(cryptoService.rotateKeys('DSA')).rejects.toThrow(
+      'Unsupported signature algorithm'
+    );
+  });
+
+  it('should adopt a legacy keypair for signatures without a key ID', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    fs.writeFileSync(path.join(keysDir, 'private.pem'), privateKey);
+    fs.writeFileSync(path.join(keysDir, 'public.pem'), publicKey);
+
+    const emailHash = 'legacy-hash';
+    const signature = crypto
+      .createSign('RSA-SHA256')
+      .update(emailHash)
+      .sign(privateKey, 'hex');
+
+    const cryptoService = loadCryptoService(keysDir);
+    expect(cryptoService.verifySignature(emailHash, signature)).toBe(true);
+    expect(fs.existsSync(path.join(keysDir, 'keyring.json'))).toBe(true);
+  });
+});
+
+describe('Email hashing', () => {
+  const secret = 'email-hash-secret-for-tests-0123456789';
+  let keysDir;
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  it('should key version 2 hashes with the secret', async () => {
+    const plain = loadCryptoService(keysDir);
+    const keyed = loadCryptoService(keysDir, {
+      EMAIL_HASH_VERSION: '2',
+      EMAIL_HASH_SECRET: secret,
+    });
+    const other = loadCryptoService(keysDir, {
+      EMAIL_HASH_VERSION: '2',
+      EMAIL_HASH_SECRET: `${secret}-other`,
+    });
+    await Promise.all([plain.ready, keyed.ready, other.ready]);
+
+    const legacyHash = plain.hashEmail('A@Example.com ');
+    const keyedHash = keyed.hashEmail('A@Example.com ');
+
+    expect(legacyHash).toBe(
+      crypto.createHash('sha384').update('a@example.com').digest('hex')
+    );
+    expect(keyedHash).toMatch(/^v2:[0-9a-f]{96}$/);
+    expect(keyedHash).not.toContain(legacyHash);
+    expect(other.hashEmail('a@example.com')).not.toBe(keyedHash);
+    expect(keyed.processUserEmail('a@example.com').emailHash).toBe(keyedHash);
+  });
+
+  it('should verify both versions while rows are being rehashed', async () => {
+    const cryptoService = loadCryptoService(keysDir, {
+      EMAIL_HASH_VERSION: '2',
+      EMAIL_HASH_SECRET: secret,
+    });
+    await cryptoService.ready;
+
+    const legacyHash = cryptoService.hashEmail('a@example.com', 1);
+    const keyedHash = cryptoService.hashEmail('a@example.com');
+
+    expect(cryptoService.verifyEmailHash('a@example.com', legacyHash)).toBe(
+      true
+    );
+    expect(cryptoService.verifyEmailHash('a@example.com', keyedHash)).toBe(
+      true
+    );
+    expect(cryptoService.verifyEmailHash('b@example.com', keyedHash)).toBe(
+      false
+    );
+    expect(cryptoService.isEmailHashOutdated(legacyHash)).toBe(true);
+    expect(cryptoService.isEmailHashOutdated(keyedHash)).toBe(false);
+    expect(cryptoService.getEmailHashAlgorithm(keyedHash)).toBe('HMAC-SHA-384');
+  });
+
+  it('should require a strong secret for version 2', async () => {
+    const missing = loadCryptoService(keysDir, { EMAIL_HASH_VERSION: '2' });
+    await expect(missing.ready).rejects.toThrow(
+      'EMAIL_HASH_SECRET or EMAIL_HASH_SECRET_FILE is required'
+    );
+
+    const short = loadCryptoService(keysDir, {
+      EMAIL_HASH_VERSION: '2',
+      EMAIL_HASH_SECRET: 'too-short',
+    });
+    await expect(short.ready).rejects.toThrow(
+      'EMAIL_HASH_SECRET must be at least 32 characters'
+    );
+  });
+});
+
+describe('Key providers', () => {
+  let keysDir;
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  const privateKeyFile = keyId => path.join(keysDir, `${keyId}.private.pem`);
+
+  it('should encrypt file keys with the passphrase', async () => {
+    const env = { KEY_PASSPHRASE: 'correct horse battery staple' };
+    const cryptoService = loadCryptoService(keysDir, env);
+    await cryptoService.ready;
+    const keyId = cryptoService.getActiveKeyId();
+
+    expect(fs.readFileSync(privateKeyFile(keyId), 'utf8')).toContain(
+      'BEGIN ENCRYPTED PRIVATE KEY'
+    );
+
+    const reloaded = loadCryptoService(keysDir, env);
+    await reloaded.ready;
+    const { emailHash, signature } = reloaded.processUserEmail('a@x.io');
+    expect(cryptoService.verifySignature(emailHash, signature, keyId)).toBe(
+      true
+    );
+
+    await expect(loadCryptoService(keysDir).ready).rejects.toThrow(
+      `Private key ${keyId} is encrypted`
+    );
+  });
+
+  it('should encrypt existing plain key files once a passphrase is set', async () => {
+    const plain = loadCryptoService(keysDir);
+    await plain.ready;
+    const keyId = plain.getActiveKeyId();
+
+    const encrypted = loadCryptoService(keysDir, { KEY_PASSPHRASE: 'secret' });
+    await encrypted.ready;
+    expect(fs.readFileSync(privateKeyFile(keyId), 'utf8')).toContain(
+      'BEGIN ENCRYPTED PRIVATE KEY'
+    );
+    expect(encrypted.getStats().privateKeyEncrypted).toBe(true);
+  });
+
+  it('should refuse unencrypted file keys in production', async () => {
+    const production = {
+      NODE_ENV: 'production',
+      JWT_SECRET: 'a'.repeat(64),
+    };
+    await expect(loadCryptoService(keysDir, production).ready).rejects.toThrow(
+      'Refusing to use unencrypted private key file'
+    );
+
+    await loadCryptoService(keysDir).ready;
+    await expect(loadCryptoService(keysDir, production).ready).rejects.toThrow(
+      'Refusing to use unencrypted private key file'
+    );
+  });
+
+  it('should adopt injected keys and rotate when a new one is injected', async () => {
+    const injectKey = () =>
+      crypto.generateKeyPairSync('ed25519', {
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+      }).privateKey;
+    const envFor = privateKey => ({
+      KEY_PROVIDER: 'env',
+      SIGNATURE_ALGORITHM: 'Ed25519',
+      SIGNING_PRIVATE_KEY: privateKey.replace(/\n/g, '\\n'),
+    });
+
+    const first = loadCryptoService(keysDir, envFor(injectKey()));
+    await first.ready;
+    const signed = first.processUserEmail('a@x.io');
+    expect(signed.algorithm).toBe('Ed25519');
+    expect(fs.readdirSync(keysDir).some(file => file.includes('private'))).toBe(
+      false
+    );
+    await expect(first.rotateKeys()).rejects.toThrow('cannot generate keys');
+
+    const second = loadCryptoService(keysDir, envFor(injectKey()));
+    await second.ready;
+    expect(second.getActiveKeyId()).not.toBe(signed.keyId);
+    expect(
+      second.verifySignature(signed.emailHash, signed.signature, signed.keyId)
+    ).toBe(true);
+  });
+
+  it('should reject an injected key that does not fit the algorithm', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519', {
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+
+    await expect(
+      loadCryptoService(keysDir, {
+        KEY_PROVIDER: 'env',
+        SIGNING_PRIVATE_KEY: privateKey,
+      }).ready
+    ).rejects.toThrow('Injected ed25519 key cannot sign with RSA-SHA256');
+  });
+});
+
+describe('Shared signing keys', () => {
+  const env = { KEY_PROVIDER: 'database', KEY_MASTER_SECRET: 'master-secret' };
+  const services = [];
+  let keysDir;
+
+  // Start an instance the way server.js does
+  const startInstance = async (extraEnv = {}) => {
+    const cryptoService = loadCryptoService(keysDir, { ...env, ...extraEnv });
+    services.push(cryptoService);
+    await cryptoService.ready;
+    await cryptoService.initializeSharedKeys();
+    return cryptoService;
+  };
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    mockSigningKeys.length = 0;
+  });
+
+  afterEach(() => {
+    services.splice(0).forEach(service => service.stopKeyringRefresh());
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  it('should load the key elected by the first instance', async () => {
+    const first = await startInstance();
+    const second = await startInstance();
+
+    expect(mockSigningKeys).toHaveLength(1);
+    expect(mockSigningKeys[0].private_key).toContain(
+      'BEGIN ENCRYPTED PRIVATE KEY'
+    );
+    expect(second.getActiveKeyId()).toBe(first.getActiveKeyId());
+
+    const { emailHash, signature, keyId } = first.processUserEmail('a@x.io');
+    expect(second.verifySignature(emailHash, signature, keyId)).toBe(true);
+  });
+
+  it('should pick up a key rotated by another instance', async () => {
+    const first = await startInstance();
+    const second = await startInstance();
+
+    await first.rotateKeys('ECDSA-P384-SHA384');
+    const signed = first.processUserEmail('a@x.io');
+
+    // Unknown key IDs trigger a reload
+    expect(
+      second.verifySignature(signed.emailHash, signed.signature, signed.keyId)
+    ).toBe(false);
+    await second.refreshSharedKeys();
+    expect(
+      second.verifySignature(signed.emailHash, signed.signature, signed.keyId)
+    ).toBe(true);
+    expect(second.getActiveKeyId()).toBe(signed.keyId);
+  });
+
+  it('should seed the shared keyring from the local one', async () => {
+    const local = loadCryptoService(keysDir);
+    const signed = local.processUserEmail('a@x.io');
+
+    const shared = await startInstance();
+    expect(shared.getActiveKeyId()).toBe(signed.keyId);
+    expect(shared.verifySignature(signed.emailHash, signed.signature)).toBe(
+      true
+    );
+  });
+
+  it('should require the master secret', async () => {
+    await expect(
+      loadCryptoService(keysDir, { KEY_PROVIDER: 'database' }).ready
+    ).rejects.toThrow('KEY_MASTER_SECRET');
+  });
+});
+
+// Runs against SoftHSM when SOFTHSM2_MODULE points at libsofthsm2.so and
+// softhsm2-util is on the PATH
+const describeSoftHsm = process.env.SOFTHSM2_MODULE ? describe : describe.skip;
+
+describeSoftHsm('PKCS#11 key provider', () => {
+  const { execFileSync } = require('child_process');
+  let tokenDir;
+  let keysDir;
+  let env;
+
+  beforeAll(() => {
+    tokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'softhsm-'));
+    const conf = path.join(tokenDir, 'softhsm2.conf');
+    fs.mkdirSync(path.join(tokenDir, 'tokens'));
+    fs.writeFileSync(
+      conf,
+      `directories.tokendir = ${path.join(tokenDir, 'tokens')}\n`
+    );
+    process.env.SOFTHSM2_CONF = conf;
+    execFileSync('softhsm2-util', [
+      '--init-token',
+      '--free',
+      '--label',
+      'signing',
+      '--pin',
+      '1234',
+      '--so-pin',
+      '5678',
+    ]);
+
+    env = {
+      KEY_PROVIDER: 'pkcs11',
+      PKCS11_MODULE: process.env.SOFTHSM2_MODULE,
+      PKCS11_TOKEN_LABEL: 'signing',
+      PKCS11_PIN: '1234',
+    };
+  });
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tokenDir, { recursive: true, force: true });
+  });
+
+  it('should sign on the token with every supported algorithm', async () => {
+    const cryptoService = loadCryptoService(keysDir, env);
+    await cryptoService.ready;
+
+    for (const algorithm of cryptoService.getSupportedAlgorithms()) {
+      await cryptoService.rotateKeys(algorithm);
+      const signed = cryptoService.processUserEmail('a@x.io');
+
+      expect(
+        cryptoService.verifySignature(
+          signed.emailHash,
+          signed.signature,
+          signed.keyId,
+          algorithm
+        )
+      ).toBe(true);
+    }
+
+    expect(fs.readdirSync(keysDir).some(file => file.includes('private'))).toBe(
+      false
+    );
+  });
+});
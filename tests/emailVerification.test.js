@@ -0,0 +1,225 @@
+const request = require('supertest');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+const mockUser = {
+  findTokenState: jest.fn(),
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByEmail: jest.fn(),
+  findCredentialsByEmail: jest.fn(),
+  update: jest.fn(),
+};
+
+const mockVerificationToken = {
+  create: jest.fn(),
+  consume: jest.fn(),
+};
+
+jest.mock('../src/models/User', () => mockUser);
+jest.mock('../src/models/EmailVerificationToken', () => mockVerificationToken);
+
+const userId = '22222222-2222-4222-8222-222222222222';
+const pendingUser = {
+  id: userId,
+  email: 'new@example.com',
+  role: 'user',
+  status: 'pending_verification',
+  created_at: new Date('2026-01-01T00:00:00Z'),
+};
+
+// Load a fresh app with email verification on
+const loadApp = (env = {}) => {
+  let modules;
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, EMAIL_VERIFICATION_REQUIRED: 'true', ...env };
+  jest.isolateModules(() => {
+    modules = {
+      app: require('../src/app'),
+      authService: require('../src/services/authService'),
+      auditService: require('../src/services/auditService'),
+      passwordService: require('../src/utils/password'),
+    };
+  });
+  process.env = savedEnv;
+  return modules;
+};
+
+describe('Email verification', () => {
+  let app;
+  let authService;
+  let auditService;
+  let passwordService;
+  let adminToken;
+
+  beforeAll(() => {
+    ({ app, authService, auditService, passwordService } = loadApp({
+      RATE_LIMIT_VERIFICATION_MAX: '2',
+    }));
+    adminToken = authService.signAccessToken({
+      id: '11111111-1111-4111-8111-111111111111',
+      email: 'admin@example.com',
+      role: 'admin',
+    });
+  });
+
+  beforeEach(() => {
+    [mockUser, mockVerificationToken].forEach(mock =>
+      Object.values(mock).forEach(fn => fn.mockReset())
+    );
+    jest.spyOn(auditService, 'record').mockResolvedValue({});
+    mockUser.findTokenState.mockResolvedValue({ status: 'active' });
+    mockUser.findByEmail.mockResolvedValue(null);
+    mockUser.findById.mockResolvedValue(pendingUser);
+    mockUser.create.mockImplementation(async data => ({
+      id: data.id,
+      email: data.email,
+      role: data.role,
+      status: data.status,
+      created_at: data.createdAt,
+    }));
+    mockUser.update.mockImplementation(async (id, changes) => ({
+      ...pendingUser,
+      id,
+      status: changes.status,
+    }));
+    mockVerificationToken.create.mockImplementation(async data => data);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createUser = () =>
+    request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'new@example.com' });
+
+  const verify = verificationToken =>
+    request(app).post('/api/auth/verify-email').send({ verificationToken });
+
+  it('should not let callers set the pending status', async () => {
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'new@example.com', status: 'pending_verification' });
+
+    expect(res.statusCode).toBe(400);
+    expect(mockUser.create).not.toHaveBeenCalled();
+  });
+
+  it('should create users as pending with a verification token', async () => {
+    const res = await createUser();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.status).toBe('pending_verification');
+    expect(res.body.verification.verificationToken).toEqual(expect.any(String));
+    expect(mockVerificationToken.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: res.body.data.id,
+        email: 'new@example.com',
+      })
+    );
+  });
+
+  it('should activate the account once per token', async () => {
+    const created = await createUser();
+    mockUser.findById.mockResolvedValue({
+      ...pendingUser,
+      id: created.body.data.id,
+    });
+    const { verificationToken } = created.body.verification;
+    const { id: tokenId } = mockVerificationToken.create.mock.calls[0][0];
+    mockVerificationToken.consume.mockResolvedValueOnce({ id: tokenId });
+
+    const res = await verify(verificationToken);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.status).toBe('active');
+    expect(mockVerificationToken.consume).toHaveBeenCalledWith(
+      tokenId,
+      created.body.data.id,
+      'new@example.com'
+    );
+    expect(mockUser.update).toHaveBeenCalledWith(
+      created.body.data.id,
+      expect.objectContaining({ status: 'active' }),
+      expect.any(Object)
+    );
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.updated',
+      expect.objectContaining({ targetUserId: created.body.data.id }),
+      expect.objectContaining({
+        actor: { type: 'user', id: created.body.data.id },
+      })
+    );
+
+    mockVerificationToken.consume.mockResolvedValueOnce(null);
+    expect((await verify(verificationToken)).statusCode).toBe(400);
+  });
+
+  it('should not reactivate users who are no longer pending', async () => {
+    const { verificationToken } = (await createUser()).body.verification;
+    mockUser.findById.mockResolvedValue({ ...pendingUser, status: 'inactive' });
+
+    const res = await verify(verificationToken);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid verification token');
+    expect(mockVerificationToken.consume).not.toHaveBeenCalled();
+    expect(mockUser.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject other signed tokens', async () => {
+    const res = await verify(adminToken);
+
+    expect(res.statusCode).toBe(400);
+    expect(mockUser.findById).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to sign in until the email is verified', async () => {
+    const password = 'correct horse battery';
+    mockUser.findCredentialsByEmail.mockResolvedValue({
+      ...pendingUser,
+      password_hash: await passwordService.hash(password),
+      failed_login_count: 0,
+      locked_until: null,
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'new@example.com', password });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Email not verified');
+  });
+
+  it('should resend tokens to pending users within the rate limit', async () => {
+    const resend = () =>
+      request(app)
+        .post(`/api/users/${userId}/verification`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+    mockUser.findById.mockResolvedValueOnce({
+      ...pendingUser,
+      status: 'active',
+    });
+    expect((await resend()).statusCode).toBe(409);
+
+    const res = await resend();
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.verificationToken).toEqual(expect.any(String));
+
+    const limited = await resend();
+    expect(limited.statusCode).toBe(429);
+  });
+});
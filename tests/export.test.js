@@ -0,0 +1,245 @@
+const request = require('supertest');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const cryptoService = require('../src/utils/crypto');
+const protobufService = require('../src/utils/protobuf');
+const User = require('../src/models/User');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue([]),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findAll: jest.fn(),
+}));
+
+// In-memory export_manifests table
+const mockManifests = new Map();
+
+jest.mock('../src/models/ExportManifest', () => ({
+  create: jest.fn(async ({ manifest, actorType, actorId }) => {
+    const row = {
+      id: manifest.exportId,
+      manifest,
+      actor_type: actorType,
+      actor_id: actorId,
+    };
+    mockManifests.set(row.id, row);
+    return row;
+  }),
+  findById: jest.fn(async id => mockManifests.get(id) || null),
+}));
+
+const signedUser = (id, email) => {
+  const user = {
+    id,
+    email,
+    role: 'user',
+    status: 'active',
+    created_at: new Date('2026-01-01T00:00:00Z'),
+  };
+  const cryptoData = cryptoService.processUserRecord(user);
+  return {
+    ...user,
+    email_hash: cryptoData.emailHash,
+    signature: cryptoData.signature,
+    signature_key_id: cryptoData.keyId,
+    signature_version: cryptoData.signatureVersion,
+    signature_algorithm: cryptoData.algorithm,
+  };
+};
+
+const users = [
+  signedUser('00000000-0000-4000-8000-000000000001', 'a@example.com'),
+  signedUser('00000000-0000-4000-8000-000000000002', 'b@example.com'),
+];
+
+const adminToken = authService.signAccessToken({
+  id: '11111111-1111-4111-8111-111111111111',
+  email: 'admin@example.com',
+  role: 'admin',
+});
+
+// Collect the binary response body
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const exportUsers = () =>
+  request(app)
+    .get('/api/users/export')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .buffer(true)
+    .parse(binary);
+
+const verifyExport = (file, manifestHeader) =>
+  request(app)
+    .post('/api/users/export/verify')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .set('Content-Type', 'application/octet-stream')
+    .set('X-Export-Manifest', manifestHeader)
+    .send(file);
+
+const encode = manifest =>
+  Buffer.from(JSON.stringify(manifest)).toString('base64');
+
+describe('Export manifests', () => {
+  beforeEach(() => {
+    mockManifests.clear();
+    User.findAll.mockResolvedValue(users);
+  });
+
+  it('should send a signed manifest with every export', async () => {
+    const res = await exportUsers();
+
+    expect(res.statusCode).toBe(200);
+    const manifest = JSON.parse(
+      Buffer.from(res.headers['x-export-manifest'], 'base64url').toString()
+    );
+    expect(manifest).toMatchObject({
+      exportId: res.headers['x-export-id'],
+      digestAlgorithm: 'SHA-384',
+      size: res.body.length,
+      userCount: 2,
+      keyId: cryptoService.getActiveKeyId(),
+      algorithm: cryptoService.getActiveAlgorithm(),
+    });
+
+    const verification = await verifyExport(
+      res.body,
+      res.headers['x-export-manifest']
+    );
+    expect(verification.statusCode).toBe(200);
+    expect(verification.body.data.valid).toBe(true);
+  });
+
+  it('should offer the manifest as a companion download', async () => {
+    const res = await exportUsers();
+
+    const download = await request(app)
+      .get(`/api/users/export/${res.headers['x-export-id']}/manifest`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(download.statusCode).toBe(200);
+    expect(download.headers['content-disposition']).toContain(
+      'users.pb.manifest.json'
+    );
+    expect(encode(download.body)).toBe(
+      encode(
+        JSON.parse(Buffer.from(res.headers['x-export-manifest'], 'base64'))
+      )
+    );
+
+    const missing = await request(app)
+      .get('/api/users/export/99999999-9999-4999-8999-999999999999/manifest')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('should reject truncated files and edited manifests', async () => {
+    const res = await exportUsers();
+    const manifest = JSON.parse(
+      Buffer.from(res.headers['x-export-manifest'], 'base64url').toString()
+    );
+
+    const truncated = await verifyExport(
+      res.body.subarray(0, res.body.length - 10),
+      res.headers['x-export-manifest']
+    );
+    expect(truncated.body.data.valid).toBe(false);
+    expect(truncated.body.data.checks).toMatchObject({
+      signature: true,
+      digest: false,
+      size: false,
+    });
+
+    const edited = await verifyExport(
+      res.body,
+      encode({ ...manifest, userCount: 3 })
+    );
+    expect(edited.body.data.valid).toBe(false);
+    expect(edited.body.data.checks.signature).toBe(false);
+  });
+
+  it('should require a manifest to verify against', async () => {
+    const res = await request(app)
+      .post('/api/users/export/verify')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.from('users'));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Missing manifest');
+  });
+});
+
+describe('Export record verification', () => {
+  const verifyRecords = file =>
+    request(app)
+      .post('/api/users/crypto/verify-export')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(file);
+
+  beforeEach(() => {
+    User.findAll.mockResolvedValue(users);
+  });
+
+  it('should verify every user in an export', async () => {
+    const res = await verifyRecords((await exportUsers()).body);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.summary).toEqual({
+      total: 2,
+      valid: 2,
+      mismatched: 0,
+      unsigned: 0,
+      unverifiable: 0,
+    });
+    expect(res.body.data.results[0]).toMatchObject({
+      id: users[0].id,
+      valid: true,
+      emailHash: true,
+      signature: true,
+    });
+  });
+
+  it('should report edited and unsigned users', async () => {
+    await protobufService.ensureInitialized();
+    const file = await protobufService.serializeUserCollection([
+      { ...users[0], role: 'admin' },
+      { ...users[1], email_hash: '', signature: '' },
+    ]);
+
+    const res = await verifyRecords(file);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.summary).toMatchObject({
+      valid: 0,
+      unverifiable: 1,
+      unsigned: 1,
+    });
+    expect(res.body.data.results[0]).toMatchObject({
+      valid: false,
+      emailHash: true,
+      signature: false,
+      issue: 'unverifiable',
+    });
+  });
+
+  it('should reject uploads that are not a user collection', async () => {
+    const res = await verifyRecords(Buffer.from([0xff, 0xff, 0xff, 0xff]));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid export');
+  });
+});
@@ -0,0 +1,178 @@
+// In-memory encryption_keys table shared by every loaded service
+const mockEncryptionKeys = [];
+
+jest.mock('../src/models/EncryptionKey', () => ({
+  initialize: jest.fn(async (purpose, seed) => {
+    if (!mockEncryptionKeys.some(row => row.purpose === purpose)) {
+      const key = seed();
+      mockEncryptionKeys.push({
+        key_id: key.keyId,
+        purpose,
+        wrapped_key: key.wrappedKey,
+        created_at: new Date(),
+      });
+    }
+    return mockEncryptionKeys.filter(row => row.purpose === purpose);
+  }),
+}));
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+const masterKey = 'field-encryption-master-key-for-tests';
+
+// Load a fresh service, and the User model and database using it
+const loadFieldEncryption = (env = {}) => {
+  let modules;
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, FIELD_ENCRYPTION_KEY: masterKey, ...env };
+  jest.isolateModules(() => {
+    modules = {
+      fieldEncryption: require('../src/utils/fieldEncryption'),
+      User: require('../src/models/User'),
+      databaseService: require('../src/services/database'),
+    };
+  });
+  process.env = savedEnv;
+  return modules;
+};
+
+describe('Field encryption', () => {
+  beforeEach(() => {
+    mockEncryptionKeys.length = 0;
+  });
+
+  it('should encrypt values bound to their row', async () => {
+    const { fieldEncryption } = loadFieldEncryption();
+    await fieldEncryption.initialize();
+
+    const first = fieldEncryption.encrypt('a@example.com', 'users.email:1');
+    const second = fieldEncryption.encrypt('a@example.com', 'users.email:1');
+
+    expect(first).toMatch(/^enc:v1:/);
+    expect(first).not.toContain('a@example.com');
+    expect(first).not.toBe(second);
+    expect(fieldEncryption.decrypt(first, 'users.email:1')).toBe(
+      'a@example.com'
+    );
+    expect(() => fieldEncryption.decrypt(first, 'users.email:2')).toThrow(
+      'Cannot decrypt users.email:2'
+    );
+    expect(fieldEncryption.decrypt('legacy@example.com', 'users.email:1')).toBe(
+      'legacy@example.com'
+    );
+  });
+
+  it('should share the data key between instances with the same secret', async () => {
+    const first = loadFieldEncryption().fieldEncryption;
+    const second = loadFieldEncryption().fieldEncryption;
+    await first.initialize();
+    await second.initialize();
+
+    const stored = first.encrypt('a@example.com', 'users.email:1');
+
+    expect(mockEncryptionKeys).toHaveLength(1);
+    expect(second.decrypt(stored, 'users.email:1')).toBe('a@example.com');
+    expect(second.emailIndex(' A@Example.com')).toBe(
+      first.emailIndex('a@example.com')
+    );
+    expect(mockEncryptionKeys[0].wrapped_key).not.toContain(
+      first.dataKeys.get(first.activeKeyId).toString('base64url')
+    );
+  });
+
+  it('should refuse a missing or different master key', async () => {
+    await loadFieldEncryption().fieldEncryption.initialize();
+
+    const other = loadFieldEncryption({
+      FIELD_ENCRYPTION_KEY: `${masterKey}-rotated-elsewhere`,
+    }).fieldEncryption;
+    await expect(other.initialize()).rejects.toThrow(
+      'FIELD_ENCRYPTION_KEY does not match'
+    );
+
+    const missing = loadFieldEncryption({
+      FIELD_ENCRYPTION_KEY: '',
+    }).fieldEncryption;
+    await expect(missing.initialize()).rejects.toThrow(
+      'FIELD_ENCRYPTION_KEY or FIELD_ENCRYPTION_KEY_FILE is required'
+    );
+  });
+});
+
+describe('User email encryption', () => {
+  let fieldEncryption;
+  let User;
+  let databaseService;
+  let query;
+
+  beforeEach(async () => {
+    mockEncryptionKeys.length = 0;
+    ({ fieldEncryption, User, databaseService } = loadFieldEncryption());
+    await fieldEncryption.initialize();
+
+    query = jest.fn().mockResolvedValue({ rows: [], rowCount: 0 });
+    databaseService.getDatabase.mockReturnValue({ query });
+  });
+
+  const userId = '00000000-0000-4000-8000-000000000001';
+
+  it('should store the email encrypted with a blind index', async () => {
+    query.mockImplementationOnce(async (sql, values) => ({
+      rows: [{ id: values[0], email: values[1], role: 'user' }],
+    }));
+
+    const user = await User.create({
+      id: userId,
+      email: 'a@example.com',
+      createdAt: new Date(),
+    });
+
+    const values = query.mock.calls[0][1];
+    expect(values[1]).toMatch(/^enc:v1:/);
+    expect(values[10]).toBe(fieldEncryption.emailIndex('a@example.com'));
+    expect(user.email).toBe('a@example.com');
+  });
+
+  it('should find users by blind index and return plaintext', async () => {
+    const stored = fieldEncryption.encrypt(
+      'a@example.com',
+      `users.email:${userId}`
+    );
+    query.mockResolvedValue({ rows: [{ id: userId, email: stored }] });
+
+    const user = await User.findByEmail('A@example.com');
+
+    expect(query.mock.calls[0][0]).toContain('WHERE email_index = $1');
+    expect(query.mock.calls[0][1]).toEqual([
+      fieldEncryption.emailIndex('a@example.com'),
+    ]);
+    expect(user.email).toBe('a@example.com');
+    expect((await User.findAll())[0].email).toBe('a@example.com');
+  });
+
+  it('should encrypt emails stored in plaintext', async () => {
+    query
+      .mockResolvedValueOnce({
+        rows: [{ id: userId, email: 'Legacy@example.com' }],
+      })
+      .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await expect(User.encryptPlaintextEmails(100)).resolves.toBe(1);
+
+    const [sql, values] = query.mock.calls[1];
+    expect(sql).toContain('WHERE id = $3 AND email = $4');
+    expect(fieldEncryption.decrypt(values[0], `users.email:${userId}`)).toBe(
+      'Legacy@example.com'
+    );
+    expect(values[1]).toBe(fieldEncryption.emailIndex('legacy@example.com'));
+  });
+});
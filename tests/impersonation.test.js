@@ -0,0 +1,245 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const apiKeyService = require('../src/services/apiKeyService');
+const resignService = require('../src/services/resignService');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const fieldEncryption = require('../src/utils/fieldEncryption');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findById: jest.fn(),
+  findByEmail: jest.fn().mockResolvedValue(null),
+  update: jest.fn(),
+}));
+
+jest.mock('../src/models/AuditEvent', () => ({
+  create: jest.fn().mockResolvedValue({ id: '1' }),
+}));
+
+const adminId = '11111111-1111-4111-8111-111111111111';
+const userId = '22222222-2222-4222-8222-222222222222';
+const otherId = '33333333-3333-4333-8333-333333333333';
+const userFor = (id, role) => ({
+  id,
+  email: `${role}@example.com`,
+  role,
+  status: 'active',
+  created_at: new Date('2026-01-01T00:00:00Z'),
+});
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: adminId,
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Impersonation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockImplementation(async id =>
+      id === otherId ? userFor(otherId, 'user') : userFor(userId, 'admin')
+    );
+    User.update.mockImplementation(async (id, changes) => ({
+      ...userFor(id, 'user'),
+      ...changes,
+    }));
+  });
+
+  const impersonate = (token, id = userId) =>
+    request(app)
+      .post(`/api/users/${id}/impersonate`)
+      .set('Authorization', `Bearer ${token}`);
+
+  it('should issue a time-boxed token naming both users to admins', async () => {
+    const denied = await impersonate(tokenFor('moderator'));
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body.missingPermission).toBe('impersonate');
+
+    const res = await impersonate(tokenFor('admin'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refreshToken).toBeUndefined();
+    const payload = jwt.decode(res.body.data.accessToken);
+    expect(payload).toMatchObject({
+      sub: userId,
+      role: 'admin',
+      type: 'access',
+      act: { sub: adminId },
+    });
+    expect(payload.exp - payload.iat).toBe(15 * 60);
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        actorType: 'user',
+        actorId: adminId,
+        action: 'user.impersonated',
+        targetUserId: userId,
+      }),
+      expect.any(Function)
+    );
+  });
+
+  it('should refuse users who are not active', async () => {
+    User.findById.mockResolvedValueOnce({
+      ...userFor(userId, 'user'),
+      status: 'inactive',
+    });
+
+    const res = await impersonate(tokenFor('admin'));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('User is not active');
+    expect(AuditEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse unknown users and the admin themselves', async () => {
+    User.findById.mockResolvedValueOnce(null);
+    expect((await impersonate(tokenFor('admin'))).statusCode).toBe(404);
+    expect(
+      (await impersonate(tokenFor('admin'), 'not-a-user')).statusCode
+    ).toBe(404);
+
+    User.findById.mockResolvedValueOnce(userFor(adminId, 'admin'));
+    const self = await impersonate(tokenFor('admin'), adminId);
+    expect(self.statusCode).toBe(400);
+  });
+
+  describe('with an impersonation token', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = (await impersonate(tokenFor('admin'))).body.data.accessToken;
+      AuditEvent.create.mockClear();
+    });
+
+    it('should stop working once the admin is deactivated', async () => {
+      User.findTokenState.mockImplementation(async id => ({
+        status: id === adminId ? 'inactive' : 'active',
+      }));
+
+      const res = await request(app)
+        .get(`/api/users/${otherId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(401);
+      expect(User.findTokenState).toHaveBeenCalledWith(adminId);
+      User.findTokenState.mockResolvedValue({ status: 'active' });
+    });
+
+    it('should see the panel as the user does', async () => {
+      const res = await request(app)
+        .get(`/api/users/${otherId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.id).toBe(otherId);
+    });
+
+    it('should block role, password and two-factor changes even for admins', async () => {
+      const role = await request(app)
+        .put(`/api/users/${otherId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'admin' });
+      expect(role.statusCode).toBe(403);
+      expect(role.body.message).toBe(
+        'Not allowed while impersonating: update-role'
+      );
+
+      const password = await request(app)
+        .put(`/api/users/${otherId}/password`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'correct horse battery' });
+      expect(password.statusCode).toBe(403);
+
+      const ownPassword = await request(app)
+        .post('/api/auth/password/change')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'a', newPassword: 'correct horse battery' });
+      expect(ownPassword.statusCode).toBe(403);
+
+      const enroll = await request(app)
+        .post('/api/auth/2fa/enroll')
+        .set('Authorization', `Bearer ${token}`);
+      expect(enroll.statusCode).toBe(403);
+
+      const again = await impersonate(token, otherId);
+      expect(again.statusCode).toBe(403);
+
+      expect(User.update).not.toHaveBeenCalled();
+      expect(AuditEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should block API key and re-signing routes even for admins', async () => {
+      const createKey = jest.spyOn(apiKeyService, 'createKey');
+      const startJob = jest.spyOn(resignService, 'startJob');
+
+      const apiKey = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'ci', scopes: ['users:read'] });
+      expect(apiKey.statusCode).toBe(403);
+      expect(apiKey.body.message).toBe(
+        'Not allowed while impersonating: manage-api-keys'
+      );
+
+      const revoke = await request(app)
+        .delete(`/api/api-keys/${otherId}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(revoke.statusCode).toBe(403);
+
+      const resign = await request(app)
+        .post('/api/crypto/resign-jobs')
+        .set('Authorization', `Bearer ${token}`);
+      expect(resign.statusCode).toBe(403);
+      expect(resign.body.message).toBe(
+        'Not allowed while impersonating: manage-signing-keys'
+      );
+
+      expect(createKey).not.toHaveBeenCalled();
+      expect(startJob).not.toHaveBeenCalled();
+      createKey.mockRestore();
+      startJob.mockRestore();
+    });
+
+    it('should attribute changes to the admin', async () => {
+      jest
+        .spyOn(fieldEncryption, 'emailIndex')
+        .mockImplementation(email => `index:${email}`);
+
+      const res = await request(app)
+        .put(`/api/users/${otherId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ email: 'renamed@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(AuditEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorType: 'user',
+          actorId: adminId,
+          action: 'user.updated',
+          targetUserId: otherId,
+          changes: {
+            email_index: {
+              before: 'index:user@example.com',
+              after: 'index:renamed@example.com',
+            },
+            impersonating: { before: null, after: userId },
+          },
+        }),
+        expect.any(Function)
+      );
+      fieldEncryption.emailIndex.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const integrityService = require('../src/services/integrityService');
+const cryptoService = require('../src/utils/crypto');
+const User = require('../src/models/User');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue([]),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findBatchAfter: jest.fn(),
+}));
+
+const signedUser = (id, email) => {
+  const user = {
+    id,
+    email,
+    role: 'user',
+    status: 'active',
+    created_at: new Date('2026-01-01T00:00:00Z'),
+  };
+  const cryptoData = cryptoService.processUserRecord(user);
+  return {
+    ...user,
+    email_hash: cryptoData.emailHash,
+    signature: cryptoData.signature,
+    signature_key_id: cryptoData.keyId,
+    signature_version: cryptoData.signatureVersion,
+  };
+};
+
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: '11111111-1111-4111-8111-111111111111',
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Integrity scan', () => {
+  beforeEach(() => {
+    User.findBatchAfter.mockReset();
+  });
+
+  it('should classify tampered, unsigned and unverifiable rows', async () => {
+    const intact = signedUser('00000000-0000-4000-8000-000000000001', 'a@x.io');
+    const edited = {
+      ...signedUser('00000000-0000-4000-8000-000000000002', 'b@x.io'),
+      email: 'attacker@x.io',
+    };
+    const unsigned = {
+      id: '00000000-0000-4000-8000-000000000003',
+      email: 'c@x.io',
+      email_hash: '',
+      signature: '',
+    };
+    const promoted = {
+      ...signedUser('00000000-0000-4000-8000-000000000004', 'd@x.io'),
+      role: 'admin',
+    };
+    const unknownKey = {
+      ...signedUser('00000000-0000-4000-8000-000000000005', 'e@x.io'),
+      signature_key_id: 'retired-key',
+    };
+
+    User.findBatchAfter
+      .mockResolvedValueOnce([intact, edited, unsigned, promoted, unknownKey])
+      .mockResolvedValueOnce([]);
+
+    const result = await integrityService.scanUsers();
+
+    expect(result.data.checked).toBe(5);
+    expect(result.data.valid).toBe(1);
+    expect(result.data.counts).toEqual({
+      mismatched: 1,
+      unsigned: 1,
+      unverifiable: 2,
+    });
+    expect(result.data.issues.mismatched[0].id).toBe(edited.id);
+    expect(result.data.issues.unverifiable.map(issue => issue.reason)).toEqual([
+      'Signature does not match the stored record',
+      'Signing key is unknown or retired',
+    ]);
+  });
+
+  it('should run on demand for admins and keep the last report', async () => {
+    User.findBatchAfter.mockResolvedValueOnce([]);
+
+    const res = await request(app)
+      .post('/api/crypto/integrity-scans')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.trigger).toBe('manual');
+
+    const latest = await request(app)
+      .get('/api/crypto/integrity-scans/latest')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(latest.statusCode).toBe(200);
+    expect(latest.body.data.checked).toBe(0);
+  });
+
+  it('should restrict scans to admins', async () => {
+    const res = await request(app)
+      .post('/api/crypto/integrity-scans')
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermission).toBe('verify-integrity');
+  });
+
+  it('should scan on a schedule', () => {
+    jest.useFakeTimers();
+    const scan = jest
+      .spyOn(integrityService, 'scanUsers')
+      .mockResolvedValue(undefined);
+
+    integrityService.startSchedule();
+    jest.advanceTimersByTime(integrityService.intervalMs);
+    integrityService.stopSchedule();
+
+    expect(scan).toHaveBeenCalledWith('schedule');
+    scan.mockRestore();
+    jest.useRealTimers();
+  });
+});
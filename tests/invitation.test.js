@@ -0,0 +1,334 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const auditService = require('../src/services/auditService');
+const User = require('../src/models/User');
+const Invitation = require('../src/models/Invitation');
+const fieldEncryption = require('../src/utils/fieldEncryption');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  delete: jest.fn(),
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  create: jest.fn(),
+  findByEmail: jest.fn(),
+  setPasswordHash: jest.fn(),
+}));
+
+jest.mock('../src/models/Invitation', () => ({
+  statuses: ['pending', 'accepted', 'revoked', 'expired'],
+  create: jest.fn(),
+  findAll: jest.fn(),
+  findById: jest.fn(),
+  rotateToken: jest.fn(),
+  revoke: jest.fn(),
+  claim: jest.fn(),
+  markAccepted: jest.fn(),
+  release: jest.fn(),
+}));
+
+const adminId = '11111111-1111-4111-8111-111111111111';
+const invitationId = '44444444-4444-4444-8444-444444444444';
+const password = 'correct horse battery';
+const invitation = {
+  id: invitationId,
+  email: 'invitee@example.com',
+  role: 'moderator',
+  invited_by: adminId,
+  status: 'pending',
+  expires_at: new Date('2026-01-08T00:00:00Z'),
+};
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: adminId,
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Invitations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(auditService, 'record').mockResolvedValue({});
+    jest
+      .spyOn(fieldEncryption, 'emailIndex')
+      .mockImplementation(email => `index:${email}`);
+    User.findByEmail.mockResolvedValue(null);
+    User.create.mockImplementation(async data => ({
+      id: data.id,
+      email: data.email,
+      role: data.role,
+      status: data.status,
+      created_at: data.createdAt,
+    }));
+    Invitation.create.mockImplementation(async data => ({
+      ...invitation,
+      id: data.id,
+      email: data.email,
+      role: data.role,
+      invited_by: data.invitedBy,
+      expires_at: data.expiresAt,
+    }));
+    Invitation.findById.mockResolvedValue(invitation);
+    Invitation.rotateToken.mockImplementation(
+      async (id, tokenId, expiresAt) => ({
+        ...invitation,
+        expires_at: expiresAt,
+      })
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const invite = (body, role = 'admin') =>
+    request(app)
+      .post('/api/invitations')
+      .set('Authorization', `Bearer ${tokenFor(role)}`)
+      .send(body);
+
+  const accept = invitationToken =>
+    request(app)
+      .post('/api/auth/invitations/accept')
+      .send({ invitationToken, password });
+
+  it('should let admins invite an email with a role', async () => {
+    const denied = await invite(
+      { email: 'invitee@example.com', role: 'user' },
+      'moderator'
+    );
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body.missingPermission).toBe('invite');
+
+    const res = await invite({
+      email: 'invitee@example.com',
+      role: 'moderator',
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.invited_by).toBe(adminId);
+    const { tokenId, expiresAt } = Invitation.create.mock.calls[0][0];
+    expect(Invitation.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: 'invitee@example.com',
+        role: 'moderator',
+        invitedBy: adminId,
+      })
+    );
+    const payload = jwt.decode(res.body.data.invitationToken);
+    expect(payload).toMatchObject({
+      type: 'invitation',
+      sub: res.body.data.id,
+      jti: tokenId,
+    });
+    expect(payload.exp).toBe(Math.floor(expiresAt.getTime() / 1000));
+    expect(auditService.record).toHaveBeenCalledWith(
+      'invitation.created',
+      {
+        changes: {
+          invitation_id: { before: null, after: res.body.data.id },
+          email_index: { before: null, after: 'index:invitee@example.com' },
+          role: { before: null, after: 'moderator' },
+          expires_at: { before: null, after: expiresAt.toISOString() },
+        },
+      },
+      expect.objectContaining({ actor: { type: 'user', id: adminId } })
+    );
+  });
+
+  it('should reject invalid roles and emails that are taken or invited', async () => {
+    const invalid = await invite({
+      email: 'invitee@example.com',
+      role: 'root',
+    });
+    expect(invalid.statusCode).toBe(400);
+
+    User.findByEmail.mockResolvedValueOnce({ id: adminId });
+    const taken = await invite({ email: 'invitee@example.com', role: 'user' });
+    expect(taken.statusCode).toBe(409);
+
+    Invitation.create.mockRejectedValueOnce(
+      new Error('Invitation already pending')
+    );
+    const pending = await invite({
+      email: 'invitee@example.com',
+      role: 'user',
+    });
+    expect(pending.statusCode).toBe(409);
+  });
+
+  it('should list invitations by status', async () => {
+    Invitation.findAll.mockResolvedValue([
+      { ...invitation, invited_by_email: 'admin@example.com' },
+    ]);
+
+    const res = await request(app)
+      .get('/api/invitations?status=pending')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data[0].invited_by_email).toBe('admin@example.com');
+    expect(Invitation.findAll).toHaveBeenCalledWith({ status: 'pending' });
+
+    const invalid = await request(app)
+      .get('/api/invitations?status=open')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it('should create the account once per token with the invited role', async () => {
+    const { invitationToken } = (
+      await invite({ email: 'invitee@example.com', role: 'moderator' })
+    ).body.data;
+    const { id, tokenId } = Invitation.create.mock.calls[0][0];
+    Invitation.claim.mockResolvedValueOnce({ ...invitation, id });
+
+    const res = await accept(invitationToken);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({
+      email: 'invitee@example.com',
+      role: 'moderator',
+      status: 'active',
+    });
+    expect(Invitation.claim).toHaveBeenCalledWith(id, tokenId);
+    expect(User.setPasswordHash).toHaveBeenCalledWith(
+      res.body.data.id,
+      expect.any(String)
+    );
+    expect(Invitation.markAccepted).toHaveBeenCalledWith(id, res.body.data.id);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.created',
+      expect.objectContaining({ targetUserId: res.body.data.id }),
+      expect.objectContaining({ actor: { type: 'user', id: adminId } })
+    );
+
+    Invitation.claim.mockResolvedValueOnce(null);
+    const replay = await accept(invitationToken);
+    expect(replay.statusCode).toBe(400);
+    expect(replay.body.error).toBe('Invalid invitation token');
+  });
+
+  it('should keep the invitation open when the account cannot be created', async () => {
+    const { invitationToken } = (
+      await invite({ email: 'invitee@example.com', role: 'user' })
+    ).body.data;
+    Invitation.claim.mockResolvedValueOnce(invitation);
+    User.findByEmail.mockResolvedValueOnce({ id: adminId });
+
+    const res = await accept(invitationToken);
+
+    expect(res.statusCode).toBe(409);
+    expect(Invitation.release).toHaveBeenCalledWith(invitationId);
+    expect(Invitation.markAccepted).not.toHaveBeenCalled();
+  });
+
+  it('should delete the account and reopen the invitation when accepting fails', async () => {
+    const { invitationToken } = (
+      await invite({ email: 'invitee@example.com', role: 'user' })
+    ).body.data;
+    Invitation.claim.mockResolvedValueOnce(invitation);
+    User.findById.mockImplementation(async id => ({
+      id,
+      email: 'invitee@example.com',
+      role: 'user',
+      status: 'active',
+    }));
+    User.delete.mockResolvedValueOnce(true);
+    Invitation.markAccepted.mockRejectedValueOnce(new Error('Connection lost'));
+
+    const res = await accept(invitationToken);
+
+    expect(res.statusCode).toBe(500);
+    const { id } = User.create.mock.calls[0][0];
+    expect(User.delete).toHaveBeenCalledWith(id);
+    expect(Invitation.release).toHaveBeenCalledWith(invitationId);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.deleted',
+      expect.objectContaining({ targetUserId: id }),
+      expect.objectContaining({ actor: { type: 'user', id: adminId } })
+    );
+  });
+
+  it('should check the token type and password before claiming', async () => {
+    const other = await accept(tokenFor('admin'));
+    expect(other.statusCode).toBe(400);
+
+    const { invitationToken } = (
+      await invite({ email: 'invitee@example.com', role: 'user' })
+    ).body.data;
+    const weak = await request(app)
+      .post('/api/auth/invitations/accept')
+      .send({ invitationToken, password: 'short' });
+    expect(weak.statusCode).toBe(400);
+
+    expect(Invitation.claim).not.toHaveBeenCalled();
+  });
+
+  it('should resend with a new token and revoke open invitations', async () => {
+    const resend = id =>
+      request(app)
+        .post(`/api/invitations/${id}/resend`)
+        .set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+    const res = await resend(invitationId);
+    expect(res.statusCode).toBe(201);
+    const [, tokenId, expiresAt] = Invitation.rotateToken.mock.calls[0];
+    expect(jwt.decode(res.body.data.invitationToken).jti).toBe(tokenId);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'invitation.resent',
+      {
+        changes: {
+          invitation_id: { before: null, after: invitationId },
+          expires_at: {
+            before: invitation.expires_at.toISOString(),
+            after: expiresAt.toISOString(),
+          },
+        },
+      },
+      expect.objectContaining({ actor: { type: 'user', id: adminId } })
+    );
+
+    Invitation.rotateToken.mockResolvedValueOnce(null);
+    expect((await resend(invitationId)).statusCode).toBe(409);
+    expect((await resend('not-an-invitation')).statusCode).toBe(404);
+
+    const revokedAt = new Date();
+    Invitation.revoke.mockResolvedValueOnce({
+      ...invitation,
+      status: 'revoked',
+      revoked_at: revokedAt,
+    });
+    const revoked = await request(app)
+      .delete(`/api/invitations/${invitationId}`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(revoked.statusCode).toBe(200);
+    expect(Invitation.revoke).toHaveBeenCalledWith(invitationId);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'invitation.revoked',
+      {
+        changes: {
+          invitation_id: { before: null, after: invitationId },
+          revoked_at: { before: null, after: revokedAt.toISOString() },
+        },
+      },
+      expect.objectContaining({ actor: { type: 'user', id: adminId } })
+    );
+
+    const again = await request(app)
+      .delete(`/api/invitations/${invitationId}`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(again.statusCode).toBe(404);
+  });
+});
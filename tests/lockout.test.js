@@ -0,0 +1,213 @@
+const request = require('supertest');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+// Shared by every loaded app, so tests can script the users table
+const mockUser = {
+  findTokenState: jest.fn(),
+  findById: jest.fn(),
+  findCredentialsByEmail: jest.fn(),
+  recordLoginFailure: jest.fn(),
+  lock: jest.fn(),
+  clearLoginFailures: jest.fn(),
+};
+
+jest.mock('../src/models/User', () => mockUser);
+
+jest.mock('../src/models/RefreshToken', () => ({
+  create: jest.fn().mockResolvedValue({ id: 'refresh-token-id' }),
+}));
+
+const userId = '00000000-0000-4000-8000-000000000001';
+const password = 'correct horse battery staple';
+
+// Load a fresh app, so the login limiters are built from this environment
+const loadApp = (env = {}) => {
+  let modules;
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, ...env };
+  jest.isolateModules(() => {
+    modules = {
+      app: require('../src/app'),
+      authService: require('../src/services/authService'),
+      auditService: require('../src/services/auditService'),
+      passwordService: require('../src/utils/password'),
+      loginProtection: require('../src/middleware/loginProtection'),
+    };
+  });
+  process.env = savedEnv;
+  return modules;
+};
+
+describe('Account lockout', () => {
+  let app;
+  let authService;
+  let auditService;
+  let credentials;
+
+  beforeAll(async () => {
+    // No per-IP delays; these tests fail logins on purpose
+    const modules = loadApp({ LOGIN_DELAY_AFTER: '100' });
+    ({ app, authService, auditService } = modules);
+    credentials = {
+      id: userId,
+      email: 'a@example.com',
+      role: 'user',
+      status: 'active',
+      password_hash: await modules.passwordService.hash(password),
+      failed_login_count: 0,
+      locked_until: null,
+    };
+  });
+
+  beforeEach(() => {
+    Object.values(mockUser).forEach(fn => fn.mockReset());
+    jest.spyOn(auditService, 'record').mockResolvedValue({});
+    mockUser.findTokenState.mockResolvedValue({ status: 'active' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = (body = { email: 'a@example.com', password: 'wrong' }) =>
+    request(app).post('/api/auth/login').send(body);
+
+  it('should lock the account at the failure threshold', async () => {
+    const lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
+    mockUser.findCredentialsByEmail.mockResolvedValue(credentials);
+    mockUser.recordLoginFailure.mockResolvedValue(5);
+    mockUser.lock.mockResolvedValue(lockedUntil);
+
+    const res = await login();
+
+    expect(res.statusCode).toBe(401);
+    expect(mockUser.recordLoginFailure).toHaveBeenCalledWith(
+      userId,
+      15 * 60 * 1000
+    );
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.locked',
+      expect.objectContaining({
+        targetUserId: userId,
+        changes: expect.objectContaining({
+          locked_until: { before: null, after: lockedUntil.toISOString() },
+        }),
+      }),
+      expect.objectContaining({ actor: { type: 'system', id: null } })
+    );
+  });
+
+  it('should not lock below the threshold', async () => {
+    mockUser.findCredentialsByEmail.mockResolvedValue(credentials);
+    mockUser.recordLoginFailure.mockResolvedValue(2);
+
+    expect((await login()).statusCode).toBe(401);
+    expect(mockUser.lock).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a locked account even with the right password', async () => {
+    mockUser.findCredentialsByEmail.mockResolvedValue({
+      ...credentials,
+      locked_until: new Date(Date.now() + 60 * 1000),
+    });
+
+    const res = await login({ email: 'a@example.com', password });
+
+    expect(res.statusCode).toBe(423);
+    expect(res.body.error).toBe('Account locked');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(mockUser.recordLoginFailure).not.toHaveBeenCalled();
+  });
+
+  it('should clear failures after a successful login', async () => {
+    mockUser.findCredentialsByEmail.mockResolvedValue({
+      ...credentials,
+      failed_login_count: 3,
+      locked_until: new Date(Date.now() - 1000),
+    });
+
+    const res = await login({ email: 'a@example.com', password });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockUser.clearLoginFailures).toHaveBeenCalledWith(userId);
+  });
+
+  it('should let admins unlock accounts', async () => {
+    mockUser.findById.mockResolvedValue(credentials);
+    mockUser.clearLoginFailures.mockResolvedValue({
+      failed_login_count: 5,
+      locked_until: new Date(Date.now() + 60 * 1000),
+    });
+    const token = role =>
+      authService.signAccessToken({
+        id: '11111111-1111-4111-8111-111111111111',
+        email: `${role}@example.com`,
+        role,
+      });
+
+    const denied = await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${token('moderator')}`);
+    expect(denied.statusCode).toBe(403);
+
+    const res = await request(app)
+      .post(`/api/users/${userId}/unlock`)
+      .set('Authorization', `Bearer ${token('admin')}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.wasLocked).toBe(true);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.unlocked',
+      expect.objectContaining({ targetUserId: userId }),
+      expect.objectContaining({
+        actor: { type: 'user', id: '11111111-1111-4111-8111-111111111111' },
+      })
+    );
+  });
+});
+
+describe('Login failures per IP', () => {
+  beforeEach(() => {
+    Object.values(mockUser).forEach(fn => fn.mockReset());
+    mockUser.findCredentialsByEmail.mockResolvedValue(null);
+  });
+
+  it('should delay progressively after repeated failures', () => {
+    const { failureDelay } = loadApp({
+      LOGIN_DELAY_AFTER: '3',
+      LOGIN_DELAY_MS: '500',
+      LOGIN_MAX_DELAY_MS: '8000',
+    }).loginProtection;
+
+    expect([0, 2, 3, 4, 5, 20].map(failureDelay)).toEqual([
+      0, 0, 500, 1000, 2000, 8000,
+    ]);
+  });
+
+  it('should block an address after too many failures', async () => {
+    const { app } = loadApp({
+      LOGIN_IP_MAX_FAILURES: '2',
+      LOGIN_DELAY_AFTER: '100',
+    });
+    const login = body => request(app).post('/api/auth/login').send(body);
+    const failed = { email: 'nobody@example.com', password: 'wrong' };
+
+    // Rejected before any credentials are checked; not counted
+    expect((await login({ email: 'nobody@example.com' })).statusCode).toBe(400);
+    expect((await login(failed)).statusCode).toBe(401);
+    expect((await login(failed)).statusCode).toBe(401);
+
+    const blocked = await login(failed);
+    expect(blocked.statusCode).toBe(429);
+    expect(blocked.body.error).toBe('Too many failed logins');
+  });
+});
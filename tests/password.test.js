@@ -0,0 +1,40 @@
+const passwordService = require('../src/utils/password');
+
+describe('Password Service', () => {
+  it('should hash and verify a password with scrypt', async () => {
+    const hash = await passwordService.hash('correct horse battery staple');
+
+    expect(hash.startsWith('scrypt$')).toBe(true);
+    await expect(
+      passwordService.verify('correct horse battery staple', hash)
+    ).resolves.toBe(true);
+    await expect(passwordService.verify('wrong password', hash)).resolves.toBe(
+      false
+    );
+  });
+
+  it('should salt each hash', async () => {
+    const first = await passwordService.hash('correct horse battery staple');
+    const second = await passwordService.hash('correct horse battery staple');
+    expect(first).not.toBe(second);
+  });
+
+  it('should reject malformed hashes', async () => {
+    await expect(
+      passwordService.verify('anything', 'not-a-hash')
+    ).resolves.toBe(false);
+  });
+
+  it('should enforce the minimum length', async () => {
+    const result = await passwordService.validatePolicy('short');
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toMatch(/at least/);
+  });
+
+  it('should reject passwords on the breached list', async () => {
+    passwordService.breachedPasswords = new Set(['password123456']);
+    const result = await passwordService.validatePolicy('password123456');
+    expect(result.isValid).toBe(false);
+    passwordService.breachedPasswords = null;
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue([]),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findAll: jest.fn().mockResolvedValue([]),
+  count: jest.fn().mockResolvedValue(0),
+}));
+
+const userId = '22222222-2222-4222-8222-222222222222';
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: '11111111-1111-4111-8111-111111111111',
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Role permissions', () => {
+  it('should let a plain user read but not view stats', async () => {
+    const list = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${tokenFor('user')}`);
+    expect(list.statusCode).toBe(200);
+
+    const stats = await request(app)
+      .get('/api/users/stats')
+      .set('Authorization', `Bearer ${tokenFor('user')}`);
+    expect(stats.statusCode).toBe(403);
+    expect(stats.body.missingPermission).toBe('view-stats');
+  });
+
+  it('should stop a moderator from granting admin', async () => {
+    const res = await request(app)
+      .put(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`)
+      .send({ role: 'admin' });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermission).toBe('update-role');
+  });
+
+  it('should stop a moderator from creating an admin', async () => {
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`)
+      .send({ email: 'new@example.com', role: 'admin' });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermission).toBe('update-role');
+  });
+
+  it('should stop a moderator from exporting or deleting', async () => {
+    const exported = await request(app)
+      .get('/api/users/export')
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`);
+    expect(exported.statusCode).toBe(403);
+    expect(exported.body.missingPermission).toBe('export');
+
+    const deleted = await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`);
+    expect(deleted.statusCode).toBe(403);
+    expect(deleted.body.missingPermission).toBe('delete');
+  });
+
+  it('should map update fields to permissions', () => {
+    const userService = require('../src/services/userService');
+    expect(userService.getUpdatePermissions({ status: 'inactive' })).toEqual([
+      'update-status',
+    ]);
+    expect(
+      userService.getCreatePermissions({ email: 'a@example.com' })
+    ).toEqual(['create']);
+    expect(
+      userService.getCreatePermissions({
+        email: 'a@example.com',
+        status: 'active',
+      })
+    ).toEqual(['create', 'update-status']);
+    expect(userService.hasPermission('moderator', 'update-status')).toBe(true);
+    expect(userService.hasPermission('moderator', 'update-role')).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+}));
+
+// Load a fresh app, so the limiters are built from this environment
+const loadApp = (env = {}) => {
+  let modules;
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, ...env };
+  jest.isolateModules(() => {
+    modules = {
+      app: require('../src/app'),
+      authService: require('../src/services/authService'),
+    };
+  });
+  process.env = savedEnv;
+  return modules;
+};
+
+const tokenFor = (authService, id, role) =>
+  authService.signAccessToken({ id, email: `${role}@example.com`, role });
+
+// Export policy route that needs no database (unknown export ID)
+const getManifest = (app, token) =>
+  request(app)
+    .get('/api/users/export/unknown/manifest')
+    .set('Authorization', `Bearer ${token}`);
+
+describe('Rate limiting', () => {
+  it('should count route policies per signed-in user', async () => {
+    const { app, authService } = loadApp({ RATE_LIMIT_EXPORT_MAX: '2' });
+    const first = tokenFor(
+      authService,
+      '00000000-0000-4000-8000-000000000001',
+      'admin'
+    );
+    const second = tokenFor(
+      authService,
+      '00000000-0000-4000-8000-000000000002',
+      'admin'
+    );
+
+    expect((await getManifest(app, first)).statusCode).toBe(404);
+    expect((await getManifest(app, first)).statusCode).toBe(404);
+
+    const limited = await getManifest(app, first);
+    expect(limited.statusCode).toBe(429);
+    expect(limited.body.error).toBe('Too many requests');
+    expect(limited.headers['ratelimit-limit']).toBe('2');
+
+    expect((await getManifest(app, second)).statusCode).toBe(404);
+  });
+
+  it('should apply per-role overrides', async () => {
+    const { app, authService } = loadApp({
+      RATE_LIMIT_EXPORT_MAX: '1',
+      RATE_LIMIT_ROLE_OVERRIDES: JSON.stringify({ admin: { export: 3 } }),
+    });
+    const admin = tokenFor(
+      authService,
+      '00000000-0000-4000-8000-000000000001',
+      'admin'
+    );
+    const moderator = tokenFor(
+      authService,
+      '00000000-0000-4000-8000-000000000002',
+      'moderator'
+    );
+
+    const adminStatuses = [];
+    for (let i = 0; i < 4; i++) {
+      adminStatuses.push((await getManifest(app, admin)).statusCode);
+    }
+    expect(adminStatuses).toEqual([404, 404, 404, 429]);
+
+    expect((await getManifest(app, moderator)).statusCode).toBe(403);
+    expect((await getManifest(app, moderator)).statusCode).toBe(429);
+  });
+
+  it('should limit signed-out callers by IP address', async () => {
+    const { app } = loadApp({ RATE_LIMIT_LOGIN_MAX: '1' });
+
+    const login = () =>
+      request(app).post('/api/auth/login').send({ email: '', password: '' });
+
+    expect((await login()).statusCode).toBe(400);
+    expect((await login()).statusCode).toBe(429);
+  });
+});
+
+describe('Postgres rate limit store', () => {
+  it('should keep prefixed counters in rate_limit_counters', async () => {
+    const databaseService = require('../src/services/database');
+    const { PostgresRateLimitStore } = require('../src/middleware/rateLimit');
+    const resetAt = new Date(Date.now() + 60000);
+    const query = jest
+      .fn()
+      .mockResolvedValue({ rows: [{ hits: 3, reset_at: resetAt }] });
+    databaseService.getDatabase.mockReturnValue({ query });
+
+    const store = new PostgresRateLimitStore('export');
+    store.init({ windowMs: 60000 });
+    const info = await store.increment('user:1');
+    store.shutdown();
+
+    expect(query.mock.calls[0][0]).toContain('ON CONFLICT (key)');
+    expect(query.mock.calls[0][1]).toEqual(['export:user:1', 60000]);
+    expect(info).toEqual({ totalHits: 3, resetTime: resetAt });
+  });
+});
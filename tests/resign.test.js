@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const resignService = require('../src/services/resignService');
+const cryptoService = require('../src/utils/crypto');
+const User = require('../src/models/User');
+const ResignJob = require('../src/models/ResignJob');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue([]),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  count: jest.fn().mockResolvedValue(3),
+  findBatchAfter: jest.fn(),
+  updateSignature: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../src/models/ResignJob', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findRecent: jest.fn().mockResolvedValue([]),
+  findUnfinished: jest.fn(),
+  claim: jest.fn(),
+  recordProgress: jest.fn().mockResolvedValue(undefined),
+  finish: jest.fn().mockResolvedValue(undefined),
+}));
+
+const jobId = '44444444-4444-4444-8444-444444444444';
+const signedUser = (id, email) => {
+  const user = {
+    id,
+    email,
+    role: 'user',
+    status: 'active',
+    created_at: new Date('2026-01-01T00:00:00Z'),
+  };
+  const cryptoData = cryptoService.processUserRecord(user);
+  return {
+    ...user,
+    email_hash: cryptoData.emailHash,
+    signature: cryptoData.signature,
+    signature_key_id: cryptoData.keyId,
+    signature_version: cryptoData.signatureVersion,
+  };
+};
+
+const users = [
+  signedUser('00000000-0000-4000-8000-000000000001', 'a@example.com'),
+  signedUser('00000000-0000-4000-8000-000000000002', 'b@example.com'),
+  signedUser('00000000-0000-4000-8000-000000000003', 'c@example.com'),
+];
+
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: '11111111-1111-4111-8111-111111111111',
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Re-signing job', () => {
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = {
+      id: jobId,
+      status: 'running',
+      key_id: cryptoService.getActiveKeyId(),
+      email_hash_version: 1,
+      cursor_user_id: null,
+      processed: 0,
+      skipped: 0,
+      total: 3,
+    };
+  });
+
+  it('should re-sign users in batches and record progress', async () => {
+    resignService.batchSize = 2;
+    User.findBatchAfter
+      .mockResolvedValueOnce(users.slice(0, 2))
+      .mockResolvedValueOnce(users.slice(2))
+      .mockResolvedValueOnce([]);
+
+    await resignService.runJob(job);
+
+    expect(User.updateSignature).toHaveBeenCalledTimes(3);
+    expect(User.updateSignature).toHaveBeenCalledWith(
+      users[0],
+      expect.objectContaining({ signatureKeyId: job.key_id })
+    );
+    expect(ResignJob.recordProgress).toHaveBeenLastCalledWith(jobId, {
+      cursorUserId: users[2].id,
+      processed: 3,
+      skipped: 0,
+    });
+    expect(ResignJob.finish).toHaveBeenCalledWith(jobId, 'completed');
+  });
+
+  it('should continue an interrupted run from its cursor', async () => {
+    User.findBatchAfter.mockResolvedValueOnce(users.slice(2));
+    User.findBatchAfter.mockResolvedValueOnce([]);
+
+    await resignService.runJob({
+      ...job,
+      cursor_user_id: users[1].id,
+      processed: 2,
+    });
+
+    expect(User.findBatchAfter).toHaveBeenCalledWith(
+      users[1].id,
+      expect.any(Number)
+    );
+    expect(ResignJob.recordProgress).toHaveBeenCalledWith(jobId, {
+      cursorUserId: users[2].id,
+      processed: 3,
+      skipped: 0,
+    });
+  });
+
+  it('should skip rows that fail the integrity checks', async () => {
+    User.findBatchAfter
+      .mockResolvedValueOnce([{ ...users[0], role: 'admin' }])
+      .mockResolvedValueOnce([]);
+
+    await resignService.runJob(job);
+
+    expect(User.updateSignature).not.toHaveBeenCalled();
+    expect(ResignJob.recordProgress).toHaveBeenCalledWith(jobId, {
+      cursorUserId: users[0].id,
+      processed: 0,
+      skipped: 1,
+    });
+  });
+
+  it('should mark the job failed and keep its cursor on errors', async () => {
+    User.findBatchAfter.mockRejectedValueOnce(new Error('connection lost'));
+
+    await resignService.runJob(job);
+
+    expect(ResignJob.finish).toHaveBeenCalledWith(
+      jobId,
+      'failed',
+      'connection lost'
+    );
+    expect(ResignJob.recordProgress).not.toHaveBeenCalled();
+  });
+
+  it('should resume an unfinished job for the same key', async () => {
+    ResignJob.findUnfinished.mockResolvedValue({ ...job, status: 'failed' });
+    ResignJob.claim.mockResolvedValue(job);
+    User.findBatchAfter.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/crypto/resign-jobs')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    await resignService.runningJob;
+
+    expect(res.statusCode).toBe(202);
+    expect(ResignJob.create).not.toHaveBeenCalled();
+    expect(ResignJob.claim).toHaveBeenCalledWith(jobId, expect.any(Number));
+  });
+
+  it('should supersede an unfinished job for another email hash version', async () => {
+    ResignJob.findUnfinished.mockResolvedValue({
+      ...job,
+      status: 'failed',
+      email_hash_version: 2,
+    });
+    ResignJob.claim.mockResolvedValue(job);
+    ResignJob.create.mockResolvedValue(job);
+    User.findBatchAfter.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/crypto/resign-jobs')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    await resignService.runningJob;
+
+    expect(res.statusCode).toBe(202);
+    expect(ResignJob.finish).toHaveBeenCalledWith(
+      jobId,
+      'superseded',
+      'Email hash version changed to 1'
+    );
+    expect(ResignJob.create).toHaveBeenCalledWith(
+      expect.objectContaining({ emailHashVersion: 1 })
+    );
+  });
+
+  it('should restrict re-signing to admins', async () => {
+    const res = await request(app)
+      .post('/api/crypto/resign-jobs')
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.missingPermission).toBe('manage-signing-keys');
+  });
+});
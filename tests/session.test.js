@@ -0,0 +1,263 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const authService = require('../src/services/authService');
+const auditService = require('../src/services/auditService');
+const userService = require('../src/services/userService');
+const passwordService = require('../src/utils/password');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+jest.mock('../src/models/User', () => ({
+  findTokenState: jest.fn().mockResolvedValue({ status: 'active' }),
+  findById: jest.fn(),
+  findByEmail: jest.fn().mockResolvedValue(null),
+  findCredentialsByEmail: jest.fn(),
+  clearLoginFailures: jest.fn(),
+  update: jest.fn(),
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  create: jest.fn().mockResolvedValue({ id: 'refresh-token-id' }),
+  findByTokenHash: jest.fn(),
+  revoke: jest.fn().mockResolvedValue(true),
+  setReplacedBy: jest.fn(),
+  revokeFamily: jest.fn(),
+  revokeFamilyForUser: jest.fn(),
+  revokeAllForUser: jest.fn().mockResolvedValue(2),
+}));
+
+jest.mock('../src/models/Session', () => ({
+  touch: jest.fn(),
+  isRevoked: jest.fn().mockResolvedValue(false),
+  findActiveByUser: jest.fn(),
+}));
+
+const userId = '22222222-2222-4222-8222-222222222222';
+const sessionId = '33333333-3333-4333-8333-333333333333';
+const user = {
+  id: userId,
+  email: 'a@example.com',
+  role: 'user',
+  status: 'active',
+  created_at: new Date('2026-01-01T00:00:00Z'),
+};
+const tokenFor = role =>
+  authService.signAccessToken({
+    id: '11111111-1111-4111-8111-111111111111',
+    email: `${role}@example.com`,
+    role,
+  });
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(auditService, 'record').mockResolvedValue({});
+    User.findById.mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record device and IP when logging in and refreshing', async () => {
+    User.findCredentialsByEmail.mockResolvedValue({
+      ...user,
+      password_hash: await passwordService.hash('correct horse battery'),
+      failed_login_count: 0,
+      locked_until: null,
+    });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Firefox/140.0')
+      .send({ email: 'a@example.com', password: 'correct horse battery' });
+
+    expect(login.statusCode).toBe(200);
+    const { id: familyId } = Session.touch.mock.calls[0][0];
+    expect(Session.touch).toHaveBeenCalledWith({
+      id: familyId,
+      userId,
+      ip: expect.any(String),
+      userAgent: 'Firefox/140.0',
+    });
+    expect(RefreshToken.create).toHaveBeenCalledWith(
+      expect.objectContaining({ familyId })
+    );
+    expect(jwt.decode(login.body.data.accessToken).sid).toBe(familyId);
+
+    RefreshToken.findByTokenHash.mockResolvedValue({
+      id: 'refresh-token-id',
+      user_id: userId,
+      family_id: familyId,
+      expires_at: new Date(Date.now() + 60000),
+      revoked_at: null,
+    });
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .set('User-Agent', 'Firefox/141.0')
+      .send({ refreshToken: login.body.data.refreshToken });
+
+    expect(refreshed.statusCode).toBe(200);
+    expect(Session.touch).toHaveBeenLastCalledWith(
+      expect.objectContaining({ id: familyId, userAgent: 'Firefox/141.0' })
+    );
+    expect(RefreshToken.setReplacedBy).toHaveBeenCalledWith(
+      'refresh-token-id',
+      'refresh-token-id'
+    );
+  });
+
+  it('should treat a lost race to rotate a refresh token as reuse', async () => {
+    RefreshToken.findByTokenHash.mockResolvedValue({
+      id: 'refresh-token-id',
+      user_id: userId,
+      family_id: sessionId,
+      expires_at: new Date(Date.now() + 60000),
+      revoked_at: null,
+    });
+    // A concurrent refresh revoked it after it was read
+    RefreshToken.revoke.mockResolvedValueOnce(false);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'presented-token' });
+
+    expect(res.statusCode).toBe(401);
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(sessionId);
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+    expect(Session.touch).not.toHaveBeenCalled();
+  });
+
+  it('should list active sessions for admins only', async () => {
+    const sessions = [
+      {
+        id: sessionId,
+        user_agent: 'Firefox/140.0',
+        ip: '10.0.0.1',
+      },
+    ];
+    Session.findActiveByUser.mockResolvedValue(sessions);
+
+    const denied = await request(app)
+      .get(`/api/users/${userId}/sessions`)
+      .set('Authorization', `Bearer ${tokenFor('moderator')}`);
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body.missingPermission).toBe('manage-sessions');
+
+    const res = await request(app)
+      .get(`/api/users/${userId}/sessions`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual(sessions);
+    expect(Session.findActiveByUser).toHaveBeenCalledWith(userId);
+  });
+
+  it('should revoke one of the sessions of a user and record it', async () => {
+    RefreshToken.revokeFamilyForUser.mockResolvedValue(1);
+
+    const res = await request(app)
+      .delete(`/api/users/${userId}/sessions/${sessionId}`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(RefreshToken.revokeFamilyForUser).toHaveBeenCalledWith(
+      sessionId,
+      userId
+    );
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.session_revoked',
+      {
+        targetUserId: userId,
+        changes: { session: { before: sessionId, after: null } },
+      },
+      expect.objectContaining({
+        actor: { type: 'user', id: '11111111-1111-4111-8111-111111111111' },
+      })
+    );
+  });
+
+  it('should refuse access tokens once their session is revoked', async () => {
+    const admin = {
+      id: '44444444-4444-4444-8444-444444444444',
+      email: 'admin@example.com',
+      role: 'admin',
+    };
+    const sessionToken = authService.signAccessToken(admin, sessionId);
+    const listSessions = () =>
+      request(app)
+        .get(`/api/users/${userId}/sessions`)
+        .set('Authorization', `Bearer ${sessionToken}`);
+    Session.findActiveByUser.mockResolvedValue([]);
+
+    expect((await listSessions()).statusCode).toBe(200);
+    expect(Session.isRevoked).toHaveBeenCalledWith(sessionId);
+
+    User.findById.mockResolvedValueOnce({ ...user, ...admin });
+    RefreshToken.revokeFamilyForUser.mockResolvedValue(1);
+    const revoked = await request(app)
+      .delete(`/api/users/${admin.id}/sessions/${sessionId}`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(revoked.statusCode).toBe(200);
+    expect(RefreshToken.revokeFamilyForUser).toHaveBeenCalledWith(
+      sessionId,
+      admin.id
+    );
+
+    Session.isRevoked.mockResolvedValueOnce(true);
+    const res = await listSessions();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  it('should 404 for unknown, revoked or malformed sessions', async () => {
+    RefreshToken.revokeFamilyForUser.mockResolvedValue(0);
+
+    const revoked = await request(app)
+      .delete(`/api/users/${userId}/sessions/${sessionId}`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(revoked.statusCode).toBe(404);
+
+    RefreshToken.revokeFamilyForUser.mockClear();
+    const malformed = await request(app)
+      .delete(`/api/users/${userId}/sessions/not-a-session`)
+      .set('Authorization', `Bearer ${tokenFor('admin')}`);
+    expect(malformed.statusCode).toBe(404);
+    expect(RefreshToken.revokeFamilyForUser).not.toHaveBeenCalled();
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+
+  it('should revoke all sessions when a user is deactivated or their role changes', async () => {
+    User.update.mockImplementation(async (id, changes) => ({
+      ...user,
+      ...changes,
+    }));
+
+    const update = async changes =>
+      expect((await userService.updateUser(userId, changes)).success).toBe(
+        true
+      );
+
+    await update({ email: 'b@example.com' });
+    expect(RefreshToken.revokeAllForUser).not.toHaveBeenCalled();
+
+    await update({ status: 'inactive' });
+    expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(userId);
+
+    RefreshToken.revokeAllForUser.mockClear();
+    await update({ role: 'moderator' });
+    expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(userId);
+  });
+});
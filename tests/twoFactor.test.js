@@ -0,0 +1,330 @@
+const request = require('supertest');
+const { URL } = require('url');
+
+jest.mock('../src/services/database', () => ({
+  connect: jest.fn().mockResolvedValue(true),
+  disconnect: jest.fn().mockResolvedValue(true),
+  getDatabase: jest.fn().mockReturnValue({
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+  }),
+  testConnection: jest.fn().mockResolvedValue({ status: 'ok' }),
+  isConnected: true,
+}));
+
+const mockUser = {
+  findTokenState: jest.fn(),
+  findById: jest.fn(),
+  findCredentialsByEmail: jest.fn(),
+  findTwoFactor: jest.fn(),
+  setPendingTotpSecret: jest.fn(),
+  enableTotp: jest.fn(),
+  useTotpStep: jest.fn(),
+  clearTwoFactor: jest.fn(),
+  recordLoginFailure: jest.fn(),
+  lock: jest.fn(),
+  clearLoginFailures: jest.fn(),
+};
+
+const mockRecoveryCode = {
+  replaceForUser: jest.fn(),
+  consume: jest.fn(),
+  countUnused: jest.fn(),
+  deleteForUser: jest.fn(),
+};
+
+const mockRefreshToken = {
+  create: jest.fn(),
+  revokeAllForUser: jest.fn(),
+};
+
+jest.mock('../src/models/User', () => mockUser);
+jest.mock('../src/models/RecoveryCode', () => mockRecoveryCode);
+jest.mock('../src/models/RefreshToken', () => mockRefreshToken);
+
+const adminId = '00000000-0000-4000-8000-000000000001';
+const password = 'correct horse battery staple';
+
+// Load the app with per-IP login delays off; these tests fail codes on purpose
+const loadApp = () => {
+  let modules;
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, LOGIN_DELAY_AFTER: '100' };
+  jest.isolateModules(() => {
+    modules = {
+      app: require('../src/app'),
+      authService: require('../src/services/authService'),
+      auditService: require('../src/services/auditService'),
+      twoFactorService: require('../src/services/twoFactorService'),
+      totpService: require('../src/utils/totp'),
+      passwordService: require('../src/utils/password'),
+    };
+  });
+  process.env = savedEnv;
+  return modules;
+};
+
+describe('TOTP', () => {
+  const { totpService } = loadApp();
+  // RFC 6238 appendix B, SHA-1
+  const secret = totpService.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(totpService.generateCode(secret, totpService.stepAt(59000))).toBe(
+      '287082'
+    );
+    expect(
+      totpService.generateCode(secret, totpService.stepAt(1111111109000))
+    ).toBe('081804');
+  });
+
+  it('should accept a code one step either side of now', () => {
+    const now = 1111111109000;
+    const step = totpService.stepAt(now);
+
+    expect(totpService.verify(secret, '081804', now + 30000)).toBe(step);
+    expect(totpService.verify(secret, '081804', now + 90000)).toBeNull();
+    expect(totpService.verify(secret, '000000', now)).toBeNull();
+    expect(totpService.verify(secret, 'abcdef', now)).toBeNull();
+  });
+
+  it('should build an otpauth provisioning URI', () => {
+    const uri = totpService.provisioningUri(secret, 'a@example.com', 'Panel');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Panel%3Aa%40example\.com\?/);
+    expect(new URL(uri).searchParams.get('secret')).toBe(secret);
+  });
+});
+
+describe('Two-factor login', () => {
+  let app;
+  let authService;
+  let auditService;
+  let twoFactorService;
+  let totpService;
+  let credentials;
+  let state;
+
+  beforeAll(async () => {
+    const modules = loadApp();
+    ({ app, authService, auditService, twoFactorService, totpService } =
+      modules);
+    credentials = {
+      id: adminId,
+      email: 'admin@example.com',
+      role: 'admin',
+      status: 'active',
+      password_hash: await modules.passwordService.hash(password),
+      failed_login_count: 0,
+      locked_until: null,
+      totp_enabled_at: null,
+    };
+  });
+
+  beforeEach(() => {
+    [mockUser, mockRecoveryCode, mockRefreshToken].forEach(mock =>
+      Object.values(mock).forEach(fn => fn.mockReset())
+    );
+    jest.spyOn(auditService, 'record').mockResolvedValue({});
+    mockUser.findTokenState.mockResolvedValue({ status: 'active' });
+
+    // Scripted users row, so enrollment steps see each other's writes
+    state = {
+      ...credentials,
+      totp_secret: null,
+      totp_enabled_at: null,
+      totp_last_step: null,
+    };
+    mockUser.findTwoFactor.mockImplementation(async () => ({ ...state }));
+    mockUser.findCredentialsByEmail.mockImplementation(async () => ({
+      ...credentials,
+      totp_enabled_at: state.totp_enabled_at,
+    }));
+    mockUser.setPendingTotpSecret.mockImplementation(async (id, secret) => {
+      state.totp_secret = secret;
+      return true;
+    });
+    mockUser.enableTotp.mockImplementation(async (id, step) => {
+      state.totp_enabled_at = new Date();
+      state.totp_last_step = step;
+      return state.totp_enabled_at;
+    });
+    mockUser.useTotpStep.mockImplementation(async (id, step) => {
+      if (state.totp_last_step !== null && step <= state.totp_last_step) {
+        return false;
+      }
+      state.totp_last_step = step;
+      return true;
+    });
+    mockUser.recordLoginFailure.mockResolvedValue(1);
+    mockRefreshToken.create.mockResolvedValue({ id: 'refresh-token-id' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const enable = () => {
+    state.totp_secret = totpService.generateSecret();
+    state.totp_enabled_at = new Date();
+  };
+
+  const login = () =>
+    request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password });
+
+  it('should require a second factor for admins', async () => {
+    enable();
+
+    const res = await login();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({
+      twoFactorRequired: true,
+      enrolled: true,
+    });
+    expect(res.body.data.accessToken).toBeUndefined();
+    expect(mockRefreshToken.create).not.toHaveBeenCalled();
+    // The challenge is not an access token
+    const denied = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${res.body.data.challengeToken}`);
+    expect(denied.statusCode).toBe(401);
+  });
+
+  it('should issue tokens for a valid code, once per code', async () => {
+    enable();
+    const { challengeToken } = (await login()).body.data;
+    const code = totpService.generateCode(state.totp_secret);
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, code });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.accessToken).toBeDefined();
+    expect(res.body.data.refreshToken).toBeDefined();
+
+    const replay = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, code });
+    expect(replay.statusCode).toBe(401);
+    expect(replay.body.error).toBe('Invalid code');
+  });
+
+  it('should count wrong codes towards the lockout', async () => {
+    enable();
+    const { challengeToken } = (await login()).body.data;
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, code: '000000' });
+
+    expect(res.statusCode).toBe(401);
+    expect(mockUser.recordLoginFailure).toHaveBeenCalledWith(
+      adminId,
+      expect.any(Number)
+    );
+    expect(mockRefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('should enroll an admin during login and return recovery codes', async () => {
+    const first = (await login()).body.data;
+    expect(first.enrolled).toBe(false);
+
+    const enrolled = await request(app)
+      .post('/api/auth/2fa/enroll')
+      .send({ challengeToken: first.challengeToken });
+    expect(enrolled.statusCode).toBe(200);
+    expect(enrolled.body.data.otpauthUri).toContain(
+      `secret=${enrolled.body.data.secret}`
+    );
+
+    const res = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .send({
+        challengeToken: first.challengeToken,
+        code: totpService.generateCode(enrolled.body.data.secret),
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.accessToken).toBeDefined();
+    expect(res.body.data.recoveryCodes).toHaveLength(10);
+    // Only hashes are stored
+    const [, hashes] = mockRecoveryCode.replaceForUser.mock.calls[0];
+    expect(hashes).toEqual(
+      res.body.data.recoveryCodes.map(code =>
+        twoFactorService.hashRecoveryCode(code)
+      )
+    );
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.two_factor_enabled',
+      expect.objectContaining({ targetUserId: adminId }),
+      expect.objectContaining({ actor: { type: 'user', id: adminId } })
+    );
+  });
+
+  it('should accept a recovery code once', async () => {
+    enable();
+    const { challengeToken } = (await login()).body.data;
+    mockRecoveryCode.consume.mockResolvedValueOnce(true);
+    mockRecoveryCode.countUnused.mockResolvedValue(9);
+
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, recoveryCode: 'ABCDE-12345' });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockRecoveryCode.consume).toHaveBeenCalledWith(
+      adminId,
+      twoFactorService.hashRecoveryCode('abcde12345')
+    );
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.recovery_code_used',
+      expect.objectContaining({
+        changes: { recovery_codes_left: { before: null, after: 9 } },
+      }),
+      expect.any(Object)
+    );
+
+    mockRecoveryCode.consume.mockResolvedValueOnce(false);
+    const reused = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, recoveryCode: 'ABCDE-12345' });
+    expect(reused.statusCode).toBe(401);
+  });
+
+  it('should let admins reset the second factor of another user', async () => {
+    enable();
+    const token = role =>
+      authService.signAccessToken({
+        id: '11111111-1111-4111-8111-111111111111',
+        email: `${role}@example.com`,
+        role,
+      });
+
+    const denied = await request(app)
+      .delete(`/api/users/${adminId}/2fa`)
+      .set('Authorization', `Bearer ${token('moderator')}`);
+    expect(denied.statusCode).toBe(403);
+
+    const res = await request(app)
+      .delete(`/api/users/${adminId}/2fa`)
+      .set('Authorization', `Bearer ${token('admin')}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(mockUser.clearTwoFactor).toHaveBeenCalledWith(adminId);
+    expect(mockRecoveryCode.deleteForUser).toHaveBeenCalledWith(adminId);
+    expect(mockRefreshToken.revokeAllForUser).toHaveBeenCalledWith(adminId);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'user.two_factor_reset',
+      expect.objectContaining({
+        targetUserId: adminId,
+        changes: { two_factor: { before: 'totp', after: 'disabled' } },
+      }),
+      expect.objectContaining({
+        actor: { type: 'user', id: '11111111-1111-4111-8111-111111111111' },
+      })
+    );
+  });
+});